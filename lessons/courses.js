@@ -0,0 +1,425 @@
+// The courses behind the Lessons button. Each lesson is plain data, so new
+// ones need no changes to script.js:
+//
+//   {
+//     id:    'branch-and-merge',            // unique within its course
+//     title: 'Branch and merge',
+//     intro: 'What the lesson is about.',   // `backticks` show as code
+//     setup: ['git init', …],               // commands run before it starts; [] = no repository
+//     allow: ['git branch', 'git merge'],   // command prefixes the student may use
+//     steps: [{
+//       text:     'What to do next.',
+//       goal:     { head: 'master', parents: { HEAD: 2 } },   // ScenarioRunner expectations
+//       hints:    ['A nudge', 'A bigger nudge'],             // shown one at a time
+//       solution: ['git merge feature'],                     // "Show me", and the checks
+//     }],
+//   }
+//
+// Goals use the expectation keys described above ScenarioRunner in
+// script.js. `node scenarios/run.js` plays every solution and checks each
+// goal is reached, and not already met before its step.
+
+const LESSON_COURSES = [
+  {
+    id: 'basics',
+    title: 'Basics',
+    desc: 'Repositories, the index and commits',
+    lessons: [
+      {
+        id: 'first-commits',
+        title: 'Your first commits',
+        intro: 'A repository keeps snapshots of your files, called commits. You choose what goes into the next one by staging it.',
+        setup: [],
+        allow: ['git init', 'git add', 'git commit', 'echo', 'touch'],
+        steps: [
+          {
+            text: 'Turn this folder into a git repository.',
+            goal: { head: 'master' },
+            hints: ['Every repository starts with `git init`.'],
+            solution: ['git init'],
+          },
+          {
+            text: 'Write something into `notes.txt`, then stage the file.',
+            goal: { staged: ['notes.txt'] },
+            hints: ['`echo "hello" > notes.txt` creates the file.', 'Stage it with `git add notes.txt`.'],
+            solution: ['echo "hello" > notes.txt', 'git add notes.txt'],
+          },
+          {
+            text: 'Commit what you staged.',
+            goal: { commits: 1, clean: true },
+            hints: ['A commit needs a message: `git commit -m "…"`.'],
+            solution: ['git commit -m "Add notes"'],
+          },
+          {
+            text: 'Change `notes.txt` and commit again.',
+            goal: { commits: 2, clean: true },
+            hints: ['`echo "more" >> notes.txt` appends a line.', '`git commit -a -m "…"` stages tracked files and commits in one go.'],
+            solution: ['echo "more" >> notes.txt', 'git commit -a -m "More notes"'],
+          },
+        ],
+      },
+      {
+        id: 'tags',
+        title: 'Tag a release',
+        intro: 'A tag is a name that stays on one commit, unlike a branch, which moves on with every commit.',
+        setup: ['git init', 'git commit -m "First draft"', 'git commit -m "Add chapter two"', 'git commit -m "Fix typos"'],
+        allow: ['git tag', 'git commit'],
+        steps: [
+          {
+            text: 'Tag the latest commit as `v1.0`.',
+            goal: { tags: { 'v1.0': 'HEAD' } },
+            hints: ['`git tag <name>` tags HEAD.'],
+            solution: ['git tag v1.0'],
+          },
+          {
+            text: 'The first draft was a release too. Tag it `v0.1` with the message "Draft".',
+            goal: { tags: { 'v0.1': 'HEAD~2' } },
+            hints: ['`git tag` takes the commit after the name, e.g. `HEAD~2`.', 'Add `-a -m "Draft"` for an annotated tag: `git tag -a v0.1 -m "Draft" HEAD~2`.'],
+            solution: ['git tag -a v0.1 -m "Draft" HEAD~2'],
+          },
+        ],
+      },
+    ],
+  },
+  {
+    id: 'branching',
+    title: 'Branching',
+    desc: 'Branches, merges and conflicts',
+    lessons: [
+      {
+        id: 'branch-and-merge',
+        title: 'Branch and merge',
+        intro: 'A branch is a movable name for a line of work. Merging joins two lines back together.',
+        setup: ['git init', 'git commit -m "first commit"'],
+        allow: ['git branch', 'git checkout', 'git commit', 'git merge'],
+        steps: [
+          {
+            text: 'Create a branch called `feature`.',
+            goal: { branches: { feature: 'master' } },
+            hints: ['`git branch <name>` creates a branch where you are.'],
+            solution: ['git branch feature'],
+          },
+          {
+            text: 'Switch to `feature`.',
+            goal: { head: 'feature' },
+            hints: ['`git checkout <branch>` moves HEAD.'],
+            solution: ['git checkout feature'],
+          },
+          {
+            text: 'Commit some work on `feature`.',
+            goal: { head: 'feature', branches: { master: 'feature~1' } },
+            hints: ['`git commit -m "…"` — watch which label moves.'],
+            solution: ['git commit -m "feature work"'],
+          },
+          {
+            text: 'Switch back to `master` and commit there too, so the branches diverge.',
+            goal: { head: 'master', commits: 2, parents: { master: ['feature~1'] } },
+            hints: ['`git checkout master`, then `git commit -m "…"`.'],
+            solution: ['git checkout master', 'git commit -m "master work"'],
+          },
+          {
+            text: 'Merge `feature` into `master`.',
+            goal: { head: 'master', parents: { master: ['master~1', 'feature'] } },
+            hints: ['Merge into the branch you are on: `git merge feature`.'],
+            solution: ['git merge feature'],
+          },
+        ],
+      },
+      {
+        id: 'fast-forward',
+        title: 'Fast-forward merges',
+        intro: 'When the branch you merge is simply ahead of yours, git moves your branch forward instead of making a merge commit.',
+        setup: ['git init', 'git commit -m "first commit"', 'git checkout -b hotfix', 'git commit -m "fix the login"', 'git checkout master'],
+        allow: ['git merge', 'git branch', 'git checkout'],
+        steps: [
+          {
+            text: 'Bring the fix from `hotfix` into `master`.',
+            goal: { head: 'master', branches: { master: 'hotfix' }, parents: { master: 1 } },
+            hints: ['`master` has nothing `hotfix` lacks, so `git merge hotfix` fast-forwards.'],
+            solution: ['git merge hotfix'],
+          },
+          {
+            text: 'The fix is merged. Delete the `hotfix` branch.',
+            goal: { branches: ['master'] },
+            hints: ['`git branch -d <name>` deletes a merged branch.'],
+            solution: ['git branch -d hotfix'],
+          },
+        ],
+      },
+      {
+        id: 'conflict',
+        title: 'Resolve a conflict',
+        intro: 'If both branches change the same line, git cannot choose for you: the merge stops and you decide.',
+        setup: [
+          'git init', 'echo "color: blue" > style.txt', 'git add style.txt', 'git commit -m "Blue theme"',
+          'git checkout -b red', 'echo "color: red" > style.txt', 'git commit -a -m "Red theme"',
+          'git checkout master', 'echo "color: green" > style.txt', 'git commit -a -m "Green theme"',
+        ],
+        allow: ['git merge', 'git add', 'git commit', 'git restore', 'echo'],
+        steps: [
+          {
+            text: 'Merge `red` into `master`. Both changed `style.txt`.',
+            goal: { head: 'master', conflicts: ['style.txt'] },
+            hints: ['`git merge red` — the conflict is expected.'],
+            solution: ['git merge red'],
+          },
+          {
+            text: 'Write the colour you want into `style.txt` and stage it.',
+            goal: { conflicts: [], staged: ['style.txt'] },
+            hints: ['`echo "color: purple" > style.txt` replaces the conflicted file.', 'Then `git add style.txt` marks it resolved.'],
+            solution: ['echo "color: purple" > style.txt', 'git add style.txt'],
+          },
+          {
+            text: 'Finish the merge.',
+            goal: { parents: { HEAD: ['HEAD~1', 'red'] }, clean: true },
+            hints: ['`git commit` (or `git merge --continue`) records the merge.'],
+            solution: ['git commit -m "Merge red"'],
+          },
+        ],
+      },
+    ],
+  },
+  {
+    id: 'rebasing',
+    title: 'Rebasing',
+    desc: 'Rewriting and moving commits',
+    lessons: [
+      {
+        id: 'rebase',
+        title: 'Rebase a branch',
+        intro: 'Rebasing replays your commits on top of another branch, as if you had started from there. The result is a straight line.',
+        setup: [
+          'git init', 'git commit -m "first commit"', 'git checkout -b feature', 'git commit -m "feature part 1"',
+          'git commit -m "feature part 2"', 'git checkout master', 'git commit -m "hotfix"', 'git checkout feature',
+        ],
+        allow: ['git rebase', 'git checkout', 'git merge'],
+        steps: [
+          {
+            text: 'Move the two `feature` commits on top of `master`.',
+            goal: { head: 'feature', branches: { master: 'feature~2' } },
+            hints: ['From `feature`, run `git rebase master`. The new commits get new SHAs.'],
+            solution: ['git rebase master'],
+          },
+          {
+            text: 'Now bring `master` up to `feature`. No merge commit needed.',
+            goal: { head: 'master', branches: { master: 'feature' } },
+            hints: ['`git checkout master`, then `git merge feature` fast-forwards.'],
+            solution: ['git checkout master', 'git merge feature'],
+          },
+        ],
+      },
+      {
+        id: 'squash',
+        title: 'Squash commits',
+        intro: 'Small "wip" commits are fine while you work. Before sharing, you can fold them into one.',
+        setup: ['git init', 'git commit -m "first commit"', 'git commit -m "wip 1"', 'git commit -m "wip 2"', 'git commit -m "wip 3"'],
+        allow: ['git rebase', 'git reset', 'git commit'],
+        steps: [
+          {
+            text: 'Turn the three wip commits into a single commit on top of "first commit".',
+            goal: { commits: 2, clean: true, subjects: { 'HEAD~1': 'first commit' } },
+            hints: [
+              '`git rebase -i HEAD~3` opens the todo list: keep the first `pick`, mark the others `squash`.',
+              'Or move the branch back but keep the changes: `git reset --soft HEAD~3`, then commit once.',
+            ],
+            solution: ['git reset --soft HEAD~3', 'git commit -m "Finished feature"'],
+          },
+        ],
+      },
+      {
+        id: 'cherry-pick',
+        title: 'Cherry-pick a fix',
+        intro: 'Cherry-picking copies one commit onto your branch, without merging anything else.',
+        setup: [
+          'git init', 'git commit -m "first commit"', 'git checkout -b experiment', 'git commit -m "try a new layout"',
+          'git commit -m "fix typo in title"', 'git commit -m "more layout ideas"', 'git checkout master',
+        ],
+        allow: ['git cherry-pick'],
+        steps: [
+          {
+            text: 'Copy only the typo fix from `experiment` onto `master`.',
+            goal: { head: 'master', commits: 2, subjects: { HEAD: 'fix typo in title' } },
+            hints: ['`git log --oneline experiment` shows its commits.', 'The fix is `experiment~1`: `git cherry-pick experiment~1`.'],
+            solution: ['git cherry-pick experiment~1'],
+          },
+        ],
+      },
+    ],
+  },
+  {
+    id: 'remotes',
+    title: 'Remotes',
+    desc: 'Push, fetch and pull',
+    lessons: [
+      {
+        id: 'push',
+        title: 'Publish with push',
+        intro: 'Commits live in your repository until you push them. `origin/master` shows where the remote was when you last talked to it.',
+        setup: ['git init', 'git commit -m "first commit"', 'git commit -m "add readme"'],
+        allow: ['git push', 'git branch', 'git checkout', 'git commit'],
+        steps: [
+          {
+            text: 'Push `master` to `origin`.',
+            goal: { remote: { 'origin/master': 'master' } },
+            hints: ['`git push` sends the current branch.'],
+            solution: ['git push'],
+          },
+          {
+            text: 'Start a `feature` branch, commit on it and push it too.',
+            goal: { remote: { 'origin/feature': 'feature', 'origin/master': 'master' }, branches: { master: 'feature~1' } },
+            hints: ['`git checkout -b feature`, then commit.', '`git push origin feature` publishes the new branch.'],
+            solution: ['git checkout -b feature', 'git commit -m "feature work"', 'git push origin feature'],
+          },
+        ],
+      },
+      {
+        id: 'pull',
+        title: 'Catch up with pull',
+        intro: 'A teammate pushed while you were away. Fetch downloads their commits; merging them in brings your branch up to date. Pull does both.',
+        setup: ['git init', 'git commit -m "first commit"', 'git push', 'teammate -m "Teammate fix"'],
+        allow: ['git fetch', 'git pull', 'git merge'],
+        steps: [
+          {
+            text: 'Download what is new on `origin` without changing `master`.',
+            goal: { subjects: { 'origin/master': 'Teammate fix' }, commits: 1 },
+            hints: ['`git fetch` updates `origin/master` only.'],
+            solution: ['git fetch'],
+          },
+          {
+            text: 'Bring `master` up to `origin/master`.',
+            goal: { head: 'master', branches: { master: 'origin/master' } },
+            hints: ['`git merge origin/master`, or `git pull` to fetch and merge in one go.'],
+            solution: ['git merge origin/master'],
+          },
+        ],
+      },
+      {
+        id: 'pull-rebase',
+        title: 'Pull with rebase',
+        intro: 'When you and a teammate both committed, pulling normally adds a merge commit. Pulling with --rebase puts your commits on top of theirs instead.',
+        setup: ['git init', 'git commit -m "first commit"', 'git push', 'teammate -m "Teammate fix"', 'git commit -m "my change"'],
+        allow: ['git fetch', 'git pull', 'git rebase', 'git push'],
+        steps: [
+          {
+            text: 'Get the teammate\'s commit and replay yours on top of it. Keep the history a straight line.',
+            goal: { head: 'master', subjects: { master: 'my change', 'master~1': 'Teammate fix' }, parents: { master: 1 } },
+            hints: ['`git pull --rebase`.'],
+            solution: ['git pull --rebase'],
+          },
+          {
+            text: 'Publish the result.',
+            goal: { remote: { 'origin/master': 'master' } },
+            hints: ['Your branch is now ahead of `origin/master`, so a plain `git push` works.'],
+            solution: ['git push'],
+          },
+        ],
+      },
+    ],
+  },
+  {
+    id: 'recovery',
+    title: 'Recovery',
+    desc: 'Undo, revert, reflog and stash',
+    lessons: [
+      {
+        id: 'undo-commit',
+        title: 'Undo the last commit',
+        intro: 'Committed too early? Reset moves your branch back. `--soft` keeps the changes staged, so nothing is lost.',
+        setup: ['git init', 'git commit -m "first commit"', 'echo "draft" > plan.txt', 'git add plan.txt', 'git commit -m "Add plan"'],
+        allow: ['git reset', 'git commit', 'git add', 'echo'],
+        steps: [
+          {
+            text: 'Take back "Add plan", but keep `plan.txt` staged.',
+            goal: { commits: 1, staged: ['plan.txt'] },
+            hints: ['`git reset --soft HEAD~1`.'],
+            solution: ['git reset --soft HEAD~1'],
+          },
+          {
+            text: 'Finish the plan, stage it and commit it again.',
+            goal: { commits: 2, clean: true, subjects: { HEAD: 'plan' } },
+            hints: ['`echo "final" >> plan.txt`, `git add plan.txt`, then commit with a message mentioning the plan.'],
+            solution: ['echo "final" >> plan.txt', 'git add plan.txt', 'git commit -m "Add the final plan"'],
+          },
+        ],
+      },
+      {
+        id: 'revert',
+        title: 'Revert a shared commit',
+        intro: 'Once a commit is pushed, others may have it. Instead of rewriting history, add a commit that undoes it.',
+        setup: [
+          'git init', 'echo "header" > page.txt', 'git add page.txt', 'git commit -m "Add header"',
+          'echo "broken footer" > footer.txt', 'git add footer.txt', 'git commit -m "Break the footer"',
+          'echo "sidebar" > side.txt', 'git add side.txt', 'git commit -m "Add sidebar"', 'git push',
+        ],
+        allow: ['git revert', 'git push'],
+        steps: [
+          {
+            text: 'Undo "Break the footer" without removing "Add sidebar" or rewriting history.',
+            goal: { commits: 4, clean: true, subjects: { HEAD: 'Revert "Break the footer"' } },
+            hints: ['`git revert <commit>` makes the undoing commit.', 'The footer commit is `HEAD~1`.'],
+            solution: ['git revert HEAD~1'],
+          },
+          {
+            text: 'Share the fix.',
+            goal: { remote: { 'origin/master': 'master' } },
+            hints: ['`git push` — no force needed, history only grew.'],
+            solution: ['git push'],
+          },
+        ],
+      },
+      {
+        id: 'reflog',
+        title: 'Rescue a deleted branch',
+        intro: 'Deleting a branch removes the name, not the commits. The reflog remembers every place HEAD has been.',
+        setup: [
+          'git init', 'git commit -m "first commit"', 'git checkout -b feature', 'git commit -m "login form"',
+          'git checkout master', 'git branch -D feature',
+        ],
+        allow: ['git reflog', 'git branch', 'git checkout'],
+        steps: [
+          {
+            text: 'Find the lost "login form" commit.',
+            goal: { output: 'login form' },
+            hints: ['`git reflog` lists where HEAD has been, newest first.'],
+            solution: ['git reflog'],
+          },
+          {
+            text: 'Bring `feature` back, pointing at that commit.',
+            goal: { subjects: { feature: 'login form' } },
+            hints: ['`git branch <name> <commit>` creates a branch anywhere.', 'It was one step back: `git branch feature HEAD@{1}`.'],
+            solution: ['git branch feature HEAD@{1}'],
+          },
+        ],
+      },
+      {
+        id: 'stash',
+        title: 'Park work with stash',
+        intro: 'An urgent fix comes in while you are halfway through something. Stash sets the unfinished work aside.',
+        setup: ['git init', 'echo "v1" > app.txt', 'git add app.txt', 'git commit -m "first commit"', 'echo "half done" >> app.txt'],
+        allow: ['git stash', 'git checkout', 'git commit', 'git merge', 'git add', 'echo'],
+        steps: [
+          {
+            text: 'Set your unfinished change aside.',
+            goal: { stash: 1, clean: true },
+            hints: ['`git stash`.'],
+            solution: ['git stash'],
+          },
+          {
+            text: 'Make the fix on a new `hotfix` branch and commit it.',
+            goal: { head: 'hotfix', branches: { master: 'hotfix~1' }, clean: true },
+            hints: ['`git checkout -b hotfix`, write the fix (`echo "fix" > fix.txt`), add it, commit.'],
+            solution: ['git checkout -b hotfix', 'echo "fix" > fix.txt', 'git add fix.txt', 'git commit -m "Urgent fix"'],
+          },
+          {
+            text: 'Back on `master`, take your unfinished work back out of the stash.',
+            goal: { head: 'master', stash: 0, clean: false },
+            hints: ['`git checkout master`, then `git stash pop`.'],
+            solution: ['git checkout master', 'git stash pop'],
+          },
+        ],
+      },
+    ],
+  },
+];
+
+if (typeof module !== 'undefined' && module.exports) module.exports = LESSON_COURSES;
@@ -0,0 +1,32 @@
+// Runs scenarios against the engine, no browser needed:
+//
+//   node scenarios/run.js                  tests.js, the built-in scenarios and lessons/courses.js
+//   node scenarios/run.js my-lesson.js     any files exporting a list of scenarios or of courses
+//
+// A course file (items with `lessons`) plays every lesson's solutions and
+// checks each step's goal. Exits non-zero if anything fails.
+
+const path = require('path');
+const { Scenarios, ScenarioRunner, Lessons } = require('../script.js');
+
+const files = process.argv.slice(2);
+const suites = files.length
+  ? files.map(f => [f, require(path.resolve(f))])
+  : [['scenarios/tests.js', require('./tests.js')], ['built-in scenarios', Scenarios.list()], ['lessons/courses.js', require('../lessons/courses.js')]];
+
+const results = list => list.some(item => item.lessons)
+  ? list.flatMap(course => course.lessons.map(lesson => ({ ...Lessons.verify(lesson), name: `${course.id}/${lesson.id}` })))
+  : ScenarioRunner.runAll(list);
+
+let failed = 0, total = 0;
+suites.forEach(([name, list]) => {
+  console.log(name);
+  results(list).forEach(r => {
+    total++;
+    if (!r.ok) failed++;
+    console.log(`  ${r.ok ? '✓' : '✗'} ${r.name}`);
+    r.failures.forEach(f => console.log(`      ${f}`));
+  });
+});
+console.log(failed ? `\n${failed} of ${total} checks failed` : `\nall ${total} checks passed`);
+process.exitCode = failed ? 1 : 0;
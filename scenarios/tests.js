@@ -0,0 +1,244 @@
+// The 30 QA scenarios from tests.md, with what each should leave behind,
+// then regressions found in review.
+// Run them with `node scenarios/run.js`; the format is described above
+// ScenarioRunner in script.js.
+
+const FIRST = ['git init', 'git commit -m "first"'];
+const ON_TEST = [...FIRST, 'git branch test', 'git checkout test', 'git commit -m "test"'];
+
+// git fast-export of A, then B on side and C on master, merged as M — all in one second
+const SAME_SECOND = ['A', 'C', 'B', 'M'].map((message, i) => [
+  `commit refs/heads/${message === 'B' ? 'side' : 'master'}`, `mark :${i + 1}`,
+  'author A <a@x> 1700000000 +0000', 'committer A <a@x> 1700000000 +0000', 'data 2', message,
+  ...{ C: ['from :1'], B: ['from :1'], M: ['from :2', 'merge :3'] }[message] || [], '',
+].join('\n')).join('');
+
+// git log of 5,000 commits in a line on master, and side forking off just below the tip
+const LONG = (n => {
+  const sha = i => i.toString(16).padStart(40, '0');
+  const lines = [`${sha(n)} ${sha(n - 1)} (HEAD -> refs/heads/master) c${n}`, `${'e'.repeat(40)} ${sha(n - 1)} (refs/heads/side) side`];
+  for (let i = n - 1; i >= 1; i--) lines.push(`${sha(i)}${i > 1 ? ` ${sha(i - 1)}` : ''} c${i}`);
+  return `${lines.join('\n')}\n`;
+})(5000);
+
+module.exports = [
+  {
+    name: '1. merge a branch that is behind',
+    steps: [...FIRST, 'git branch feature', 'git commit -m "second"', 'git merge feature'],
+    expect: { head: 'master', commits: 2, branches: { feature: 'HEAD~1' }, parents: { HEAD: 1 }, output: 'Already up-to-date' },
+  },
+  {
+    name: '2. checkout HEAD stays on the branch',
+    steps: [...FIRST, 'git checkout HEAD', 'git commit -m "detached"'],
+    expect: { head: 'master', detached: false, commits: 2 },
+  },
+  {
+    name: '3. merge master into a branch ahead of it',
+    steps: [...FIRST, 'git branch dev', 'git checkout dev', 'git commit -m "dev work"', 'git merge master'],
+    expect: { head: 'dev', commits: 2, branches: { master: 'HEAD~1' }, output: 'Already up-to-date' },
+  },
+  {
+    name: '4. merge a branch left at the old tip',
+    steps: [...FIRST, 'git branch bugfix', 'git commit -m "fix"', 'git merge bugfix'],
+    expect: { head: 'master', commits: 2, branches: { bugfix: 'HEAD~1' }, output: 'Already up-to-date' },
+  },
+  {
+    name: '5. rebase onto the commit the branch started from',
+    steps: [...FIRST, 'git branch feature', 'git checkout feature', 'git commit -m "feature"', 'git rebase master'],
+    expect: { head: 'feature', commits: 2, branches: { master: 'HEAD~1' }, output: 'Current branch is up to date.' },
+  },
+  {
+    name: '6. cherry-pick a commit already in history',
+    steps: [...FIRST, 'git branch hotfix', 'git checkout hotfix', 'git commit -m "hotfix"', { run: 'git cherry-pick master', error: /already in the history/ }],
+    expect: { head: 'hotfix', commits: 2 },
+  },
+  {
+    name: '7. delete a branch',
+    steps: [...FIRST, 'git branch test', 'git branch -d test'],
+    expect: { head: 'master', branches: ['master'], output: 'Deleted branch test' },
+  },
+  {
+    name: '8. delete the current branch',
+    steps: [...FIRST, 'git branch test', { run: 'git branch -d master', error: "Cannot delete the branch 'master'" }],
+    expect: { head: 'master', branches: ['master', 'test'] },
+  },
+  {
+    name: '9. reset --hard HEAD~1',
+    steps: [...ON_TEST, 'git reset --hard HEAD~1'],
+    expect: { head: 'test', commits: 1, branches: { test: 'master' }, clean: true },
+  },
+  {
+    name: '10. tag a branch tip',
+    steps: [...ON_TEST, 'git tag v1'],
+    expect: { head: 'test', tags: ['v1'], commits: 2, output: 'v1' },
+  },
+  {
+    name: '11. stash with nothing to stash',
+    steps: [...ON_TEST, { run: 'git stash', output: 'No local changes to save' }, { run: 'git stash pop', error: 'No stash entries found' }],
+    expect: { head: 'test', stash: 0, clean: true },
+  },
+  {
+    name: '12. log --graph',
+    steps: [...ON_TEST, 'git log --graph'],
+    expect: { head: 'test', output: ['* commit', '(HEAD -> test)', '(master)'] },
+  },
+  {
+    name: '13. diff between branches',
+    steps: [...ON_TEST, 'git diff master test'],
+    expect: { output: [/Commits on master not in test:\n {2}\(none\)/, /Commits on test not in master:\n {2}\w{7} {2}test/] },
+  },
+  {
+    name: '14. push with a branch name where the remote goes',
+    steps: [...ON_TEST, 'git push test'],
+    expect: { head: 'test', output: 'test -> test' },
+  },
+  {
+    name: '15. pull a branch the remote does not have',
+    steps: [...ON_TEST, { run: 'git pull test', error: "couldn't find remote ref test" }],
+    expect: { head: 'test', commits: 2 },
+  },
+  {
+    name: '16. checkout back to master',
+    steps: [...ON_TEST, 'git checkout master'],
+    expect: { head: 'master', commits: 1, parents: { test: ['master'] } },
+  },
+  {
+    name: '17. checkout a branch that does not exist',
+    steps: [...ON_TEST, { run: 'git checkout nonexist', error: 'did not match' }],
+    expect: { head: 'test', branches: ['master', 'test'] },
+  },
+  {
+    name: '18. delete the branch you are on',
+    steps: [...ON_TEST, { run: 'git branch -d test', error: "Cannot delete the branch 'test'" }],
+    expect: { head: 'test', branches: ['master', 'test'] },
+  },
+  {
+    name: '19. delete a merged branch from elsewhere',
+    steps: [...ON_TEST, 'git branch -d master'],
+    expect: { head: 'test', branches: ['test'], commits: 2 },
+  },
+  {
+    name: '20. merge master into a branch ahead of it',
+    steps: [...ON_TEST, 'git merge master'],
+    expect: { head: 'test', commits: 2, parents: { HEAD: 1 }, output: 'Already up-to-date' },
+  },
+  {
+    name: '21. merge a branch into itself',
+    steps: [...ON_TEST, { run: 'git merge test', error: 'into itself' }],
+    expect: { head: 'test', commits: 2 },
+  },
+  {
+    name: '22. rebase onto the commit the branch started from',
+    steps: [...ON_TEST, 'git rebase master'],
+    expect: { head: 'test', commits: 2, branches: { master: 'HEAD~1' }, output: 'Current branch is up to date.' },
+  },
+  {
+    name: '23. cherry-pick a commit already in history',
+    steps: [...ON_TEST, { run: 'git cherry-pick master', error: /already in the history/ }],
+    expect: { head: 'test', commits: 2 },
+  },
+  {
+    name: '24. reset --hard HEAD~1',
+    steps: [...ON_TEST, 'git reset --hard HEAD~1'],
+    expect: { head: 'test', commits: 1, branches: { test: 'master' }, clean: true },
+  },
+  {
+    name: '25. tag a branch tip',
+    steps: [...ON_TEST, 'git tag v1'],
+    expect: { head: 'test', tags: ['v1'], commits: 2 },
+  },
+  {
+    name: '26. stash with nothing to stash',
+    steps: [...ON_TEST, 'git stash', { run: 'git stash pop', error: 'No stash entries found' }],
+    expect: { head: 'test', stash: 0 },
+  },
+  {
+    name: '27. log --graph',
+    steps: [...ON_TEST, 'git log --graph'],
+    expect: { output: ['(HEAD -> test)', '(master)'] },
+  },
+  {
+    name: '28. diff between branches',
+    steps: [...ON_TEST, 'git diff master test'],
+    expect: { output: /Commits on test not in master:\n {2}\w{7} {2}test/ },
+  },
+  {
+    name: '29. push with a branch name where the remote goes',
+    steps: [...ON_TEST, 'git push test'],
+    expect: { output: '[new branch]' },
+  },
+  {
+    name: '30. pull a branch the remote does not have',
+    steps: [...ON_TEST, { run: 'git pull test', error: "couldn't find remote ref test" }],
+    expect: { head: 'test' },
+  },
+  {
+    name: '31. log --all lists same-second commits children first, as git does',
+    history: SAME_SECOND,
+    steps: ['git log --oneline --all'],
+    expect: { output: /\bM\n.* B\n.* C\n.* A$/ },
+  },
+  {
+    name: '32. import a git log whose parents loop back',
+    history: `${'b'.repeat(40)} ${'a'.repeat(40)}  (HEAD -> refs/heads/master) B\n${'a'.repeat(40)} ${'b'.repeat(40)} A\n`,
+    steps: ['git log --oneline'],
+    expect: { head: 'master', commits: 2, parents: { HEAD: 1, 'HEAD~1': 0 }, subjects: { HEAD: 'B', 'HEAD~1': 'A' } },
+  },
+  {
+    name: '33. commit -am and -m"msg"',
+    steps: ['git init', 'echo "a" > f.txt', 'git add f.txt', 'git commit -m "first"', 'echo "b" > f.txt', 'git commit -am "second"', 'echo "c" > f.txt', 'git commit -a -m"third"'],
+    expect: { commits: 3, clean: true, subjects: { HEAD: 'third', 'HEAD~1': 'second' } },
+  },
+  {
+    name: '34. branch -a and -r list remote-tracking branches',
+    steps: [...ON_TEST, 'git push origin test', { run: 'git branch -r', output: /^ {2}origin\/test \w{7}$/ }, 'git branch -a'],
+    expect: { head: 'test', output: /^ {2}master \w{7}\n\* test \w{7}\n {2}remotes\/origin\/test \w{7}$/ },
+  },
+  {
+    name: '35. the git add hint only follows unmerged files',
+    steps: [
+      'git init', 'echo "a" > f.txt', 'git add f.txt', 'git commit -m "base"', { run: 'git merge --continue', error: 'no merge in progress', output: /missing\)$/ },
+      'git checkout -b side', 'echo "b" > f.txt', 'git commit -am "side"', 'git checkout master', 'echo "c" > f.txt', 'git commit -am "main"',
+      { run: 'git merge side', error: 'CONFLICT' }, { run: 'git commit -m "merged"', error: 'unmerged files', output: /unmerged files\nhint: fix them up/ },
+    ],
+    expect: { conflicts: ['f.txt'] },
+  },
+  {
+    name: '36. log <sha> with an all-digit short sha starts from that commit',
+    history: `${'2'.repeat(40)} ${'1'.repeat(40)} (HEAD -> refs/heads/master) B\n${'1'.repeat(40)} A\n`,
+    steps: [{ run: 'git log --oneline -1', output: /^2{7} .*B$/ }, 'git log --oneline 1111111'],
+    expect: { output: /^1{7} A$/ },
+  },
+  {
+    name: '37. reset --hard moves a detached HEAD',
+    steps: [...FIRST, 'git commit --allow-empty -m "second"', 'git commit --allow-empty -m "third"', 'git checkout HEAD~1', 'git reset --hard HEAD~1'],
+    expect: { detached: true, subjects: { HEAD: 'first', master: 'third' }, clean: true },
+  },
+  {
+    name: '38. @{n} of a ref that does not exist',
+    steps: [...FIRST, { run: 'git reset --hard nosuch@{1}', error: "ambiguous argument 'nosuch@{1}': unknown revision" }],
+    expect: { head: 'master', commits: 1 },
+  },
+  {
+    name: '39. merge across a long imported history',
+    history: LONG,
+    steps: ['git merge side'],
+    expect: { head: 'master', commits: 5002, parents: { HEAD: 2 }, subjects: { 'HEAD^1': 'c5000', 'HEAD^2': 'side' } },
+  },
+  {
+    name: '40. exports keep a merge, an annotated tag, the stash and quoted file content',
+    steps: [
+      'git init', `echo 'he said "hi" to $USER' > q.txt`, 'git add q.txt', 'git commit -m "first"',
+      'git checkout -b feature', 'echo "f" > f.txt', 'git add f.txt', 'git commit -m "feature"',
+      'git checkout master', 'echo "m" > m.txt', 'git add m.txt', 'git commit -m "main"',
+      'git merge feature', 'git tag -a v1 -m "release one"', 'echo "wip" > q.txt', 'git stash',
+    ],
+    expect: {
+      export: {
+        sh: [/^put q\.txt 'he said "hi" to \$USER$/m, /^also "\$c_\w+"$/m, /^git tag -a v1 -m 'release one' "\$c_\w+"$/m, /^git update-ref .* refs\/stash "\$c_\w+"$/m],
+        replay: [/^echo 'he said "hi" to \$USER' > q\.txt$/m, /^git merge feature$/m, /^git tag -a v1 -m 'release one'$/m, /^git stash$/m],
+        'fast-import': [/^he said "hi" to \$USER$/m, /^merge :\d+$/m, /^tag v1$/m, /^commit refs\/stash$/m],
+      },
+    },
+  },
+];
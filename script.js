@@ -34,21 +34,135 @@ const EventBus = (() => {
 
 const GitState = (() => {
 
+  const REBASE_ACTIONS = ['pick', 'reword', 'edit', 'squash', 'fixup', 'drop'];
+  // Every new repository starts with an empty `origin` to push to
+  const DEFAULT_ORIGIN = 'https://example.com/project.git';
+  // `git config` until the student sets their own; like ~/.gitconfig it
+  // outlives `git init`
+  const DEFAULT_CONFIG = { 'user.name': 'You', 'user.email': 'you@example.com' };
+  const TEAMMATE = 'Sam <sam@example.com>';
+
   let _initialized = false;
   let _commits     = {};
   let _branches    = {};
   let _HEAD        = null;
   let _detached    = false;
-  let _stash       = [];
+  let _stash       = [];   // WIP commits of the stash stack, newest first: _stash[n] is stash@{n}
   let _tags        = {};
-  let _remote      = {};   // NEW: { branchName: sha } — simulates origin
+  let _annotations = {};   // annotated tags: { name: { tagger, message, timestamp } }
+  let _remotes     = {};   // { name: { url, commits, branches } } — separate repositories
+  let _tracking    = {};   // remote-tracking refs: { 'origin/main': sha }
+  let _index       = {};   // staging area: { path: content }
+  let _workdir     = {};   // working tree: { path: content }
+  let _merge       = null; // in-progress conflicted merge (MERGE_HEAD), see merge()
+  let _rebase      = null; // in-progress rebase sequencer, see rebase()
+  let _reflog      = {};   // { ref: [{ sha, message, timestamp }] } newest first
+  let _origHead    = null; // ORIG_HEAD: where HEAD was before reset / merge / rebase
+  let _config      = { ...DEFAULT_CONFIG };
+  let _clock       = 0;    // last commit timestamp handed out
+  let _seed        = null; // see seed(): commit times from a fixed clock instead of the real one
+  let _epoch       = 0;    // the seeded clock's first commit time
+  let _fresh       = null; // what assertValidState has not seen yet: { commits: [[map, sha]], reflog: [[ref, entry]] }, null = all of it
+
+  // A seeded repository starts near git's own first commit and steps a
+  // minute per commit; the seed picks the day within the following year
+  const SEED_EPOCH = Date.UTC(2005, 3, 7, 22, 13, 13);
+  const SEED_STEP  = 60 * 1000;
+
+  // Commit IDs are content addresses, as in git: the SHA-1 of a commit
+  // object naming its tree, parents, author, time and message, cut to 7
+  // digits. The rare clash with an existing commit is rehashed with a
+  // counter, so two commits never share an ID.
+  function _sha(c, taken = _taken) {
+    const stamp = `${c.author || _ident()} ${Math.floor(c.timestamp / 1000)} +0000`;
+    const body = [`tree ${_treeId(c.tree || {})}`, ...c.parents.map(p => `parent ${p}`), `author ${stamp}`, `committer ${stamp}`, '', c.message || ''].join('\n');
+    for (let n = 0; ; n++) {
+      const sha = _sha1(_object('commit', n ? `${body}\n${n}` : body)).slice(0, 7);
+      if (!taken(sha)) return sha;
+    }
+  }
+
+  function _taken(sha) { return !!_commits[sha] || Object.values(_remotes).some(r => r.commits[sha]); }
+
+  // Stores a new commit under its content address
+  function _newCommit(fields, commits = _commits) {
+    const sha = _sha(fields);
+    if (_fresh) _fresh.commits.push([commits, sha]);
+    return (commits[sha] = { ...fields, sha });
+  }
+
+  function _treeId(tree) {
+    const entries = Object.keys(tree).sort().map(p => `100644 blob ${_sha1(_object('blob', tree[p]))}\t${p}`);
+    return _sha1(_object('tree', entries.join('\n')));
+  }
 
-  function _sha() { return Math.random().toString(16).slice(2, 9); }
+  function _object(type, body) { return `${type} ${new TextEncoder().encode(body).length}\0${body}`; }
+
+  // SHA-1 (FIPS 180-1) of a string's UTF-8 bytes, as 40 hex digits
+  function _sha1(text) {
+    const bytes = new TextEncoder().encode(text);
+    const words = new Uint32Array((((bytes.length + 8) >> 6) + 1) * 16);
+    bytes.forEach((b, i) => { words[i >> 2] |= b << (24 - (i % 4) * 8); });
+    words[bytes.length >> 2] |= 0x80 << (24 - (bytes.length % 4) * 8);
+    words[words.length - 1] = bytes.length * 8;
+    const rotl = (x, n) => (x << n) | (x >>> (32 - n));
+    const h = [0x67452301, 0xEFCDAB89, 0x98BADCFE, 0x10325476, 0xC3D2E1F0], w = new Uint32Array(80);
+    for (let i = 0; i < words.length; i += 16) {
+      for (let t = 0; t < 80; t++) w[t] = t < 16 ? words[i + t] : rotl(w[t - 3] ^ w[t - 8] ^ w[t - 14] ^ w[t - 16], 1);
+      let [a, b, c, d, e] = h;
+      for (let t = 0; t < 80; t++) {
+        const f = t < 20 ? (b & c) | (~b & d) : t < 40 || t >= 60 ? b ^ c ^ d : (b & c) | (b & d) | (c & d);
+        const k = t < 20 ? 0x5A827999 : t < 40 ? 0x6ED9EBA1 : t < 60 ? 0x8F1BBCDC : 0xCA62C1D6;
+        const next = (rotl(a, 5) + f + e + k + w[t]) >>> 0;
+        e = d; d = c; c = rotl(b, 30); b = a; a = next;
+      }
+      [a, b, c, d, e].forEach((x, j) => { h[j] = (h[j] + x) >>> 0; });
+    }
+    return h.map(x => x.toString(16).padStart(8, '0')).join('');
+  }
+
+  // Commit times strictly increase, even for commands run in the same
+  // millisecond, so newest-first date order never puts a parent first
+  function _now() {
+    if (_seed !== null) return (_clock = Math.max(_epoch, _clock + SEED_STEP));
+    return (_clock = Math.max(Date.now(), _clock + 1));
+  }
+
+  // seed() — the current seed (null when commit times are real). With a
+  // seed, commit times come from a fixed clock restarted by `git init`, so
+  // the same commands, by the same author, give the same SHAs every time.
+  // seed(null) goes back to real time.
+  function seed(value) {
+    if (value === undefined) return _seed;
+    _seed = value === null ? null : String(value);
+    _epoch = _seed === null ? 0 : SEED_EPOCH + parseInt(_sha1(_seed).slice(0, 8), 16) % 365 * 86400 * 1000;
+    return _seed;
+  }
 
   function _currentSha() {
     return _detached ? _HEAD : (_branches[_HEAD] || null);
   }
 
+  // Reflog: newest entry first, so HEAD@{0} is where HEAD is now
+  function _logRef(ref, sha, message) {
+    if (!sha) return;
+    const entry = { sha, message, timestamp: Date.now() };
+    (_reflog[ref] = _reflog[ref] || []).unshift(entry);
+    if (_fresh) _fresh.reflog.push([ref, entry]);
+  }
+
+  // Points the current branch (or a detached HEAD) at `sha`, logging both
+  function _advanceHead(sha, message) {
+    if (_detached) _HEAD = sha;
+    else { _branches[_HEAD] = sha; _logRef(_HEAD, sha, message); }
+    _logRef('HEAD', sha, message);
+  }
+
+  function _subject(sha) { return _commits[sha].message.split('\n')[0]; }
+
+  // Author and tagger of everything made from now on: "Name <email>"
+  function _ident() { return `${_config['user.name']} <${_config['user.email']}>`; }
+
   function _branchColor(name) {
     const palette = ['--branch-0','--branch-1','--branch-2','--branch-3','--branch-4','--branch-5'];
     if (name === 'master' || name === 'main') return palette[0];
@@ -62,168 +176,663 @@ const GitState = (() => {
   function init() {
     _initialized = true;
     _commits = {}; _branches = { master: null };
-    _HEAD = 'master'; _detached = false; _stash = []; _tags = {}; _remote = {};
+    _HEAD = 'master'; _detached = false; _stash = []; _tags = {}; _annotations = {};
+    _remotes = { origin: _newRemote(DEFAULT_ORIGIN) }; _tracking = {};
+    _index = {}; _workdir = {}; _merge = null; _rebase = null;
+    _reflog = {}; _origHead = null; _clock = 0; _fresh = null;
   }
 
-  function commit(message) {
+  function commit(message, options = {}) {
     if (!_initialized) throw new Error('not a git repository');
-    const sha = _sha(), parent = _currentSha();
-    _commits[sha] = { sha, message, parents: parent ? [parent] : [], timestamp: Date.now(), branch: _detached ? null : _HEAD };
-    if (_detached) _HEAD = sha; else _branches[_HEAD] = sha;
-    EventBus.emit('commit_created', _commits[sha]);
+    if (options.all) Object.keys(_index).forEach(p => { _put(_index, p, _workdir[p]); delete _unmerged()[p]; });
+    if (Object.keys(_unmerged()).length) throw Object.assign(new Error('committing is not possible because you have unmerged files'), { code: 'unmerged' });
+    if (options.amend) {
+      // --amend replaces HEAD with a new commit on the same parents
+      if (_merge) throw new Error('you are in the middle of a merge -- cannot amend');
+      const old = _commits[_currentSha()];
+      if (!old) throw new Error('you have nothing to amend');
+      const { sha } = _newCommit({ ...old, message: message || old.message, timestamp: _now(), tree: { ..._index } });
+      _advanceHead(sha, `commit (amend): ${_subject(sha)}`);
+      EventBus.emit('commit_created', _commits[sha]);
+      return sha;
+    }
+    const parent = _currentSha();
+    const parents = parent ? [parent] : [];
+    if (_merge) parents.push(_merge.sourceSha);
+    const { sha } = _newCommit({ message: message || (_merge && _merge.message), parents, author: _ident(), timestamp: _now(), branch: _detached ? null : _HEAD, tree: { ..._index } });
+    if (_merge) _commits[sha].isMerge = true;
+    _advanceHead(sha, `commit${_merge ? ' (merge)' : parents.length ? '' : ' (initial)'}: ${_subject(sha)}`);
+    EventBus.emit(_merge ? 'merge_created' : 'commit_created', _commits[sha]);
+    _merge = null;
     return sha;
   }
 
-  function branch(name) {
+  // branch — creates `name` at `startPoint`; with `force` an existing
+  // branch (other than the checked-out one) is moved there instead
+  function branch(name, startPoint, options = {}) {
     if (!_initialized) throw new Error('not a git repository');
-    if (_branches[name] !== undefined) throw new Error(`branch '${name}' already exists`);
-    const current = _currentSha();
-    if (!current) throw new Error('cannot create branch: no commits yet');
-    _branches[name] = current;
-    EventBus.emit('branch_created', { name, sha: current });
+    const exists = _branches[name] !== undefined;
+    if (exists && !options.force) throw new Error(`branch '${name}' already exists`);
+    if (exists && _checkedOut(name)) throw new Error('cannot force update the current branch.');
+    if (!startPoint && !_currentSha()) throw new Error('cannot create branch: no commits yet');
+    const sha = resolve(startPoint || 'HEAD');
+    _branches[name] = sha;
+    _logRef(name, sha, exists ? `branch: Reset to ${startPoint || 'HEAD'}` : `branch: Created from ${startPoint || (_detached ? sha.slice(0, 7) : _HEAD)}`);
+    EventBus.emit(exists ? 'branch_moved' : 'branch_created', { name, sha });
     return name;
   }
 
+  // A branch HEAD is on, or that a rebase in progress will come back to
+  function _checkedOut(name) {
+    return (!_detached && _HEAD === name) || (!!_rebase && _rebase.branch === name);
+  }
+
+  // branch -d / -D — without `force` only a branch whose commits HEAD
+  // already contains, so no work is lost; returns the SHA it pointed at
+  function deleteBranch(name, force = false) {
+    if (!_initialized) throw new Error('not a git repository');
+    if (_branches[name] === undefined) throw new Error(`branch '${name}' not found.`);
+    if (_checkedOut(name)) throw new Error(`Cannot delete the branch '${name}' which you are currently on.`);
+    const sha = _branches[name];
+    if (!force && sha && !_isAncestor(sha, _currentSha())) throw new Error(`The branch '${name}' is not fully merged.`);
+    delete _branches[name];
+    delete _reflog[name];
+    EventBus.emit('branch_deleted', { name, sha });
+    return sha;
+  }
+
+  // branch -m / -M — the reflog, HEAD and any rebase in progress follow the
+  // branch to its new name
+  function renameBranch(oldName, newName, force = false) {
+    if (!_initialized) throw new Error('not a git repository');
+    if (_branches[oldName] === undefined) throw new Error(`no branch named '${oldName}'`);
+    if (oldName === newName) return newName;
+    if (_branches[newName] !== undefined) {
+      if (!force) throw new Error(`a branch named '${newName}' already exists`);
+      if (_checkedOut(newName)) throw new Error('cannot force update the current branch.');
+    }
+    const sha = _branches[oldName];
+    delete _branches[oldName];
+    _branches[newName] = sha;
+    const log = _reflog[oldName] || [];
+    delete _reflog[oldName];
+    _reflog[newName] = log;
+    _logRef(newName, sha, `Branch: renamed refs/heads/${oldName} to refs/heads/${newName}`);
+    if (!_detached && _HEAD === oldName) _HEAD = newName;
+    if (_rebase && _rebase.branch === oldName) _rebase.branch = newName;
+    EventBus.emit('branch_renamed', { from: oldName, to: newName, sha });
+    return newName;
+  }
+
   function checkout(target) {
     if (!_initialized) throw new Error('not a git repository');
+    _assertIdle();
+    const from = _detached ? _HEAD.slice(0, 7) : _HEAD;
+    if ((target === 'HEAD' || target === '@') && !_detached) return { type: 'branch', name: _HEAD };
     if (_branches[target] !== undefined) {
+      if (_branches[target]) _switchTree(_treeOf(_branches[target]), 'checkout');
       _HEAD = target; _detached = false;
+      _logRef('HEAD', _branches[target], `checkout: moving from ${from} to ${target}`);
       EventBus.emit('head_changed', { type: 'branch', name: target });
       return { type: 'branch', name: target };
     }
-    if (_commits[target]) {
-      _HEAD = target; _detached = true;
-      EventBus.emit('head_changed', { type: 'detached', sha: target });
-      return { type: 'detached', sha: target };
-    }
-    throw new Error(`pathspec '${target}' did not match any known branch or commit`);
+    let sha;
+    try { sha = resolve(target); }
+    catch (e) { throw /ambiguous \(/.test(e.message) ? e : new Error(`pathspec '${target}' did not match any known branch or commit`); }
+    _switchTree(_treeOf(sha), 'checkout');
+    _HEAD = sha; _detached = true;
+    _logRef('HEAD', sha, `checkout: moving from ${from} to ${target}`);
+    EventBus.emit('head_changed', { type: 'detached', sha });
+    return { type: 'detached', sha };
   }
 
-  function checkoutNewBranch(name) {
+  function checkoutNewBranch(name, startPoint) {
     if (!_initialized) throw new Error('not a git repository');
     if (_branches[name] !== undefined) throw new Error(`branch '${name}' already exists`);
-    _branches[name] = _currentSha(); _HEAD = name; _detached = false;
+    const from = _detached ? _HEAD.slice(0, 7) : _HEAD;
+    const sha = startPoint ? resolve(startPoint) : _currentSha();
+    if (startPoint) { _assertIdle(); _switchTree(_treeOf(sha), 'checkout'); }
+    _branches[name] = sha; _HEAD = name; _detached = false;
+    _logRef(name, sha, `branch: Created from ${startPoint || from}`);
+    _logRef('HEAD', sha, `checkout: moving from ${from} to ${name}`);
     return name;
   }
 
+  // merge — any revision: a branch, tag, origin/<x>, SHA or HEAD~N
   function merge(sourceBranch) {
     if (!_initialized) throw new Error('not a git repository');
+    _assertIdle();
     if (_detached) throw new Error('cannot merge in detached HEAD state');
     if (sourceBranch === _HEAD) throw new Error('cannot merge a branch into itself');
-    if (_branches[sourceBranch] === undefined) throw new Error(`branch '${sourceBranch}' not found`);
-    const sourceSha = _branches[sourceBranch], currentSha = _currentSha();
-    if (!sourceSha) throw new Error(`branch '${sourceBranch}' has no commits`);
+    let sourceSha;
+    try { sourceSha = resolve(sourceBranch); }
+    catch (e) { throw /ambiguous \(|no commits/.test(e.message) ? e : new Error(`merge: ${sourceBranch} - not something we can merge`); }
+    const currentSha = _currentSha();
     if (!currentSha) throw new Error('current branch has no commits');
     // Edge case: merging ancestor branch (should be already-up-to-date)
     if (sourceSha === currentSha || _isAncestor(sourceSha, currentSha)) return { type: 'already-up-to-date' };
     // Edge case: merging unrelated histories (no common ancestor)
-    let hasCommonAncestor = false;
-    const ancestorsA = _getAllAncestors(currentSha);
-    const ancestorsB = _getAllAncestors(sourceSha);
-    for (let sha of ancestorsA) { if (ancestorsB.has(sha)) { hasCommonAncestor = true; break; } }
-    if (!hasCommonAncestor) throw new Error('cannot merge: unrelated histories');
+    const base = _mergeBase(currentSha, sourceSha);
+    if (!base) throw new Error('cannot merge: unrelated histories');
     // Fast-forward merge
-    if (_isAncestor(currentSha, sourceSha)) { _branches[_HEAD] = sourceSha; return { type: 'fast-forward', sha: sourceSha }; }
-    // True merge
-    const sha = _sha();
-    _commits[sha] = { sha, message: `Merge branch '${sourceBranch}' into ${_HEAD}`, parents: [currentSha, sourceSha], timestamp: Date.now(), branch: _HEAD, isMerge: true };
-    _branches[_HEAD] = sha;
+    if (_isAncestor(currentSha, sourceSha)) {
+      _switchTree(_treeOf(sourceSha), 'merge');
+      _origHead = currentSha;
+      _advanceHead(sourceSha, `merge ${sourceBranch}: Fast-forward`);
+      return { type: 'fast-forward', sha: sourceSha };
+    }
+    // True merge: three-way per file against the merge base
+    const message = `Merge ${_describeRev(sourceBranch)} into ${_HEAD}`;
+    const { tree, conflicts } = _mergeTrees(_treeOf(base), _treeOf(currentSha), _treeOf(sourceSha), ['HEAD', sourceBranch]);
+    const saved = { index: { ..._index }, workdir: { ..._workdir } };
+    _switchTree(tree, 'merge');
+    _origHead = currentSha;
+    const paths = Object.keys(conflicts);
+    if (paths.length) {
+      // Stop in MERGING state: unmerged paths keep HEAD's version in the
+      // index and carry conflict markers in the working tree
+      paths.forEach(p => _put(_index, p, conflicts[p].ours));
+      _merge = { source: sourceBranch, sourceSha, base, message, conflicts, saved };
+      EventBus.emit('merge_conflict', { source: sourceBranch, paths });
+      return { type: 'conflict', base, conflicts: paths.map(p => ({ path: p, ...conflicts[p] })) };
+    }
+    const { sha } = _newCommit({ message, parents: [currentSha, sourceSha], author: _ident(), timestamp: _now(), branch: _HEAD, isMerge: true, tree });
+    _advanceHead(sha, `merge ${sourceBranch}: Merge made by the 'ort' strategy.`);
     EventBus.emit('merge_created', _commits[sha]);
-    return { type: 'merge', sha };
+    return { type: 'merge', sha, base };
+  }
+
+  // merge --abort — puts index and working tree back as they were before
+  // the conflicted merge started; HEAD never moved
+  function mergeAbort() {
+    if (!_initialized) throw new Error('not a git repository');
+    if (!_merge) throw new Error('there is no merge to abort (MERGE_HEAD missing)');
+    _index = _merge.saved.index; _workdir = _merge.saved.workdir; _merge = null;
+    return true;
+  }
+
+  // merge --continue — concludes the merge with its default message
+  function mergeContinue() {
+    if (!_initialized) throw new Error('not a git repository');
+    if (!_merge) throw new Error('there is no merge in progress (MERGE_HEAD missing)');
+    return commit(_merge.message);
+  }
+
+  // rebasePlan — the default todo list for `git rebase -i`: one pick per
+  // commit on the current branch that is not already in `target`
+  function rebasePlan(target) {
+    if (!_initialized) throw new Error('not a git repository');
+    _assertIdle();
+    if (_detached) throw new Error('cannot rebase in detached HEAD state');
+    const onto = resolve(target), currentSha = _currentSha();
+    if (!currentSha) throw new Error('current branch has no commits to rebase');
+    const todo = _commitsToReplay(currentSha, onto).map(c => ({ action: 'pick', sha: c.sha, message: c.message }));
+    return { onto, ontoName: target, branch: _HEAD, todo };
   }
 
-  function rebase(targetBranch) {
+  // rebase — replays the current branch onto `target`, following
+  // `options.todo` (pick / reword / edit / squash / fixup / drop) when given.
+  // Like real git, HEAD is detached while the sequencer runs; the branch
+  // only moves once every step has been applied.
+  function rebase(target, options = {}) {
     if (!_initialized) throw new Error('not a git repository');
+    _assertIdle();
     if (_detached) throw new Error('cannot rebase in detached HEAD state');
-    if (targetBranch === _HEAD) throw new Error('cannot rebase a branch onto itself');
-    if (_branches[targetBranch] === undefined) throw new Error(`branch '${targetBranch}' not found`);
-    const targetSha = _branches[targetBranch], currentSha = _currentSha();
-    if (!targetSha) throw new Error(`branch '${targetBranch}' has no commits`);
+    if (target === _HEAD) throw new Error('cannot rebase a branch onto itself');
+    const onto = resolve(target), currentSha = _currentSha();
     if (!currentSha) throw new Error('current branch has no commits to rebase');
-    const targetAncestors = _getAllAncestors(targetSha);
-    const toReplay = _getCommitsSince(currentSha, targetAncestors);
-    if (toReplay.length === 0) return { type: 'already-up-to-date' };
-    let base = targetSha;
-    toReplay.forEach(oldCommit => {
-      const newSha = _sha();
-      _commits[newSha] = { sha: newSha, message: oldCommit.message, parents: [base], timestamp: Date.now(), branch: _HEAD, rebased: true, originalSha: oldCommit.sha };
-      EventBus.emit('rebase_commit_created', _commits[newSha]);
-      base = newSha;
+    if (!options.todo && (onto === currentSha || _isAncestor(onto, currentSha))) return { type: 'already-up-to-date' };
+    const todo = (options.todo || _commitsToReplay(currentSha, onto).map(c => ({ action: 'pick', sha: c.sha, message: c.message })))
+      .map(step => ({ ...step, action: step.action.toLowerCase() }));
+    todo.forEach(step => {
+      if (!REBASE_ACTIONS.includes(step.action)) throw new Error(`invalid todo command '${step.action}'`);
+      if (!_commits[step.sha]) throw new Error(`invalid todo line: unknown commit '${step.sha}'`);
     });
-    _branches[_HEAD] = base;
-    return { type: 'rebase', count: toReplay.length, tip: base };
+    const first = todo.find(step => step.action !== 'drop');
+    if (first && (first.action === 'squash' || first.action === 'fixup')) throw new Error(`cannot '${first.action}' without a previous commit`);
+    const s = status();
+    if (s.staged.length || s.unstaged.length) throw new Error('cannot rebase: you have unstaged changes; commit or stash them first');
+
+    const saved = { index: { ..._index }, workdir: { ..._workdir } };
+    _switchTree(_treeOf(onto), 'rebase');
+    _rebase = { branch: _HEAD, onto, ontoName: target, origHead: currentSha, saved, todo, done: [], total: todo.length, stop: null, conflicts: {}, interactive: !!options.todo };
+    _HEAD = onto; _detached = true; _origHead = currentSha;
+    _logRef('HEAD', onto, `rebase${_rebase.interactive ? ' (interactive)' : ''} (start): checkout ${target}`);
+    return _rebaseRun();
+  }
+
+  function rebaseContinue() {
+    if (!_initialized) throw new Error('not a git repository');
+    if (!_rebase) throw new Error('no rebase in progress');
+    if (Object.keys(_rebase.conflicts).length) throw new Error('you must edit all merge conflicts and then mark them as resolved using git add');
+    const stop = _rebase.stop;
+    if (stop && stop.reason === 'conflict') {
+      _rebase.stop = null;
+      if (!_sameTree(_index, _treeOf(_HEAD))) _rebaseCommit(stop.step);
+      if (stop.step.action === 'edit') { _rebase.stop = { reason: 'edit', step: stop.step }; return _rebaseStopped(); }
+    } else if (stop) {
+      if (!_sameTree(_index, _treeOf(_HEAD))) throw new Error('you have staged changes in your working tree; run git commit --amend to squash them into the stopped commit, then git rebase --continue');
+      _rebase.stop = null;
+    }
+    return _rebaseRun();
+  }
+
+  // rebase --skip — drops the step that stopped and carries on
+  function rebaseSkip() {
+    if (!_initialized) throw new Error('not a git repository');
+    if (!_rebase) throw new Error('no rebase in progress');
+    _resetTrees(_treeOf(_HEAD));
+    _rebase.conflicts = {}; _rebase.stop = null;
+    return _rebaseRun();
+  }
+
+  // rebase --abort — the branch never moved, so reattach HEAD to it and put
+  // the pre-rebase index and working tree back
+  function rebaseAbort() {
+    if (!_initialized) throw new Error('not a git repository');
+    if (!_rebase) throw new Error('no rebase in progress');
+    _HEAD = _rebase.branch; _detached = false;
+    _logRef('HEAD', _branches[_HEAD], `rebase (abort): returning to refs/heads/${_HEAD}`);
+    _index = _rebase.saved.index; _workdir = _rebase.saved.workdir;
+    _rebase = null;
+    return _branches[_HEAD];
+  }
+
+  function _rebaseRun() {
+    while (_rebase.todo.length) {
+      const step = _rebase.todo.shift();
+      _rebase.done.push(step);
+      if (step.action === 'drop') continue;
+      const old = _commits[step.sha];
+      // A plain pick whose parent is already HEAD is fast-forwarded: the
+      // commit is reused as-is and keeps its SHA
+      if ((step.action === 'pick' || step.action === 'edit') && old.parents[0] === _HEAD) {
+        _HEAD = old.sha; _resetTrees(_treeOf(old.sha));
+        _logRef('HEAD', old.sha, `rebase (${step.action}): fast-forward`);
+      } else {
+        const { tree, conflicts } = _mergeTrees(_treeOf(old.parents[0]), _treeOf(_HEAD), old.tree || {}, ['HEAD', `${old.sha.slice(0, 7)} (${old.message.split('\n')[0]})`]);
+        _switchTree(tree, 'rebase');
+        const paths = Object.keys(conflicts);
+        if (paths.length) {
+          paths.forEach(p => _put(_index, p, conflicts[p].ours));
+          _rebase.conflicts = conflicts;
+          _rebase.stop = { reason: 'conflict', step };
+          EventBus.emit('rebase_conflict', { sha: old.sha, paths });
+          return _rebaseStopped();
+        }
+        _rebaseCommit(step);
+      }
+      if (step.action === 'edit') { _rebase.stop = { reason: 'edit', step }; return _rebaseStopped(); }
+    }
+    const { branch, onto, done } = _rebase, tip = _HEAD;
+    // Count the commits between onto and the new tip that did not exist before
+    const replayed = new Set(done.map(step => step.sha));
+    let count = 0;
+    for (let sha = tip; sha && sha !== onto; sha = _commits[sha].parents[0]) if (!replayed.has(sha)) count++;
+    _branches[branch] = tip; _HEAD = branch; _detached = false; _rebase = null;
+    _logRef(branch, tip, `rebase (finish): refs/heads/${branch} onto ${onto}`);
+    _logRef('HEAD', tip, `rebase (finish): returning to refs/heads/${branch}`);
+    return { type: 'rebase', branch, count, tip };
+  }
+
+  // Records the index as the rewritten version of `step`. Squash and fixup
+  // fold into the commit HEAD points at; commits whose change is already
+  // upstream come out empty and are dropped, as in real git.
+  function _rebaseCommit(step) {
+    const old = _commits[step.sha], head = _commits[_HEAD];
+    const tree = { ..._index };
+    if (step.action === 'squash' || step.action === 'fixup') {
+      const message = step.action === 'fixup' ? head.message : `${head.message}\n\n${step.message || old.message}`;
+      const { sha } = _newCommit({ message, parents: head.parents.slice(), author: head.author, timestamp: _now(), branch: _rebase.branch, rebased: true, originalSha: head.originalSha || head.sha, squashedFrom: [...(head.squashedFrom || [head.originalSha || head.sha]), old.sha], tree });
+      _HEAD = sha;
+      _logRef('HEAD', sha, `rebase (${step.action}): ${_subject(sha)}`);
+      EventBus.emit('rebase_commit_created', _commits[sha]);
+      return sha;
+    }
+    if (_sameTree(tree, _treeOf(_HEAD)) && !_sameTree(_treeOf(old.sha), _treeOf(old.parents[0]))) return null;
+    const { sha } = _newCommit({ message: step.action === 'reword' && step.message ? step.message : old.message, parents: [_HEAD], author: old.author, timestamp: _now(), branch: _rebase.branch, rebased: true, originalSha: old.sha, tree });
+    _HEAD = sha;
+    _logRef('HEAD', sha, `rebase (${step.action}): ${_subject(sha)}`);
+    EventBus.emit('rebase_commit_created', _commits[sha]);
+    return sha;
+  }
+
+  function _rebaseStopped() {
+    const { stop, conflicts, done, total } = _rebase;
+    return { type: 'stopped', reason: stop.reason, step: stop.step, conflicts: Object.keys(conflicts).map(p => ({ path: p, ...conflicts[p] })), done: done.length, total };
   }
 
+  // cherryPick — one revision, or every commit in an A..B range oldest
+  // first; `picks` lists what was applied, the other fields the last pick
   function cherryPick(sha) {
-    let match = _commits[sha] ? sha : Object.keys(_commits).find(s => s.startsWith(sha));
-    if (!match) throw new Error(`bad revision '${sha}'`);
-    const source = _commits[match], currentSha = _currentSha();
-    if (!currentSha) throw new Error('cannot cherry-pick: no commits on current branch');
-    const newSha = _sha();
-    _commits[newSha] = { sha: newSha, message: source.message, parents: [currentSha], timestamp: Date.now(), branch: _detached ? null : _HEAD, cherryPicked: true, originalSha: match };
-    EventBus.emit('cherry_pick_created', _commits[newSha]);
-    if (_detached) _HEAD = newSha; else _branches[_HEAD] = newSha;
-    return { sha: newSha, original: match, message: source.message };
-  }
-
-  function resetHard(target) {
     if (!_initialized) throw new Error('not a git repository');
-    if (_detached) throw new Error('cannot reset in detached HEAD state');
-    let sha = target;
-    if (/^HEAD~(\d+)$/.test(target)) {
-      const steps = parseInt(target.match(/^HEAD~(\d+)$/)[1], 10);
-      sha = _walkBack(_currentSha(), steps);
-      if (!sha) throw new Error(`HEAD~${steps} is not a valid commit`);
-    } else if (target === 'HEAD') {
-      sha = _currentSha();
+    _assertIdle();
+    if (!_currentSha()) throw new Error('cannot cherry-pick: no commits on current branch');
+    let sources;
+    if (sha.includes('..')) {
+      sources = revList([sha]).reverse();
+      if (!sources.length) throw new Error('empty commit set passed');
     } else {
-      const m = Object.keys(_commits).find(s => s.startsWith(sha));
-      if (m) sha = m; else if (!_commits[sha]) throw new Error(`'${target}' is not a valid commit SHA`);
+      try { sources = [_commits[resolve(sha)]]; }
+      catch (e) { throw /ambiguous \(/.test(e.message) ? e : new Error(`bad revision '${sha}'`); }
     }
-    _branches[_HEAD] = sha; return sha;
+    const merges = sources.filter(c => c.parents.length > 1);
+    if (merges.length) throw new Error(`commit ${merges[0].sha.slice(0, 7)} is a merge but no -m option was given`);
+    const picks = [];
+    sources.forEach(source => {
+      const currentSha = _currentSha();
+      let tree;
+      try {
+        // Its change is already here, so picking it again would be empty
+        if (_isAncestor(source.sha, currentSha)) throw new Error(`commit ${source.sha.slice(0, 7)} is already in the history of HEAD; the cherry-pick would be empty`);
+        tree = _applyChange(source, _treeOf(currentSha)); _switchTree(tree, 'cherry-pick');
+      }
+      catch (e) { throw picks.length ? new Error(`${e.message} (stopped at ${source.sha.slice(0, 7)}; ${picks.length} of ${sources.length} commits applied)`) : e; }
+      const { sha: newSha } = _newCommit({ message: source.message, parents: [currentSha], author: source.author, timestamp: _now(), branch: _detached ? null : _HEAD, cherryPicked: true, originalSha: source.sha, tree });
+      EventBus.emit('cherry_pick_created', _commits[newSha]);
+      _advanceHead(newSha, `cherry-pick: ${_subject(newSha)}`);
+      picks.push({ sha: newSha, original: source.sha, message: source.message });
+    });
+    return { ...picks[picks.length - 1], picks };
+  }
+
+  // reset — moves the current branch (or a detached HEAD) to `target`.
+  // --soft stops there, --mixed (the default) also makes the index match,
+  // --hard the working tree too. Returns the new tip and, for --mixed, what
+  // is left unstaged.
+  function reset(target = 'HEAD', mode = 'mixed') {
+    if (!_initialized) throw new Error('not a git repository');
+    if (!['soft', 'mixed', 'hard'].includes(mode)) throw new Error(`unknown reset mode '${mode}'`);
+    if (_rebase) throw new Error('a rebase is in progress; use git rebase --continue, --skip or --abort');
+    if (_merge && mode === 'soft') throw new Error('Cannot do a soft reset in the middle of a merge.');
+    const sha = resolve(target);
+    if (mode === 'hard') _resetTrees(_treeOf(sha));
+    if (mode === 'mixed') _index = { ..._treeOf(sha) };
+    _merge = null;
+    _origHead = _currentSha();
+    _advanceHead(sha, `reset: moving to ${target}`);
+    return { sha, mode, unstaged: mode === 'mixed' ? status().unstaged : [] };
+  }
+
+  // revert — a new commit that undoes `rev`'s change; a merge needs
+  // `options.mainline` to say which parent's side to go back to
+  function revert(rev, options = {}) {
+    if (!_initialized) throw new Error('not a git repository');
+    _assertIdle();
+    const currentSha = _currentSha();
+    if (!currentSha) throw new Error('cannot revert: no commits on current branch');
+    let source;
+    try { source = _commits[resolve(rev)]; }
+    catch (e) { throw /ambiguous \(/.test(e.message) ? e : new Error(`bad revision '${rev}'`); }
+    const short = source.sha.slice(0, 7), mainline = options.mainline;
+    if (source.parents.length > 1 && !mainline) throw new Error(`commit ${short} is a merge but no -m option was given.`);
+    if (source.parents.length < 2 && mainline) throw new Error(`mainline was specified but commit ${short} is not a merge.`);
+    if (mainline && !source.parents[mainline - 1]) throw new Error(`commit ${short} does not have parent ${mainline}`);
+    const parent = source.parents[(mainline || 1) - 1];
+    if (!parent) throw new Error(`cannot revert ${short}: it is a root commit`);
+    // Three-way merge with the roles swapped: the reverted commit is the
+    // base and its parent the side we take changes from
+    const { tree, conflicts } = _mergeTrees(source.tree || {}, _treeOf(currentSha), _treeOf(parent), ['HEAD', `parent of ${short} (${_subject(source.sha)})`]);
+    const paths = Object.keys(conflicts);
+    if (paths.length) throw new Error(`could not revert ${short}... ${_subject(source.sha)} — conflict in '${paths.join("', '")}'`);
+    if (_sameTree(tree, _treeOf(currentSha))) throw new Error(`nothing to commit — reverting ${short} changes nothing on this branch`);
+    _switchTree(tree, 'revert');
+    const message = `Revert "${_subject(source.sha)}"\n\nThis reverts commit ${source.sha}${mainline ? `, reversing\nchanges made to ${parent}` : ''}.`;
+    const { sha } = _newCommit({ message, parents: [currentSha], author: _ident(), timestamp: _now(), branch: _detached ? null : _HEAD, isRevert: true, revertedSha: source.sha, tree });
+    _advanceHead(sha, `revert: ${_subject(sha)}`);
+    EventBus.emit('revert_created', _commits[sha]);
+    return { sha, reverted: source.sha, mainline: mainline || null };
+  }
+
+  /* ---------- stash ---------- */
+  // Like real git, an entry is a WIP commit of the tracked working tree
+  // whose parents are the commit it was made on and an "index on" commit
+  // holding what was staged
+
+  // stash — saves and clears local changes; null when there are none
+  function stash(message) {
+    if (!_initialized) throw new Error('not a git repository');
+    _assertIdle();
+    const base = _currentSha();
+    if (!base) throw new Error('you do not have the initial commit yet');
+    const head = _treeOf(base), worktree = {};
+    Object.keys(_index).forEach(p => _put(worktree, p, _workdir[p]));
+    if (_sameTree(_index, head) && _sameTree(worktree, _index)) return null;
+    const where = _detached ? '(no branch)' : _HEAD, on = `${base.slice(0, 7)} ${_subject(base)}`;
+    const now = _now();
+    const { sha: indexSha } = _newCommit({ message: `index on ${where}: ${on}`, parents: [base], author: _ident(), timestamp: now, branch: null, stash: 'index', tree: { ..._index } });
+    const { sha } = _newCommit({ message: message ? `On ${where}: ${message}` : `WIP on ${where}: ${on}`, parents: [base, indexSha], author: _ident(), timestamp: now, branch: null, stash: 'wip', tree: worktree });
+    _stash.unshift(sha);
+    _resetTrees(head);
+    EventBus.emit('stash_created', _commits[sha]);
+    return { sha, selector: 'stash@{0}', message: _commits[sha].message };
   }
 
-  function stash() {
+  // 'stash@{n}' (or a bare n) → n
+  function _stashIndex(ref = 'stash@{0}') {
+    const m = /^(?:stash@\{(\d+)\}|(\d+))$/.exec(String(ref));
+    if (!m) throw new Error(`'${ref}' is not a stash-like commit`);
+    if (!_stash.length) throw new Error('No stash entries found.');
+    const n = parseInt(m[1] ?? m[2], 10);
+    if (n >= _stash.length) throw new Error(`log for 'refs/stash' only has ${_stash.length} entr${_stash.length === 1 ? 'y' : 'ies'}`);
+    return n;
+  }
+
+  function stashList() {
+    if (!_initialized) throw new Error('not a git repository');
+    return _stash.map((sha, n) => ({ selector: `stash@{${n}}`, sha, message: _commits[sha].message, base: _commits[sha].parents[0] }));
+  }
+
+  // stash show — the entry's changes against the commit it was made on
+  function stashShow(ref) {
+    if (!_initialized) throw new Error('not a git repository');
+    const wip = _commits[_stash[_stashIndex(ref)]], from = _treeOf(wip.parents[0]), to = wip.tree;
+    return [...new Set([...Object.keys(from), ...Object.keys(to)])].sort()
+      .filter(p => from[p] !== to[p])
+      .map(p => ({ path: p, change: from[p] === undefined ? 'new file' : to[p] === undefined ? 'deleted' : 'modified', lines: _diffLines(from[p], to[p]) }));
+  }
+
+  // stash apply — merges the entry's changes into the working tree; with
+  // `options.index` what was staged is staged again. Conflicts leave
+  // markers in the files and the entry stays on the stack.
+  function stashApply(ref, options = {}) {
     if (!_initialized) throw new Error('not a git repository');
-    const c = _currentSha(); if (!c) throw new Error('nothing to stash');
-    _stash.push(c); return _stash.length - 1;
+    _assertIdle();
+    const n = _stashIndex(ref), wip = _commits[_stash[n]];
+    const base = _treeOf(wip.parents[0]), staged = _treeOf(wip.parents[1]), head = _treeOf(_currentSha());
+    const differs = tree => [...new Set([...Object.keys(base), ...Object.keys(tree)])].filter(p => base[p] !== tree[p]);
+    const changed = differs(wip.tree);
+    const dirty = changed.filter(p => _index[p] !== head[p] || _workdir[p] !== _index[p]);
+    if (dirty.length) throw new Error(`your local changes to '${dirty.join("', '")}' would be overwritten by stash apply; commit or stash them first`);
+    const { tree, conflicts } = _mergeTrees(base, head, wip.tree, ['Updated upstream', 'Stashed changes']);
+    const paths = Object.keys(conflicts);
+    if (paths.length && options.index) throw new Error('Conflicts in index. Try without --index.');
+    changed.forEach(p => _put(_workdir, p, tree[p]));
+    if (options.index) differs(staged).forEach(p => _put(_index, p, staged[p]));
+    // Files the stash added were tracked when it was made, so stay staged
+    else changed.filter(p => base[p] === undefined && staged[p] !== undefined && !conflicts[p]).forEach(p => _put(_index, p, tree[p]));
+    return { sha: wip.sha, selector: `stash@{${n}}`, files: changed.sort(), conflicts: paths.sort() };
   }
 
-  function stashPop() {
+  // stash pop — apply, then drop the entry unless that stopped on conflicts
+  function stashPop(ref, options = {}) {
+    const result = stashApply(ref, options);
+    if (!result.conflicts.length) _stash.splice(_stashIndex(result.selector), 1);
+    return { ...result, dropped: !result.conflicts.length };
+  }
+
+  function stashDrop(ref) {
+    if (!_initialized) throw new Error('not a git repository');
+    const n = _stashIndex(ref);
+    return { selector: `stash@{${n}}`, sha: _stash.splice(n, 1)[0] };
+  }
+
+  // stash branch — a new branch at the commit the entry was made on, with
+  // the entry popped onto it, so it always applies cleanly
+  function stashBranch(name, ref) {
     if (!_initialized) throw new Error('not a git repository');
-    if (!_stash.length) throw new Error('no stash entries found');
-    return _stash.pop();
+    const n = _stashIndex(ref), wip = _commits[_stash[n]];
+    checkoutNewBranch(name, wip.parents[0]);
+    return stashPop(`stash@{${n}}`, { index: true });
   }
 
-  function tag(name, target) {
+  // tag — lightweight, or annotated when `options.message` is given
+  function tag(name, target, options = {}) {
     if (!_initialized) throw new Error('not a git repository');
     if (_tags[name]) throw new Error(`tag '${name}' already exists`);
-    let sha = target || _currentSha(); if (!sha) throw new Error('no commits to tag');
-    const m = Object.keys(_commits).find(s => s.startsWith(sha)); if (m) sha = m;
-    if (!_commits[sha]) throw new Error(`'${target}' is not a valid SHA`);
-    _tags[name] = sha; return sha;
+    if (!_currentSha() && !target) throw new Error('no commits to tag');
+    let sha;
+    try { sha = resolve(target || 'HEAD'); }
+    catch (e) { throw /ambiguous \(/.test(e.message) ? e : new Error(`failed to resolve '${target}' as a valid ref`); }
+    _tags[name] = sha;
+    if (options.message) _annotations[name] = { tagger: _ident(), message: options.message, timestamp: Date.now() };
+    return sha;
   }
 
-  function log(limit = 10) {
+  function deleteTag(name) {
     if (!_initialized) throw new Error('not a git repository');
-    const current = _currentSha(); if (!current) return [];
-    const result = [], visited = new Set(), queue = [current];
-    while (queue.length && result.length < limit) {
-      const sha = queue.shift(); if (!sha || visited.has(sha)) continue;
-      visited.add(sha); const c = _commits[sha]; if (!c) continue;
-      result.push(c); c.parents.forEach(p => queue.push(p));
+    if (!_tags[name]) throw new Error(`tag '${name}' not found.`);
+    const sha = _tags[name];
+    delete _tags[name];
+    delete _annotations[name];
+    return sha;
+  }
+
+  // Tags sorted by name, optionally only those matching a glob (`v1.*`)
+  function tagList(pattern) {
+    if (!_initialized) throw new Error('not a git repository');
+    const re = pattern && new RegExp('^' + pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.') + '$');
+    return Object.keys(_tags).sort().filter(name => !re || re.test(name)).map(getTag);
+  }
+
+  // { name, sha, annotated, tagger?, message?, timestamp? } or null
+  function getTag(name) {
+    if (!_tags[name]) return null;
+    return { name, sha: _tags[name], annotated: !!_annotations[name], ...(_annotations[name] || {}) };
+  }
+
+  // log — commits in the order `git log` prints them. `revs` are rev-list
+  // arguments (rev, ^rev, A..B, A...B; HEAD when empty) and options:
+  //   all          start from every ref as well
+  //   firstParent  follow only the first parent of merges
+  //   order        'date' (newest first, the default) or 'topo' (--graph:
+  //                no parent before its children, each line kept together)
+  //   grep, author regex lists (any of each must match), ignoreCase
+  //   since, until timestamps
+  //   reverse      oldest first, applied after `limit` as in git
+  function log(limit = 10, revs = [], options = {}) {
+    if (!_initialized) throw new Error('not a git repository');
+    if (!revs.length && !options.all && !_currentSha()) return [];
+    const { include, hidden } = _revArgs(revs.length ? revs : options.all ? [] : ['HEAD']);
+    if (options.all) include.push(_currentSha(), ...Object.values(_branches), ...Object.values(_tags), ...Object.values(_tracking), _stash[0]);
+    const parentsOf = c => options.firstParent ? c.parents.slice(0, 1) : c.parents;
+
+    // Walk newest first, like git's commit queue: ties go to whichever
+    // commit was queued first
+    const queue = [], seen = new Set(), walked = [];
+    let seq = 0;
+    const push = sha => {
+      if (!sha || seen.has(sha) || hidden.has(sha) || !_commits[sha]) return;
+      seen.add(sha);
+      const item = { c: _commits[sha], seq: seq++ };
+      let lo = 0, hi = queue.length;
+      while (lo < hi) { const mid = (lo + hi) >> 1; if (queue[mid].c.timestamp >= item.c.timestamp) lo = mid + 1; else hi = mid; }
+      queue.splice(lo, 0, item);
+    };
+    include.forEach(push);
+    while (queue.length) {
+      const { c } = queue.shift();
+      walked.push(c);
+      parentsOf(c).forEach(push);
+    }
+    const ordered = options.order === 'topo' ? _topoOrder(walked, parentsOf) : walked;
+
+    const regexes = (patterns = []) => patterns.map(p => {
+      try { return new RegExp(p, options.ignoreCase ? 'i' : ''); }
+      catch (e) { throw new Error(`invalid regex '${p}'`); }
+    });
+    const grep = regexes(options.grep), author = regexes(options.author);
+    const matches = (res, text) => !res.length || res.some(re => re.test(text || ''));
+    const picked = ordered.filter(c => matches(grep, c.message) && matches(author, c.author)
+      && (options.since === undefined || c.timestamp >= options.since)
+      && (options.until === undefined || c.timestamp <= options.until)).slice(0, limit);
+    return options.reverse ? picked.reverse() : picked;
+  }
+
+  // git's graph order: a commit only once all its children are out, and
+  // after a merge its second parent's line first, so each line of history
+  // stays together
+  function _topoOrder(commits, parentsOf) {
+    const inSet = new Set(commits.map(c => c.sha)), children = {};
+    commits.forEach(c => parentsOf(c).forEach(p => { if (inSet.has(p)) children[p] = (children[p] || 0) + 1; }));
+    const stack = commits.filter(c => !children[c.sha]).reverse(), result = [];
+    while (stack.length) {
+      const c = stack.pop();
+      result.push(c);
+      parentsOf(c).forEach(p => { if (inSet.has(p) && --children[p] === 0) stack.push(_commits[p]); });
     }
     return result;
   }
 
+  // compare — what each side has that the other lacks: b..a and a..b
+  function compare(a, b) {
+    return { onlyA: revList([`${b}..${a}`]), onlyB: revList([`${a}..${b}`]) };
+  }
+
+  // config — read a key (null when unset) or set it; keys are section.name
+  function config(key, value) {
+    if (!/^[a-z][a-z0-9-]*\.[a-z][a-z0-9.-]*$/i.test(key)) throw new Error(`invalid key: ${key}`);
+    if (value === undefined) return _config[key] === undefined ? null : _config[key];
+    _config[key] = value;
+    return value;
+  }
+
+  function configList() { return { ..._config }; }
+
   function status() {
     if (!_initialized) throw new Error('not a git repository');
-    return { head: _HEAD, detached: _detached, branch: _detached ? null : _HEAD, sha: _currentSha(), branches: Object.keys(_branches), stashCount: _stash.length };
+    const head = _treeOf(_currentSha()), staged = [], unstaged = [], untracked = [];
+    const conflicts = _unmerged();
+    const unmerged = Object.keys(conflicts).sort().map(p => ({ path: p, change: conflicts[p].kind }));
+    const isUnmerged = p => conflicts[p] !== undefined;
+    new Set([...Object.keys(head), ...Object.keys(_index)]).forEach(p => {
+      if (head[p] === _index[p] || isUnmerged(p)) return;
+      staged.push({ path: p, change: head[p] === undefined ? 'new file' : _index[p] === undefined ? 'deleted' : 'modified' });
+    });
+    Object.keys(_index).forEach(p => {
+      if (_workdir[p] !== _index[p] && !isUnmerged(p)) unstaged.push({ path: p, change: _workdir[p] === undefined ? 'deleted' : 'modified' });
+    });
+    Object.keys(_workdir).forEach(p => { if (_index[p] === undefined && !isUnmerged(p)) untracked.push(p); });
+    const byPath = (a, b) => a.path.localeCompare(b.path);
+    return {
+      head: _HEAD, detached: _detached, branch: _detached ? null : _HEAD, sha: _currentSha(), branches: Object.keys(_branches), stashCount: _stash.length,
+      staged: staged.sort(byPath), unstaged: unstaged.sort(byPath), untracked: untracked.sort(),
+      merging: _merge ? { source: _merge.source, sha: _merge.sourceSha } : null, unmerged,
+      rebasing: _rebase ? {
+        branch: _rebase.branch, onto: _rebase.onto, interactive: _rebase.interactive, stop: _rebase.stop,
+        done: _rebase.done.slice(), todo: _rebase.todo.slice(),
+      } : null,
+    };
+  }
+
+  // diff — line diffs of the working tree against the index, or (staged) of
+  // the index against HEAD
+  function diff(options = {}) {
+    if (!_initialized) throw new Error('not a git repository');
+    const from = options.staged ? _treeOf(_currentSha()) : _index;
+    const to   = options.staged ? _index : _workdir;
+    const paths = options.staged ? [...new Set([...Object.keys(from), ...Object.keys(to)])] : Object.keys(from);
+    return paths.sort()
+      .filter(p => from[p] !== to[p] && (!options.paths || options.paths.some(spec => _pathMatches(spec, p))))
+      .map(p => ({ path: p, change: from[p] === undefined ? 'new file' : to[p] === undefined ? 'deleted' : 'modified', lines: _diffLines(from[p], to[p]) }));
   }
 
-  function getBranchList() {
+  // options.remotes also lists the remote-tracking refs, as { name: 'origin/main', remote: true }
+  function getBranchList(options = {}) {
     if (!_initialized) throw new Error('not a git repository');
-    return Object.entries(_branches).map(([name, sha]) => ({ name, sha, current: !_detached && name === _HEAD, color: _branchColor(name) }));
+    const local = Object.entries(_branches).map(([name, sha]) => ({ name, sha, current: !_detached && name === _HEAD, color: _branchColor(name) }));
+    if (!options.remotes) return local;
+    return [...local, ...Object.keys(_tracking).sort().map(name => ({ name, sha: _tracking[name], current: false, remote: true }))];
   }
 
   function getCommit(sha) {
@@ -231,30 +840,230 @@ const GitState = (() => {
     const m = Object.keys(_commits).find(s => s.startsWith(sha)); return m ? _commits[m] : null;
   }
 
-  // NEW: push — records current branch SHA to remote
-  function push(branchName) {
+  /* ---------- remotes ---------- */
+  // A remote is a repository of its own: it only learns about local commits
+  // through push, and the local side only sees its commits after a fetch,
+  // recorded in remote-tracking refs such as origin/main
+
+  function _newRemote(url) { return { url, commits: {}, branches: {} }; }
+
+  function _remoteFor(name) {
+    if (!_remotes[name]) throw new Error(`'${name}' does not appear to be a git repository`);
+    return _remotes[name];
+  }
+
+  function _defaultRemote() {
+    if (_remotes.origin) return 'origin';
+    const names = Object.keys(_remotes);
+    if (names.length === 1) return names[0];
+    throw new Error('no remote repository specified — add one with git remote add <name> <url>');
+  }
+
+  // Copies every commit reachable from `sha` that `to` lacks; returns the
+  // SHAs copied
+  function _copyCommits(from, to, sha) {
+    const queue = [sha], copied = [];
+    while (queue.length) {
+      const s = queue.pop();
+      if (!s || to[s] || !from[s]) continue;
+      to[s] = JSON.parse(JSON.stringify(from[s]));
+      if (_fresh) _fresh.commits.push([to, s]);
+      copied.push(s);
+      from[s].parents.forEach(p => queue.push(p));
+    }
+    return copied;
+  }
+
+  function remoteAdd(name, url) {
     if (!_initialized) throw new Error('not a git repository');
-    const name = branchName || (!_detached ? _HEAD : null);
-    if (!name) throw new Error('cannot push in detached HEAD state');
-    if (_branches[name] === undefined) throw new Error(`branch '${name}' not found`);
-    const sha = _branches[name];
-    if (!sha) throw new Error(`branch '${name}' has no commits to push`);
-    const prev = _remote[name];
-    _remote[name] = sha;
-    return { branch: name, sha, isNew: prev === undefined, wasUpToDate: prev === sha };
+    if (_remotes[name]) throw new Error(`remote ${name} already exists`);
+    _remotes[name] = _newRemote(url);
+    return name;
+  }
+
+  // remoteRemove — forgets the remote and its remote-tracking refs
+  function remoteRemove(name) {
+    if (!_initialized) throw new Error('not a git repository');
+    _remoteFor(name);
+    delete _remotes[name];
+    Object.keys(_tracking).filter(ref => ref.startsWith(`${name}/`)).forEach(ref => { delete _tracking[ref]; });
+    return name;
+  }
+
+  function remoteList() {
+    if (!_initialized) throw new Error('not a git repository');
+    return Object.entries(_remotes).map(([name, r]) => ({ name, url: r.url, branches: { ...r.branches }, commits: Object.keys(r.commits).length }));
+  }
+
+  // fetch — downloads the commits of every branch on the remote and moves
+  // the matching remote-tracking refs; `prune` drops refs whose branch is gone
+  function fetch(remoteName, options = {}) {
+    if (!_initialized) throw new Error('not a git repository');
+    const name = remoteName || _defaultRemote(), remote = _remoteFor(name);
+    const updates = [];
+    Object.entries(remote.branches).forEach(([branch, sha]) => {
+      const ref = `${name}/${branch}`, prev = _tracking[ref];
+      if (prev === sha) return;
+      const shas = _copyCommits(remote.commits, _commits, sha);
+      _tracking[ref] = sha;
+      updates.push({ branch, ref, from: prev || null, to: sha, objects: shas.length, shas, type: !prev ? 'new' : _isAncestor(prev, sha) ? 'fast-forward' : 'forced' });
+    });
+    if (options.prune) {
+      Object.keys(_tracking).filter(ref => ref.startsWith(`${name}/`) && remote.branches[ref.slice(name.length + 1)] === undefined).forEach(ref => {
+        updates.push({ branch: ref.slice(name.length + 1), ref, from: _tracking[ref], to: null, objects: 0, shas: [], type: 'pruned' });
+        delete _tracking[ref];
+      });
+    }
+    EventBus.emit('fetched', { remote: name, updates });
+    return { remote: name, updates };
+  }
+
+  // push — uploads `branch` to the remote. Like git, a push that would drop
+  // commits the remote has is refused unless forced; --force-with-lease only
+  // forces when the remote is still where our remote-tracking ref says.
+  function push(remoteName, branchName, options = {}) {
+    if (!_initialized) throw new Error('not a git repository');
+    const name = remoteName || _defaultRemote(), remote = _remoteFor(name);
+    const branch = branchName || (!_detached ? _HEAD : null);
+    if (!branch) throw new Error('cannot push in detached HEAD state');
+    if (_branches[branch] === undefined) throw new Error(`src refspec ${branch} does not match any`);
+    const sha = _branches[branch];
+    if (!sha) throw new Error(`branch '${branch}' has no commits to push`);
+    const ref = `${name}/${branch}`, theirs = remote.branches[branch] || null;
+    const result = { remote: name, branch, from: theirs, to: sha, objects: 0, shas: [] };
+    const reject = reason => {
+      EventBus.emit('push_rejected', { ...result, reason });
+      return { ...result, type: 'rejected', reason };
+    };
+    if (options.forceWithLease && (_tracking[ref] || null) !== theirs) return reject('stale info');
+    if (theirs === sha) { _tracking[ref] = sha; return { ...result, type: 'up-to-date' }; }
+    const forced = !!theirs && !_isAncestor(theirs, sha);
+    if (forced && !options.force && !options.forceWithLease) return reject(_commits[theirs] ? 'non-fast-forward' : 'fetch first');
+    result.shas = _copyCommits(_commits, remote.commits, sha);
+    result.objects = result.shas.length;
+    remote.branches[branch] = sha;
+    _tracking[ref] = sha;
+    result.type = !theirs ? 'new' : forced ? 'forced' : 'fast-forward';
+    EventBus.emit('pushed', result);
+    return result;
+  }
+
+  // pull — fetch, then integrate <remote>/<branch> into the current branch:
+  // fast-forward when possible, otherwise a real merge (or, with `rebase`,
+  // a rebase) that can stop on conflicts like any other
+  function pull(remoteName, branchName, options = {}) {
+    if (!_initialized) throw new Error('not a git repository');
+    _assertIdle();
+    if (_detached) throw new Error('cannot pull in detached HEAD state');
+    const name = remoteName || _defaultRemote();
+    const branch = branchName || _HEAD;
+    const fetched = fetch(name);
+    const ref = `${name}/${branch}`, theirs = _tracking[ref], current = _currentSha();
+    if (!theirs) throw new Error(`couldn't find remote ref ${branch} on ${name}`);
+    const base = { remote: name, branch, ref, fetched };
+    if (current && (theirs === current || _isAncestor(theirs, current))) return { ...base, type: 'up-to-date' };
+    if (!current || _isAncestor(current, theirs)) {
+      _switchTree(_treeOf(theirs), 'pull');
+      _origHead = current;
+      _advanceHead(theirs, `pull: Fast-forward`);
+      return { ...base, type: 'fast-forward', sha: theirs };
+    }
+    if (options.rebase) return { ...base, type: 'rebase', result: rebase(ref) };
+    return { ...base, type: 'merge', result: merge(ref) };
+  }
+
+  // teammateCommit — someone else commits straight onto a remote branch,
+  // appending `message` to `file`; the local repository learns of it only
+  // on the next fetch or pull
+  function teammateCommit(remoteName, branchName, message, file = 'teammate.txt') {
+    if (!_initialized) throw new Error('not a git repository');
+    const name = remoteName || _defaultRemote(), remote = _remoteFor(name);
+    const branch = branchName || (!_detached ? _HEAD : null);
+    if (!branch) throw new Error('branch required in detached HEAD state');
+    const parent = remote.branches[branch] || null;
+    const tree = { ...((parent && remote.commits[parent].tree) || {}) };
+    tree[file] = (tree[file] || '') + message + '\n';
+    const { sha } = _newCommit({ message, parents: parent ? [parent] : [], author: TEAMMATE, timestamp: _now(), branch, tree, teammate: true }, remote.commits);
+    remote.branches[branch] = sha;
+    return { remote: name, branch, sha, file, parent };
   }
 
-  // NEW: pull — fast-forwards local branch to what origin has
-  function pull(branchName) {
+  // reflog — where `ref` (HEAD or a branch) has pointed, newest first
+  function reflog(ref = 'HEAD') {
     if (!_initialized) throw new Error('not a git repository');
-    const name = branchName || (!_detached ? _HEAD : null);
-    if (!name) throw new Error('cannot pull in detached HEAD state');
-    if (!_remote[name]) throw new Error(`no remote tracking branch for '${name}' — run git push first`);
-    const remoteSha = _remote[name];
-    const localSha  = _branches[name];
-    if (remoteSha === localSha) return { type: 'up-to-date', branch: name };
-    _branches[name] = remoteSha;
-    return { type: 'fast-forward', branch: name, sha: remoteSha };
+    if (ref !== 'HEAD' && _branches[ref] === undefined) throw new Error(`ambiguous argument '${ref}': unknown revision`);
+    return (_reflog[ref] || []).map((entry, n) => ({ ...entry, ref, selector: `${ref}@{${n}}` }));
+  }
+
+  /* ---------- working tree & index ---------- */
+
+  function writeFile(path, content, append = false) {
+    if (!_initialized) throw new Error('not a git repository');
+    _workdir[path] = append ? (_workdir[path] || '') + content : content;
+    EventBus.emit('file_changed', { path });
+    return path;
+  }
+
+  function removeFile(path) {
+    if (!_initialized) throw new Error('not a git repository');
+    if (_workdir[path] === undefined) throw new Error(`cannot remove '${path}': No such file`);
+    delete _workdir[path];
+    EventBus.emit('file_changed', { path });
+    return path;
+  }
+
+  function readFile(path) {
+    if (!_initialized) throw new Error('not a git repository');
+    if (_workdir[path] === undefined) throw new Error(`${path}: No such file`);
+    return _workdir[path];
+  }
+
+  function listFiles() {
+    if (!_initialized) throw new Error('not a git repository');
+    return Object.keys(_workdir).sort();
+  }
+
+  // add — copies working-tree content into the index (including deletions)
+  function add(specs) {
+    if (!_initialized) throw new Error('not a git repository');
+    const pool = [...new Set([...Object.keys(_workdir), ...Object.keys(_index)])];
+    const paths = _expandSpecs(specs, pool);
+    paths.forEach(p => { _put(_index, p, _workdir[p]); delete _unmerged()[p]; });
+    return paths;
+  }
+
+  function rm(specs, options = {}) {
+    if (!_initialized) throw new Error('not a git repository');
+    const paths = _expandSpecs(specs, Object.keys(_index));
+    const head = _treeOf(_currentSha());
+    if (!options.cached && !options.force) {
+      const modified = paths.filter(p => _workdir[p] !== undefined && (_workdir[p] !== _index[p] || _index[p] !== head[p]));
+      if (modified.length) throw new Error(`'${modified[0]}' has local modifications (use --cached to keep the file, or -f to force removal)`);
+    }
+    paths.forEach(p => { delete _index[p]; if (!options.cached) delete _workdir[p]; delete _unmerged()[p]; });
+    return paths;
+  }
+
+  // restore — discards working-tree edits from the index, or (staged)
+  // unstages by copying HEAD's version back into the index
+  function restore(specs, options = {}) {
+    if (!_initialized) throw new Error('not a git repository');
+    const head = _treeOf(_currentSha());
+    if (options.side) {
+      // --ours / --theirs: check out one side of an unmerged path
+      const conflicts = _unmerged();
+      const paths = _expandSpecs(specs, Object.keys(conflicts));
+      paths.forEach(p => _put(_workdir, p, conflicts[p][options.side]));
+      return paths;
+    }
+    if (options.staged) {
+      const paths = _expandSpecs(specs, [...new Set([...Object.keys(head), ...Object.keys(_index)])]);
+      paths.forEach(p => _put(_index, p, head[p]));
+      return paths;
+    }
+    const paths = _expandSpecs(specs, Object.keys(_index));
+    paths.forEach(p => _put(_workdir, p, _index[p]));
+    return paths;
   }
 
   function snapshot() {
@@ -263,16 +1072,188 @@ const GitState = (() => {
       commits:     JSON.parse(JSON.stringify(_commits)),
       branches:    JSON.parse(JSON.stringify(_branches)),
       tags:        JSON.parse(JSON.stringify(_tags)),
-      remote:      JSON.parse(JSON.stringify(_remote)),   // NEW: expose remote
+      annotations: JSON.parse(JSON.stringify(_annotations)),
+      remote:      { ..._tracking },                      // remote-tracking refs
+      remotes:     JSON.parse(JSON.stringify(_remotes)),
+      stash:       [..._stash],
+      index:       { ..._index },
+      workdir:     { ..._workdir },
+      merging:     _merge ? JSON.parse(JSON.stringify(_merge)) : null,
+      rebasing:    _rebase ? JSON.parse(JSON.stringify(_rebase)) : null,
+      reflog:      JSON.parse(JSON.stringify(_reflog)),
+      origHead:    _origHead,
+      config:      { ..._config },
+      seed:        _seed,
       HEAD:        _HEAD,
       detached:    _detached,
       branchColor: _branchColor,
     };
   }
 
-  function _isAncestor(ancestor, descendant) {
+  // load — replaces the whole repository with an earlier snapshot(). A
+  // snapshot that is malformed or breaks the state invariants is rejected
+  // and the current repository kept.
+  function load(snap) {
+    try { _checkShape(snap); }
+    catch (e) { throw new Error(`invalid repository state: ${e.message}`); }
+    const copy = JSON.parse(JSON.stringify(snap)), prev = snapshot();
+    _assign(copy);
+    try { assertValidState(); }
+    catch (e) { _assign(prev); throw new Error(`invalid repository state: ${e.message}`); }
+    EventBus.emit('state_loaded', { initialized: _initialized });
+  }
+
+  // importHistory — replaces the repository with another one's history, as
+  // read by HistoryImport:
+  //   { commits: [{ id, sha?, parents: [id], message, author?, timestamp, tree? }],  parents first
+  //     branches: { name: id }, tags: { name: id }, annotations: { name: { tagger, message, timestamp } },
+  //     remotes: { name: { branch: id } }, stash: id | null, head: branch name or id, detached }
+  // Commits keep their real SHA when they have one; the rest are hashed
+  // like new commits. Each remote becomes a repository holding what its
+  // branches point at; the working tree and index match HEAD.
+  function importHistory(h) {
+    const commits = {}, ids = {};
+    h.commits.forEach(c => {
+      const fields = { message: c.message, parents: c.parents.map(p => ids[p]), author: c.author, timestamp: c.timestamp, branch: null, tree: c.tree || {} };
+      const sha = c.sha || _sha(fields, s => !!commits[s]);
+      ids[c.id] = sha;
+      commits[sha] = { ...fields, sha };
+    });
+    const refs = map => Object.fromEntries(Object.entries(map).map(([name, id]) => [name, ids[id]]));
+    const snap = {
+      initialized: true, commits, branches: refs(h.branches), tags: refs(h.tags), annotations: h.annotations,
+      remote: {}, remotes: {}, stash: [], reflog: {}, config: _config, seed: _seed,
+      HEAD: h.detached ? ids[h.head] : h.head, detached: !!h.detached,
+    };
+    if (!h.detached && snap.branches[h.head] === undefined) snap.branches[h.head] = null;
+    const wip = h.stash && commits[ids[h.stash]];
+    if (wip && wip.parents.length > 1) {
+      wip.stash = 'wip'; commits[wip.parents[1]].stash = 'index';
+      snap.stash = [wip.sha];
+    }
+    Object.entries(h.remotes).forEach(([name, branches]) => {
+      const remote = snap.remotes[name] = _newRemote(name === 'origin' ? DEFAULT_ORIGIN : `https://example.com/${name}.git`);
+      Object.entries(branches).forEach(([branch, id]) => {
+        remote.branches[branch] = snap.remote[`${name}/${branch}`] = ids[id];
+        _copyCommits(commits, remote.commits, ids[id]);
+      });
+    });
+    if (!Object.keys(snap.remotes).length) snap.remotes.origin = _newRemote(DEFAULT_ORIGIN);
+    const head = snap.detached ? snap.HEAD : snap.branches[snap.HEAD];
+    snap.index = { ...((head && commits[head].tree) || {}) }; snap.workdir = { ...snap.index };
+    load(snap);
+    return { commits: h.commits.length, head: snap.HEAD };
+  }
+
+  // Types and shapes a snapshot from outside (file, URL, storage) must have
+  // before assertValidState can check how its refs and commits connect
+  function _checkShape(snap) {
+    const isMap = v => !!v && typeof v === 'object' && !Array.isArray(v);
+    const isSha = v => typeof v === 'string' && v.length > 0;
+    if (!isMap(snap)) throw new Error('state must be an object');
+    if (snap.seed !== undefined && snap.seed !== null && typeof snap.seed !== 'string') throw new Error("'seed' must be text");
+    if (!snap.initialized) return;
+    ['commits', 'branches', 'tags', 'annotations', 'remote', 'index', 'workdir', 'reflog', 'config'].forEach(k => {
+      if (snap[k] !== undefined && !isMap(snap[k])) throw new Error(`'${k}' must be an object`);
+    });
+    const checkCommits = (commits, where = '') => { Object.entries(commits || {}).forEach(([sha, c]) => {
+      if (!isMap(c) || c.sha !== sha) throw new Error(`commit '${sha}' is malformed`);
+      if (!Array.isArray(c.parents) || !c.parents.every(isSha)) throw new Error(`commit '${sha}' has invalid parents`);
+      if (typeof c.message !== 'string') throw new Error(`commit '${sha}' has no message`);
+      if (typeof c.timestamp !== 'number') throw new Error(`commit '${sha}' has no timestamp`);
+      if (c.author !== undefined && typeof c.author !== 'string') throw new Error(`commit '${sha}' has an invalid author`);
+      if (c.tree !== undefined && (!isMap(c.tree) || !Object.values(c.tree).every(v => typeof v === 'string'))) throw new Error(`commit '${sha}' has an invalid tree`);
+    }); _checkAcyclic(commits || {}, where); };
+    checkCommits(snap.commits);
+    if (snap.remotes !== undefined && !isMap(snap.remotes)) throw new Error("'remotes' must be an object");
+    Object.entries(snap.remotes || {}).forEach(([name, r]) => {
+      if (!isMap(r) || typeof r.url !== 'string' || !isMap(r.commits) || !isMap(r.branches)) throw new Error(`remote '${name}' is malformed`);
+      if (!Object.values(r.branches).every(isSha)) throw new Error(`remote '${name}' has a branch without a commit`);
+      checkCommits(r.commits, ` on remote '${name}'`);
+    });
+    Object.entries(snap.branches || {}).forEach(([name, sha]) => {
+      if (sha !== null && !isSha(sha)) throw new Error(`branch '${name}' must point at a commit`);
+    });
+    ['tags', 'remote'].forEach(k => Object.entries(snap[k] || {}).forEach(([name, sha]) => {
+      if (!isSha(sha)) throw new Error(`${k === 'tags' ? 'tag' : 'remote branch'} '${name}' must point at a commit`);
+    }));
+    Object.entries(snap.annotations || {}).forEach(([name, a]) => {
+      if (!isMap(a) || typeof a.message !== 'string') throw new Error(`annotated tag '${name}' is malformed`);
+    });
+    Object.entries(snap.config || {}).forEach(([key, value]) => {
+      if (typeof value !== 'string') throw new Error(`config '${key}' must be text`);
+    });
+    ['index', 'workdir'].forEach(k => Object.entries(snap[k] || {}).forEach(([path, content]) => {
+      if (typeof content !== 'string') throw new Error(`${k} entry '${path}' must be text`);
+    }));
+    if (snap.stash !== undefined && (!Array.isArray(snap.stash) || !snap.stash.every(isSha))) throw new Error("'stash' must be a list of commits");
+    Object.entries(snap.reflog || {}).forEach(([ref, entries]) => {
+      if (!Array.isArray(entries) || !entries.every(e => isMap(e) && isSha(e.sha))) throw new Error(`reflog for '${ref}' is malformed`);
+    });
+    if (!isSha(snap.HEAD)) throw new Error('HEAD must name a branch or commit');
+    if (snap.merging && (!isMap(snap.merging) || !isSha(snap.merging.sourceSha))) throw new Error('merge state is malformed');
+    if (snap.rebasing && (!isMap(snap.rebasing) || !Array.isArray(snap.rebasing.todo) || !Array.isArray(snap.rebasing.done))) throw new Error('rebase state is malformed');
+  }
+
+  // Parents must lead back to a root; a cycle would leave every history walk
+  // empty or endless. Iterative depth-first search, so long chains can't
+  // overflow the stack
+  function _checkAcyclic(commits, where) {
+    const state = {};   // 1 = on the current path, 2 = finished
+    for (const start in commits) {
+      if (state[start]) continue;
+      const stack = [[start, 0]];
+      state[start] = 1;
+      while (stack.length) {
+        const top = stack[stack.length - 1], parents = commits[top[0]].parents;
+        if (top[1] === parents.length) { state[top[0]] = 2; stack.pop(); continue; }
+        const p = parents[top[1]++];
+        if (!commits[p] || state[p] === 2) continue;
+        if (state[p] === 1) throw new Error(`commit '${p}'${where} is its own ancestor`);
+        state[p] = 1;
+        stack.push([p, 0]);
+      }
+    }
+  }
+
+  // Snapshots from before remotes were repositories keyed `remote` by bare
+  // branch name and had no `remotes`; rebuild origin from those refs
+  function _legacyRemotes(snap) {
+    if (!snap.initialized) return {};
+    const origin = _newRemote(DEFAULT_ORIGIN);
+    _tracking = {};
+    Object.entries(snap.remote || {}).forEach(([branch, sha]) => {
+      _tracking[`origin/${branch}`] = sha;
+      origin.branches[branch] = sha;
+      _copyCommits(snap.commits || {}, origin.commits, sha);
+    });
+    return { origin };
+  }
+
+  function _assign(snap) {
+    _initialized = !!snap.initialized;
+    _commits = snap.commits || {}; _branches = snap.branches || {}; _tags = snap.tags || {};
+    _annotations = snap.annotations || {};
+    // Older snapshots kept bare HEAD SHAs with no saved changes; only real
+    // stash entries carry over
+    _stash = (snap.stash || []).filter(sha => snap.commits && snap.commits[sha] && snap.commits[sha].stash === 'wip');
+    _tracking = { ...(snap.remote || {}) };
+    _remotes = snap.remotes || _legacyRemotes(snap);
+    _index = snap.index || {}; _workdir = snap.workdir || {};
+    _merge = snap.merging || null; _rebase = snap.rebasing || null;
+    _reflog = snap.reflog || {}; _origHead = snap.origHead || null;
+    _fresh = null;
+    _config = { ...DEFAULT_CONFIG, ...(snap.config || {}) };
+    _HEAD = snap.HEAD === undefined ? null : snap.HEAD; _detached = !!snap.detached;
+    seed(snap.seed === undefined ? null : snap.seed);
+    // Carry on from the newest commit, so the same next command gives the same SHA
+    _clock = [_commits, ...Object.values(_remotes).map(r => r.commits)]
+      .reduce((t, commits) => Object.values(commits).reduce((m, c) => Math.max(m, c.timestamp), t), 0);
+  }
+
+  function _isAncestor(ancestor, descendant, commits = _commits) {
     const visited = new Set(), queue = [descendant];
-    while (queue.length) { const sha = queue.shift(); if (!sha || visited.has(sha)) continue; visited.add(sha); if (sha === ancestor) return true; const c = _commits[sha]; if (c) c.parents.forEach(p => queue.push(p)); }
+    while (queue.length) { const sha = queue.shift(); if (!sha || visited.has(sha)) continue; visited.add(sha); if (sha === ancestor) return true; const c = commits[sha]; if (c) c.parents.forEach(p => queue.push(p)); }
     return false;
   }
 
@@ -292,48 +1273,414 @@ const GitState = (() => {
     return result;
   }
 
-  function _walkBack(sha, steps) {
-    let current = sha;
-    for (let i = 0; i < steps; i++) { const c = _commits[current]; if (!c || !c.parents.length) return null; current = c.parents[0]; }
-    return current;
+  function _treeOf(sha) { return (sha && _commits[sha] && _commits[sha].tree) || {}; }
+
+  function _put(map, path, content) { if (content === undefined) delete map[path]; else map[path] = content; }
+
+  function _pathMatches(spec, path) {
+    if (spec === '.' || spec === path) return true;
+    if (path.startsWith(spec.replace(/\/?$/, '/'))) return true;
+    if (!spec.includes('*')) return false;
+    const re = new RegExp('^' + spec.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*') + '$');
+    return re.test(path);
   }
 
-  function assertValidState() {
-    // HEAD must be valid
-    if (_detached) {
-      if (!_commits[_HEAD]) throw new Error('Detached HEAD points to invalid commit');
-    } else {
-      if (!_branches[_HEAD]) throw new Error('HEAD branch does not exist');
-      if (_branches[_HEAD] && !_commits[_branches[_HEAD]]) throw new Error('HEAD branch points to invalid commit');
+  function _expandSpecs(specs, pool) {
+    if (!specs.length) throw new Error('nothing specified, nothing added');
+    if (specs.includes('-A') || specs.includes('--all')) return pool.slice().sort();
+    const paths = new Set();
+    specs.forEach(spec => {
+      const hits = pool.filter(p => _pathMatches(spec, p));
+      if (!hits.length && spec !== '.') throw new Error(`pathspec '${spec}' did not match any files`);
+      hits.forEach(p => paths.add(p));
+    });
+    return [...paths].sort();
+  }
+
+  // Moves index + working tree from HEAD's tree to `target`. Local edits to
+  // paths the switch does not touch are carried along, as in real git;
+  // edits that would be clobbered abort the whole operation.
+  function _switchTree(target, op) {
+    const head = _treeOf(_currentSha());
+    const changed = [...new Set([...Object.keys(head), ...Object.keys(target)])].filter(p => head[p] !== target[p]);
+    const blocked = changed.filter(p => {
+      const dirty = _index[p] !== head[p] || _workdir[p] !== _index[p];
+      return dirty && !(_index[p] === target[p] && _workdir[p] === target[p]);
+    });
+    if (blocked.length) throw new Error(`your local changes to '${blocked.join("', '")}' would be overwritten by ${op}; commit or stash them first`);
+    changed.forEach(p => { _put(_index, p, target[p]); _put(_workdir, p, target[p]); });
+  }
+
+  // Discards index and working-tree changes; untracked files survive
+  function _resetTrees(tree) {
+    const untracked = Object.keys(_workdir).filter(p => _index[p] === undefined && tree[p] === undefined);
+    const keep = {}; untracked.forEach(p => { keep[p] = _workdir[p]; });
+    _index = { ...tree }; _workdir = { ...tree, ...keep };
+  }
+
+  function _assertIdle() {
+    if (_merge) throw new Error('you have not concluded your merge (MERGE_HEAD exists); commit or run git merge --abort');
+    if (_rebase) throw new Error('a rebase is in progress; use git rebase --continue, --skip or --abort');
+  }
+
+  // Paths still awaiting resolution in a stopped merge or rebase
+  function _unmerged() { return (_merge && _merge.conflicts) || (_rebase && _rebase.conflicts) || {}; }
+
+  function _sameTree(a, b) {
+    const ka = Object.keys(a), kb = Object.keys(b);
+    return ka.length === kb.length && ka.every(p => a[p] === b[p]);
+  }
+
+  // resolve — one revision to a commit SHA, following gitrevisions(7):
+  // HEAD / @, ORIG_HEAD, MERGE_HEAD, <ref>@{n}, tag, branch and origin/<x>
+  // names (tags win, as in git), full or abbreviated SHAs, then any chain
+  // of ~N / ^N suffixes (HEAD~2^2, main^^, v1.0~)
+  function resolve(rev) {
+    if (!_initialized) throw new Error('not a git repository');
+    const [, base, suffix] = /^(.*?)((?:[~^]\d*)*)$/.exec(String(rev));
+    let sha = _resolveBase(base, rev);
+    (suffix.match(/[~^]\d*/g) || []).forEach(step => {
+      const n = step.length > 1 ? parseInt(step.slice(1), 10) : 1;
+      const c = _commits[sha];
+      if (step[0] === '~') sha = _walkBack(sha, n);
+      else if (n > 0) sha = c.parents[n - 1] || null;
+      if (!sha) throw new Error(`ambiguous argument '${rev}': unknown revision or path not in the working tree`);
+    });
+    return sha;
+  }
+
+  function _resolveBase(name, rev) {
+    const unknown = () => new Error(`ambiguous argument '${rev}': unknown revision or path not in the working tree`);
+    // refs/stash has no reflog here: the stash stack itself is its history
+    const st = /^(?:refs\/)?stash(?:@\{(\d+)\})?$/.exec(name);
+    if (st && (st[1] !== undefined || !_refName(name))) {
+      if (!_stash[st[1] || 0]) throw _stash.length ? new Error(`log for 'refs/stash' only has ${_stash.length} entries`) : unknown();
+      return _stash[st[1] || 0];
     }
-    // Branches must point to valid commits
-    for (const name in _branches) {
-      if (_branches[name] && !_commits[_branches[name]]) throw new Error(`Branch '${name}' points to invalid commit`);
+    const at = /^(.*)@\{(\d+)\}$/.exec(name);
+    if (at) {
+      const ref = at[1] === '@' || at[1] === 'HEAD' ? 'HEAD' : at[1] ? _refName(at[1]) : (_detached ? 'HEAD' : _HEAD);
+      if (!ref) throw unknown();
+      const entries = _reflog[ref] || [], n = parseInt(at[2], 10);
+      if (!entries.length) throw new Error(`log for '${ref}' is empty`);
+      if (n >= entries.length) throw new Error(`log for '${ref}' only has ${entries.length} entries`);
+      return entries[n].sha;
     }
-    // No orphaned commits (every commit except root must have valid parents)
-    for (const sha in _commits) {
-      const c = _commits[sha];
-      if (c.parents.length) {
-        c.parents.forEach(p => {
-          if (!_commits[p]) throw new Error(`Commit '${sha}' has orphaned parent '${p}'`);
-        });
-      }
+    if (name === 'HEAD' || name === '@') {
+      if (!_currentSha()) throw unknown();
+      return _currentSha();
+    }
+    if (name === 'ORIG_HEAD') {
+      if (!_origHead) throw new Error('ORIG_HEAD is not set (no reset, merge or rebase yet)');
+      return _origHead;
     }
+    if (name === 'MERGE_HEAD') {
+      if (!_merge) throw new Error('MERGE_HEAD is not set (no merge in progress)');
+      return _merge.sourceSha;
+    }
+    const ref = _refName(name);
+    if (ref) {
+      const sha = _refTarget(ref);
+      if (!sha) throw new Error(`branch '${ref}' has no commits`);
+      return sha;
+    }
+    if (/^[0-9a-f]{4,40}$/i.test(name)) {
+      const hits = Object.keys(_commits).filter(s => s.startsWith(name.toLowerCase()));
+      if (hits.length > 1) throw new Error(`short SHA1 ${name} is ambiguous (${hits.map(s => s.slice(0, 7)).join(', ')})`);
+      if (hits.length) return hits[0];
+    }
+    throw unknown();
   }
 
-  // Wrap all mutations with assertValidState
+  // Symbolic name → canonical ref ('refs/tags/x', 'refs/remotes/origin/x'
+  // or a branch name); null when nothing by that name exists
+  function _refName(name) {
+    const m = /^(?:refs\/)?(heads|tags|remotes)\/(.+)$/.exec(name);
+    if (m && m[1] === 'heads') return _branches[m[2]] !== undefined ? m[2] : null;
+    if (m && m[1] === 'tags') return _tags[m[2]] ? `refs/tags/${m[2]}` : null;
+    if (m) return _tracking[m[2]] ? `refs/remotes/${m[2]}` : null;
+    if (_tags[name]) return `refs/tags/${name}`;
+    if (_branches[name] !== undefined) return name;
+    if (_tracking[name]) return `refs/remotes/${name}`;
+    return null;
+  }
+
+  function _refTarget(ref) {
+    if (ref.startsWith('refs/tags/')) return _tags[ref.slice(10)];
+    if (ref.startsWith('refs/remotes/')) return _tracking[ref.slice(13)];
+    return _branches[ref];
+  }
+
+  // How merge messages and reflogs name a revision
+  function _describeRev(rev) {
+    const ref = _refName(rev);
+    if (!ref) return `commit '${rev}'`;
+    if (ref.startsWith('refs/tags/')) return `tag '${ref.slice(10)}'`;
+    if (ref.startsWith('refs/remotes/')) return `remote-tracking branch '${ref.slice(13)}'`;
+    return `branch '${ref}'`;
+  }
+
+  // revList — the commits selected by rev-list style arguments: a revision
+  // includes its history, ^rev excludes it, A..B is ^A B and A...B keeps
+  // what only one side can reach (an omitted side means HEAD). Newest first.
+  function revList(args) {
+    if (!_initialized) throw new Error('not a git repository');
+    const { include, hidden } = _revArgs(args.length ? args : ['HEAD']);
+    const seen = new Set();
+    include.forEach(sha => _getCommitsSince(sha, hidden).forEach(c => seen.add(c.sha)));
+    return _byRecency([...seen]).map(sha => _commits[sha]);
+  }
+
+  // The tips rev-list arguments start from, and every commit they exclude
+  function _revArgs(args) {
+    const include = [], exclude = [];
+    args.forEach(arg => {
+      const sym = arg.split('...'), range = arg.split('..');
+      if (sym.length === 2) {
+        const a = resolve(sym[0] || 'HEAD'), b = resolve(sym[1] || 'HEAD');
+        const ancA = _getAllAncestors(a), ancB = _getAllAncestors(b);
+        include.push(a, b);
+        ancA.forEach(s => { if (ancB.has(s)) exclude.push(s); });
+      } else if (range.length === 2) {
+        exclude.push(resolve(range[0] || 'HEAD'));
+        include.push(resolve(range[1] || 'HEAD'));
+      } else if (arg.startsWith('^')) {
+        exclude.push(resolve(arg.slice(1)));
+      } else {
+        include.push(resolve(arg));
+      }
+    });
+    const hidden = new Set();
+    exclude.forEach(sha => _getAllAncestors(sha).forEach(s => hidden.add(s)));
+    return { include, hidden };
+  }
+
+  // Children before their parents (deepest first), ties newest first
+  function _byRecency(shas) {
+    const set = new Set(shas), depth = {};
+    const depthOf = sha => {
+      if (depth[sha] !== undefined) return depth[sha];
+      depth[sha] = 0;
+      const parents = _commits[sha].parents.filter(p => set.has(p));
+      depth[sha] = parents.length ? Math.max(...parents.map(depthOf)) + 1 : 0;
+      return depth[sha];
+    };
+    return shas.sort((a, b) => depthOf(b) - depthOf(a) || _commits[b].timestamp - _commits[a].timestamp);
+  }
+
+  // Commits reachable from `tip` but not from `onto`, oldest first, merges
+  // left out (rebase linearises history)
+  function _commitsToReplay(tip, onto) {
+    const commits = _getCommitsSince(tip, _getAllAncestors(onto)).filter(c => c.parents.length < 2);
+    const depth = {};
+    const depthOf = sha => {
+      if (depth[sha] !== undefined) return depth[sha];
+      const c = _commits[sha];
+      return (depth[sha] = c && c.parents.length ? 1 + Math.max(...c.parents.map(depthOf)) : 0);
+    };
+    return commits.sort((a, b) => depthOf(a.sha) - depthOf(b.sha) || a.timestamp - b.timestamp);
+  }
+
+
+  // Best common ancestor: a common ancestor that no other common ancestor
+  // descends from
+  // Walks back from both tips together, newest first as git does, marking
+  // each commit with the side(s) it was reached from (1 = a, 2 = b); the
+  // first commit reached from both is the base
+  function _mergeBase(a, b) {
+    const from = new Map(), queue = [], queued = new Set();
+    const push = (sha, side) => {
+      const c = _commits[sha], had = from.get(sha) || 0;
+      if (!c || (had & side) === side) return;
+      from.set(sha, had | side);
+      if (queued.has(sha)) return;   // it carries the new mark when taken
+      queued.add(sha);
+      let lo = 0, hi = queue.length;
+      while (lo < hi) { const mid = (lo + hi) >> 1; if (queue[mid].timestamp >= c.timestamp) lo = mid + 1; else hi = mid; }
+      queue.splice(lo, 0, c);
+    };
+    push(a, 1); push(b, 2);
+    while (queue.length) {
+      const c = queue.shift(), side = from.get(c.sha);
+      queued.delete(c.sha);
+      if (side === 3) return c.sha;
+      c.parents.forEach(p => push(p, side));
+    }
+    return null;
+  }
+
+  // Three-way merge of whole trees. Paths changed on one side only take that
+  // side; paths changed on both sides are merged line by line, and whatever
+  // cannot be reconciled is reported in `conflicts` with marker text in the tree.
+  function _mergeTrees(base, ours, theirs, labels = ['HEAD', 'theirs']) {
+    const tree = {}, conflicts = {};
+    new Set([...Object.keys(base), ...Object.keys(ours), ...Object.keys(theirs)]).forEach(p => {
+      const b = base[p], o = ours[p], t = theirs[p];
+      if (o === t || t === b) { _put(tree, p, o); return; }
+      if (o === b)            { _put(tree, p, t); return; }
+      if (o === undefined || t === undefined) {
+        _put(tree, p, o === undefined ? t : o);
+        conflicts[p] = { type: 'modify/delete', kind: o === undefined ? 'deleted by us' : 'deleted by them', base: b, ours: o, theirs: t };
+        return;
+      }
+      const merged = _merge3(b || '', o, t, labels);
+      _put(tree, p, merged.text);
+      if (merged.conflict) conflicts[p] = { type: b === undefined ? 'add/add' : 'content', kind: b === undefined ? 'both added' : 'both modified', base: b, ours: o, theirs: t };
+    });
+    return { tree, conflicts };
+  }
+
+  // Replays one commit's own change (against its first parent) onto `onto`.
+  // Rebase and cherry-pick only replay clean changes.
+  function _applyChange(commit, onto) {
+    const { tree, conflicts } = _mergeTrees(_treeOf(commit.parents[0]), onto, commit.tree || {}, ['HEAD', commit.sha.slice(0, 7)]);
+    const paths = Object.keys(conflicts);
+    if (paths.length) throw new Error(`could not apply ${commit.sha.slice(0, 7)}... ${commit.message} — conflict in '${paths.join("', '")}'`);
+    return tree;
+  }
+
+  // diff3: walks the lines both sides kept from the base; the stretches in
+  // between are taken from whichever side changed them, or marked as conflicts
+  function _merge3(baseText, oursText, theirsText, labels) {
+    const base = _lines(baseText), ours = _lines(oursText), theirs = _lines(theirsText);
+    const toOurs = _lcsMap(base, ours), toTheirs = _lcsMap(base, theirs);
+    const same = (x, y) => x.length === y.length && x.every((l, i) => l === y[i]);
+    const merged = []; let conflict = false, i = 0, j = 0, k = 0;
+    for (;;) {
+      let b = i;
+      while (b < base.length && (toOurs[b] === undefined || toTheirs[b] === undefined)) b++;
+      const oEnd = b < base.length ? toOurs[b] : ours.length, tEnd = b < base.length ? toTheirs[b] : theirs.length;
+      const B = base.slice(i, b), O = ours.slice(j, oEnd), T = theirs.slice(k, tEnd);
+      if (same(O, B))                     merged.push(...T);
+      else if (same(T, B) || same(O, T))  merged.push(...O);
+      else { conflict = true; merged.push(`<<<<<<< ${labels[0]}`, ...O, '=======', ...T, `>>>>>>> ${labels[1]}`); }
+      if (b >= base.length) break;
+      merged.push(base[b]); i = b + 1; j = oEnd + 1; k = tEnd + 1;
+    }
+    return { conflict, text: merged.length ? merged.join('\n') + '\n' : '' };
+  }
+
+  function _lines(text) {
+    if (!text) return [];
+    const lines = text.split('\n'); if (lines[lines.length - 1] === '') lines.pop();
+    return lines;
+  }
+
+  // Longest-common-subsequence table over two line arrays — files here are tiny
+  function _lcsTable(x, y) {
+    const n = x.length, m = y.length;
+    const lcs = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+    for (let i = n - 1; i >= 0; i--) for (let j = m - 1; j >= 0; j--) lcs[i][j] = x[i] === y[j] ? lcs[i+1][j+1] + 1 : Math.max(lcs[i+1][j], lcs[i][j+1]);
+    return lcs;
+  }
+
+  // Maps each line index of x to its matched line index in y
+  function _lcsMap(x, y) {
+    const lcs = _lcsTable(x, y), map = {}; let i = 0, j = 0;
+    while (i < x.length && j < y.length) {
+      if (x[i] === y[j])                   { map[i++] = j++; }
+      else if (lcs[i+1][j] >= lcs[i][j+1]) i++;
+      else                                 j++;
+    }
+    return map;
+  }
+
+  function _diffLines(a, b) {
+    const x = _lines(a), y = _lines(b), n = x.length, m = y.length;
+    const lcs = _lcsTable(x, y);
+    const ops = []; let i = 0, j = 0;
+    while (i < n && j < m) {
+      if (x[i] === y[j])                 { ops.push({ op: ' ', text: x[i] }); i++; j++; }
+      else if (lcs[i+1][j] >= lcs[i][j+1]) ops.push({ op: '-', text: x[i++] });
+      else                                 ops.push({ op: '+', text: y[j++] });
+    }
+    while (i < n) ops.push({ op: '-', text: x[i++] });
+    while (j < m) ops.push({ op: '+', text: y[j++] });
+    return ops;
+  }
+
+  function _walkBack(sha, steps) {
+    let current = sha;
+    for (let i = 0; i < steps; i++) { const c = _commits[current]; if (!c || !c.parents.length) return null; current = c.parents[0]; }
+    return current;
+  }
+
+  function assertValidState() {
+    if (!_initialized) return;
+    // HEAD must be valid
+    if (_detached) {
+      if (!_commits[_HEAD]) throw new Error('Detached HEAD points to invalid commit');
+    } else {
+      if (_branches[_HEAD] === undefined) throw new Error('HEAD branch does not exist');
+      if (_branches[_HEAD] && !_commits[_branches[_HEAD]]) throw new Error('HEAD branch points to invalid commit');
+    }
+    // Branches must point to valid commits
+    for (const name in _branches) {
+      if (_branches[name] && !_commits[_branches[name]]) throw new Error(`Branch '${name}' points to invalid commit`);
+    }
+    for (const name in _tags) {
+      if (!_commits[_tags[name]]) throw new Error(`Tag '${name}' points to invalid commit`);
+    }
+    for (const name in _annotations) {
+      if (!_tags[name]) throw new Error(`Annotated tag '${name}' has no ref`);
+    }
+    for (const ref in _tracking) {
+      if (!_remotes[ref.split('/')[0]]) throw new Error(`Remote-tracking ref '${ref}' belongs to no remote`);
+      if (!_commits[_tracking[ref]]) throw new Error(`Remote-tracking ref '${ref}' points to invalid commit`);
+    }
+    for (const name in _remotes) {
+      const r = _remotes[name];
+      for (const b in r.branches) if (!r.commits[r.branches[b]]) throw new Error(`Branch '${b}' on remote '${name}' points to invalid commit`);
+    }
+    _stash.forEach((sha, n) => { if (!_commits[sha] || _commits[sha].stash !== 'wip') throw new Error(`stash@{${n}} points to invalid commit`); });
+    // An in-progress merge must point at a real commit
+    if (_merge && !_commits[_merge.sourceSha]) throw new Error('MERGE_HEAD points to invalid commit');
+    if (_origHead && !_commits[_origHead]) throw new Error('ORIG_HEAD points to invalid commit');
+    if (_rebase && _branches[_rebase.branch] === undefined) throw new Error(`Rebase branch '${_rebase.branch}' does not exist`);
+    // Commits and reflog entries are only ever added (init and load replace
+    // them all), so after one full pass only the new ones need checking —
+    // rescanning the whole history on every command made big repos quadratic
+    const commits = _fresh ? _fresh.commits : [_commits, ...Object.values(_remotes).map(r => r.commits)].flatMap(map => Object.keys(map).map(sha => [map, sha]));
+    const entries = _fresh ? _fresh.reflog : Object.entries(_reflog).flatMap(([ref, list]) => list.map(e => [ref, e]));
+    // No orphaned commits (every commit except root must have valid parents)
+    commits.forEach(([map, sha]) => map[sha].parents.forEach(p => {
+      if (map[p]) return;
+      const remote = Object.keys(_remotes).find(name => _remotes[name].commits === map);
+      throw new Error(`Commit '${sha}'${remote ? ` on remote '${remote}'` : ''} has orphaned parent '${p}'`);
+    }));
+    entries.forEach(([ref, e]) => { if (!_commits[e.sha]) throw new Error(`Reflog entry ${ref}@{${(_reflog[ref] || []).indexOf(e)}} points to invalid commit`); });
+    _fresh = { commits: [], reflog: [] };
+  }
+
+  // Wrap all mutations with assertValidState
   const _orig_commit = commit;
-  commit = function(message) {
+  commit = function(message, options) {
     assertValidState();
-    const result = _orig_commit.call(this, message);
+    const result = _orig_commit.call(this, message, options);
     assertValidState();
     return result;
   };
 
   const _orig_branch = branch;
-  branch = function(name) {
+  branch = function(name, startPoint, options) {
+    assertValidState();
+    const result = _orig_branch.call(this, name, startPoint, options);
+    assertValidState();
+    return result;
+  };
+
+  const _orig_deleteBranch = deleteBranch;
+  deleteBranch = function(name, force) {
+    assertValidState();
+    const result = _orig_deleteBranch.call(this, name, force);
+    assertValidState();
+    return result;
+  };
+
+  const _orig_renameBranch = renameBranch;
+  renameBranch = function(oldName, newName, force) {
     assertValidState();
-    const result = _orig_branch.call(this, name);
+    const result = _orig_renameBranch.call(this, oldName, newName, force);
     assertValidState();
     return result;
   };
@@ -347,9 +1694,9 @@ const GitState = (() => {
   };
 
   const _orig_checkoutNewBranch = checkoutNewBranch;
-  checkoutNewBranch = function(name) {
+  checkoutNewBranch = function(name, startPoint) {
     assertValidState();
-    const result = _orig_checkoutNewBranch.call(this, name);
+    const result = _orig_checkoutNewBranch.call(this, name, startPoint);
     assertValidState();
     return result;
   };
@@ -363,9 +1710,9 @@ const GitState = (() => {
   };
 
   const _orig_rebase = rebase;
-  rebase = function(targetBranch) {
+  rebase = function(target, options) {
     assertValidState();
-    const result = _orig_rebase.call(this, targetBranch);
+    const result = _orig_rebase.call(this, target, options);
     assertValidState();
     return result;
   };
@@ -378,55 +1725,191 @@ const GitState = (() => {
     return result;
   };
 
-  const _orig_resetHard = resetHard;
-  resetHard = function(target) {
+  const _orig_reset = reset;
+  reset = function(target, mode) {
+    assertValidState();
+    const result = _orig_reset.call(this, target, mode);
+    assertValidState();
+    return result;
+  };
+
+  const _orig_revert = revert;
+  revert = function(rev, options) {
     assertValidState();
-    const result = _orig_resetHard.call(this, target);
+    const result = _orig_revert.call(this, rev, options);
     assertValidState();
     return result;
   };
 
   const _orig_stash = stash;
-  stash = function() {
+  stash = function(message) {
+    assertValidState();
+    const result = _orig_stash.call(this, message);
+    assertValidState();
+    return result;
+  };
+
+  const _orig_stashApply = stashApply;
+  stashApply = function(ref, options) {
     assertValidState();
-    const result = _orig_stash.call(this);
+    const result = _orig_stashApply.call(this, ref, options);
     assertValidState();
     return result;
   };
 
   const _orig_stashPop = stashPop;
-  stashPop = function() {
+  stashPop = function(ref, options) {
+    assertValidState();
+    const result = _orig_stashPop.call(this, ref, options);
+    assertValidState();
+    return result;
+  };
+
+  const _orig_stashDrop = stashDrop;
+  stashDrop = function(ref) {
     assertValidState();
-    const result = _orig_stashPop.call(this);
+    const result = _orig_stashDrop.call(this, ref);
+    assertValidState();
+    return result;
+  };
+
+  const _orig_stashBranch = stashBranch;
+  stashBranch = function(name, ref) {
+    assertValidState();
+    const result = _orig_stashBranch.call(this, name, ref);
     assertValidState();
     return result;
   };
 
   const _orig_tag = tag;
-  tag = function(name, target) {
+  tag = function(name, target, options) {
+    assertValidState();
+    const result = _orig_tag.call(this, name, target, options);
+    assertValidState();
+    return result;
+  };
+
+  const _orig_deleteTag = deleteTag;
+  deleteTag = function(name) {
     assertValidState();
-    const result = _orig_tag.call(this, name, target);
+    const result = _orig_deleteTag.call(this, name);
     assertValidState();
     return result;
   };
 
   const _orig_push = push;
-  push = function(branchName) {
+  push = function(remoteName, branchName, options) {
     assertValidState();
-    const result = _orig_push.call(this, branchName);
+    const result = _orig_push.call(this, remoteName, branchName, options);
     assertValidState();
     return result;
   };
 
   const _orig_pull = pull;
-  pull = function(branchName) {
+  pull = function(remoteName, branchName, options) {
+    assertValidState();
+    const result = _orig_pull.call(this, remoteName, branchName, options);
+    assertValidState();
+    return result;
+  };
+
+  const _orig_fetch = fetch;
+  fetch = function(remoteName, options) {
+    assertValidState();
+    const result = _orig_fetch.call(this, remoteName, options);
+    assertValidState();
+    return result;
+  };
+
+  const _orig_remoteAdd = remoteAdd;
+  remoteAdd = function(name, url) {
+    assertValidState();
+    const result = _orig_remoteAdd.call(this, name, url);
+    assertValidState();
+    return result;
+  };
+
+  const _orig_remoteRemove = remoteRemove;
+  remoteRemove = function(name) {
+    assertValidState();
+    const result = _orig_remoteRemove.call(this, name);
+    assertValidState();
+    return result;
+  };
+
+  const _orig_teammateCommit = teammateCommit;
+  teammateCommit = function(remoteName, branchName, message, file) {
+    assertValidState();
+    const result = _orig_teammateCommit.call(this, remoteName, branchName, message, file);
+    assertValidState();
+    return result;
+  };
+
+  const _orig_add = add;
+  add = function(specs) {
+    assertValidState();
+    const result = _orig_add.call(this, specs);
+    assertValidState();
+    return result;
+  };
+
+  const _orig_rm = rm;
+  rm = function(specs, options) {
+    assertValidState();
+    const result = _orig_rm.call(this, specs, options);
+    assertValidState();
+    return result;
+  };
+
+  const _orig_restore = restore;
+  restore = function(specs, options) {
+    assertValidState();
+    const result = _orig_restore.call(this, specs, options);
+    assertValidState();
+    return result;
+  };
+
+  const _orig_mergeAbort = mergeAbort;
+  mergeAbort = function() {
+    assertValidState();
+    const result = _orig_mergeAbort.call(this);
+    assertValidState();
+    return result;
+  };
+
+  const _orig_mergeContinue = mergeContinue;
+  mergeContinue = function() {
+    assertValidState();
+    const result = _orig_mergeContinue.call(this);
+    assertValidState();
+    return result;
+  };
+
+  const _orig_rebaseContinue = rebaseContinue;
+  rebaseContinue = function() {
+    assertValidState();
+    const result = _orig_rebaseContinue.call(this);
+    assertValidState();
+    return result;
+  };
+
+  const _orig_rebaseSkip = rebaseSkip;
+  rebaseSkip = function() {
+    assertValidState();
+    const result = _orig_rebaseSkip.call(this);
+    assertValidState();
+    return result;
+  };
+
+  const _orig_rebaseAbort = rebaseAbort;
+  rebaseAbort = function() {
     assertValidState();
-    const result = _orig_pull.call(this, branchName);
+    const result = _orig_rebaseAbort.call(this);
     assertValidState();
     return result;
   };
 
-  return { isInitialized, init, commit, branch, checkout, checkoutNewBranch, merge, rebase, cherryPick, resetHard, stash, stashPop, tag, log, status, getBranchList, getCommit, push, pull, snapshot };
+  return { isInitialized, init, commit, branch, deleteBranch, renameBranch, checkout, checkoutNewBranch, merge, rebase, cherryPick, revert, reset, stash, stashList, stashShow, stashApply, stashPop, stashDrop, stashBranch, tag, deleteTag, tagList, getTag, log, status, getBranchList, getCommit, push, pull, snapshot, diff, writeFile, removeFile, readFile, listFiles, add, rm, restore, mergeAbort, mergeContinue, rebasePlan, rebaseContinue, rebaseSkip, rebaseAbort, reflog, resolve, revList, compare, config, configList, seed, load, importHistory, assertValidState, remoteAdd, remoteRemove, remoteList, fetch, teammateCommit };
 
 })();
 
@@ -454,85 +1937,215 @@ const CommandParser = (() => {
       out.line('Supported commands:'),
       out.spacer(),
       out.code('  git init'),                      out.muted('    Initialize a new repository'),
-      out.code('  git commit -m "<msg>"'),          out.muted('    Record changes'),
-      out.code('  git branch <n>'),                out.muted('    Create a branch'),
-      out.code('  git branch -a'),                 out.muted('    List all branches'),
-      out.code('  git checkout <branch|sha>'),     out.muted('    Switch branches or detach HEAD'),
-      out.code('  git checkout -b <branch>'),      out.muted('    Create + switch to new branch'),
-      out.code('  git merge <branch>'),            out.muted('    Merge a branch into HEAD'),
+      out.code('  git commit [-a] -m "<msg>"'),     out.muted('    Record the staged changes'),
+      out.code('  git add <file|.>'),              out.muted('    Stage working-tree changes'),
+      out.code('  git rm [--cached] <file>'),      out.muted('    Remove a file from the index (and disk)'),
+      out.code('  git restore [--staged] <file>'), out.muted('    Discard edits, or unstage a file'),
+      out.code('  git restore --ours|--theirs <f>'), out.muted('    Take one side of a conflicted file'),
+      out.code('  git diff [--staged]'),           out.muted('    Show unstaged (or staged) line changes'),
+      out.code('  git branch <n> [start]'),        out.muted('    Create a branch (at HEAD or a revision)'),
+      out.code('  git branch -a|-r'),              out.muted('    List local and remote-tracking (or, with -r, only remote) branches'),
+      out.code('  git branch -d|-D <n>'),          out.muted('    Delete a merged (or, with -D, any) branch'),
+      out.code('  git branch -m [old] <new>'),     out.muted('    Rename a branch'),
+      out.code('  git branch -f <n> <rev>'),       out.muted('    Move an existing branch to a revision'),
+      out.code('  git checkout <branch|rev>'),     out.muted('    Switch branches or detach HEAD'),
+      out.code('  git checkout -b <n> [start]'),   out.muted('    Create + switch to new branch'),
+      out.code('  git merge <rev>'),               out.muted('    Three-way merge a branch, tag or commit'),
+      out.code('  git merge --continue|--abort'),  out.muted('    Finish or cancel a conflicted merge'),
       out.code('  git rebase <branch>'),           out.muted('    Replay commits on another branch'),
-      out.code('  git cherry-pick <sha>'),         out.muted('    Copy a commit onto current branch'),
-      out.code('  git reset --hard <SHA|HEAD~N>'), out.muted('    Reset current branch'),
-      out.code('  git stash / git stash pop'),     out.muted('    Save and restore working state'),
-      out.code('  git tag <n> [sha]'),             out.muted('    Create a lightweight tag'),
-      out.code('  git log / git log --graph'),     out.muted('    Show commit history'),
-      out.code('  git status'),                    out.muted('    Show HEAD info'),
-      out.code('  git push [branch]'),             out.muted('    Push branch to origin (shows on graph)'),
-      out.code('  git pull [branch]'),             out.muted('    Pull from origin into local branch'),
+      out.code('  git rebase -i <base>'),          out.muted('    Edit the todo list: pick/reword/edit/squash/fixup/drop'),
+      out.code('  git rebase --continue|--skip|--abort'), out.muted('    Drive a stopped rebase'),
+      out.code('  git commit --amend [-m "<msg>"]'), out.muted('    Replace HEAD with the index (and new message)'),
+      out.code('  git cherry-pick <rev|A..B>'),    out.muted('    Copy commits onto current branch'),
+      out.code('  git reset [--soft|--mixed|--hard] [rev]'), out.muted('    Move the branch; also reset index (mixed) and files (hard)'),
+      out.code('  git revert [-m 1] <rev>'),       out.muted('    Add a commit that undoes an earlier one'),
+      out.code('  git stash [push] [-m "<msg>"]'), out.muted('    Save local changes as stash commits'),
+      out.code('  git stash list|show [-p]'),      out.muted('    List entries, or show one\'s changes'),
+      out.code('  git stash apply|pop [--index] [stash@{n}]'), out.muted('    Re-apply an entry (pop also drops it)'),
+      out.code('  git stash drop [stash@{n}]'),    out.muted('    Delete an entry'),
+      out.code('  git stash branch <n> [stash@{n}]'), out.muted('    Pop an entry onto a new branch at its base'),
+      out.code('  git tag <n> [rev]'),             out.muted('    Create a lightweight tag'),
+      out.code('  git tag -a <n> -m "<msg>" [rev]'), out.muted('    Create an annotated tag'),
+      out.code('  git tag [-l <pattern>] / -d <n>'), out.muted('    List (matching) tags, or delete one'),
+      out.code('  git log [--oneline] [--graph] [--all]'), out.muted('    Show history, as lanes with --graph, from every ref with --all'),
+      out.code('  git log -n <N> [--first-parent] [--reverse] [rev|A..B]'), out.muted('    Limit, follow merges\' first parents only, oldest first'),
+      out.code('  git log --grep=<re> --author=<re>'), out.muted('    Only matching commits (-i ignores case); dims the rest'),
+      out.code('  git log --since=<date> --until=<date>'), out.muted('    By date: "2 hours ago", yesterday, 2024-05-01'),
+      out.code('  git config user.name|user.email'), out.muted('    Set who commits and tags are by (--list shows all)'),
+      out.code('  git reflog [ref]'),              out.muted('    Show where HEAD or a branch has been'),
+      out.muted('  <rev> is a branch, tag, origin/<b>, (short) SHA, HEAD/@, ORIG_HEAD or <ref>@{n},'),
+      out.muted('  followed by ~N / ^N steps — e.g. HEAD~2, main^2, v1.0~ — ranges: A..B, A...B'),
+      out.code('  git status'),                    out.muted('    Show staged, unstaged and untracked files'),
+      out.code('  git remote [-v] / add / remove'), out.muted('    List, add or remove remote repositories'),
+      out.code('  git fetch [remote|--all]'),      out.muted('    Download commits; move origin/<b> refs'),
+      out.code('  git push [remote] [branch]'),    out.muted('    Upload a branch (--force, --force-with-lease)'),
+      out.code('  git pull [remote] [b] [--rebase]'), out.muted('    Fetch, then fast-forward, merge or rebase'),
+      out.code('  teammate [origin/<b>] [-m msg]'), out.muted('    Simulate someone else pushing to a remote'),
+      out.spacer(),
+      out.code('  touch <file>'),                  out.muted('    Create an empty file'),
+      out.code('  echo "text" > <file>'),          out.muted('    Write (or >> append) to a file'),
+      out.code('  cat <file> / ls / rm <file>'),   out.muted('    Read, list or delete working-tree files'),
+      out.code('  undo [n] / redo [n]'),           out.muted('    Step back / forward through executed commands'),
+      out.code('  save <name> / load <name>'),     out.muted('    Keep named sandboxes in this browser'),
+      out.code('  sessions [-d <name>]'),          out.muted('    List (or delete) saved sandboxes'),
+      out.code('  export [--history] / import'),   out.muted('    Download or open a repository as JSON'),
+      out.code('  export sh [--history]'),         out.muted('    A bash script that rebuilds it (or re-runs the commands)'),
+      out.code('  export fast-import'),            out.muted('    The commit graph as a git fast-import stream'),
+      out.code('  import git'),                    out.muted('    Load real history from git log / fast-export output'),
+      out.code('  share'),                         out.muted('    Copy a link that opens this exact graph'),
+      out.code('  goto <rev> / show <rev>'),        out.muted('    Scroll the graph to a commit and highlight it'),
+      out.code('  record start|stop|cancel'),      out.muted('    Record the graph after each command as a video'),
+      out.code('  animate [slow|normal|fast]'),    out.muted('    Graph transition speed; reduced / full / auto motion'),
+      out.code('  lessons / lesson <name>'),       out.muted('    List the guided lessons, or start one'),
+      out.code('  lesson [next|restart|exit]'),    out.muted('    Show the step; move on, start over or leave'),
+      out.code('  hint'),                          out.muted('    A nudge for the current lesson step'),
+      out.code('  seed [<value>|off]'),            out.muted('    Fixed commit times: the same commands give the same SHAs'),
       out.code('  clear'),                         out.muted('    Clear terminal output'),
     ],
 
     git: (args) => {
-            // git diff <branchA> <branchB> — show commits on A not in B and vice versa
-            if (args[0] === 'diff' && args.length >= 3) {
-              const [_, branchA, branchB] = args;
-              if (!branchA || !branchB) return [out.error('usage: git diff <branchA> <branchB>')];
-              try {
-                const branches = GitState.getBranchList();
-                const shaA = branches.find(b => b.name === branchA)?.sha;
-                const shaB = branches.find(b => b.name === branchB)?.sha;
-                if (!shaA) return [out.error(`Branch '${branchA}' not found`)];
-                if (!shaB) return [out.error(`Branch '${branchB}' not found`)];
-                // Find commits reachable from A but not B
-                const ancestorsA = GitState._getAllAncestors ? GitState._getAllAncestors(shaA) : (window._getAllAncestors ? window._getAllAncestors(shaA) : new Set());
-                const ancestorsB = GitState._getAllAncestors ? GitState._getAllAncestors(shaB) : (window._getAllAncestors ? window._getAllAncestors(shaB) : new Set());
-                const onlyA = [...ancestorsA].filter(x => !ancestorsB.has(x));
-                const onlyB = [...ancestorsB].filter(x => !ancestorsA.has(x));
-                const commits = GitState.snapshot().commits;
-                let lines = [];
-                lines.push(out.info(`Commits on ${branchA} not in ${branchB}:`));
-                if (onlyA.length === 0) lines.push(out.muted('  (none)'));
-                else onlyA.forEach(sha => lines.push(out.code(`  ${sha}  ${commits[sha]?.message || ''}`)));
-                lines.push(out.spacer());
-                lines.push(out.info(`Commits on ${branchB} not in ${branchA}:`));
-                if (onlyB.length === 0) lines.push(out.muted('  (none)'));
-                else onlyB.forEach(sha => lines.push(out.code(`  ${sha}  ${commits[sha]?.message || ''}`)));
-                return lines;
-              } catch (e) { return [out.error(`error: ${e.message}`)]; }
-            }
       const sub = args[0];
       if (!sub) return [out.error('git: command required. Try `help`.')];
 
       const subs = {
 
+        // git diff <revA> <revB> — show commits on A not in B and vice versa;
+        // otherwise a line diff of the working tree (or --staged index)
+        diff: (rest) => {
+          _req();
+          const staged = rest.includes('--staged') || rest.includes('--cached');
+          const positional = rest.filter(r => !r.startsWith('-'));
+          const isRev = r => { try { GitState.resolve(r); return true; } catch (e) { return false; } };
+          if (positional.length === 2 && !staged && positional.every(isRev)) {
+            const [revA, revB] = positional;
+            try {
+              const { onlyA, onlyB } = GitState.compare(revA, revB);
+              let lines = [];
+              lines.push(out.info(`Commits on ${revA} not in ${revB}:`));
+              if (onlyA.length === 0) lines.push(out.muted('  (none)'));
+              else onlyA.forEach(c => lines.push(out.code(`  ${c.sha}  ${c.message.split('\n')[0]}`)));
+              lines.push(out.spacer());
+              lines.push(out.info(`Commits on ${revB} not in ${revA}:`));
+              if (onlyB.length === 0) lines.push(out.muted('  (none)'));
+              else onlyB.forEach(c => lines.push(out.code(`  ${c.sha}  ${c.message.split('\n')[0]}`)));
+              return lines;
+            } catch (e) { return [out.error(`error: ${e.message}`)]; }
+          }
+          try {
+            const files = GitState.diff({ staged, paths: positional.length ? positional : null });
+            if (!files.length) return [out.muted(staged ? 'No staged changes.' : 'No unstaged changes.')];
+            return _patchLines(files);
+          } catch (e) { return [out.error(`error: ${e.message}`)]; }
+        },
+
         init: () => {
           if (GitState.isInitialized()) return [out.warn('Reinitialized existing Git repository')];
           GitState.init();
           return [out.success('Initialized empty Git repository'), out.muted('Branch: master')];
         },
 
-        commit: (rest) => {
+        commit: (args) => {
           _req();
+          const rest = _shortFlags(args, 'm');
           const mIdx = rest.indexOf('-m');
+          const amend = rest.includes('--amend');
+          if (mIdx === -1 && amend) {
+            try { const sha = GitState.commit(null, { amend, all: rest.includes('-a') }); return [out.success(`[${GitState.status().branch || 'HEAD'} ${sha}] ${GitState.getCommit(sha).message.split('\n')[0]}`), out.muted('amended the previous commit')]; }
+            catch (e) { return [out.error(`fatal: ${e.message}`)]; }
+          }
+          if (mIdx === -1 && GitState.status().merging) {
+            try { const sha = GitState.mergeContinue(); return [out.success(`[${GitState.status().branch || 'HEAD'} ${sha}] ${GitState.getCommit(sha).message}`)]; }
+            catch (e) { return _commitError(e); }
+          }
           if (mIdx === -1) return [out.error('error: `-m` required — git commit -m "message"')];
-          const message = rest.slice(mIdx + 1).join(' ').replace(/^["']|["']$/g, '').trim();
+          const message = rest.slice(mIdx + 1).filter(r => r !== '-a' && r !== '--all' && r !== '--allow-empty' && r !== '--amend').join(' ').replace(/^["']|["']$/g, '').trim();
           if (!message) return [out.error('error: commit message cannot be empty')];
-          const sha = GitState.commit(message), s = GitState.status();
-          return [out.success(`[${s.branch || 'HEAD'} ${sha}] ${message}`)];
+          const all = rest.includes('-a') || rest.includes('--all');
+          const before = GitState.status();
+          let sha;
+          try { sha = GitState.commit(message, { all, amend }); }
+          catch (e) { return _commitError(e); }
+          const s = GitState.status();
+          const lines = [out.success(`[${s.branch || 'HEAD'} ${sha}] ${message}`)];
+          if (amend) return [...lines, out.muted('amended the previous commit')];
+          const changed = before.staged.length + (all ? before.unstaged.length : 0);
+          if (changed) lines.push(out.muted(` ${changed} file${changed === 1 ? '' : 's'} changed`));
+          else if (before.unstaged.length || before.untracked.length) lines.push(out.muted('nothing staged — recorded as an empty commit (use "git add" to stage changes)'));
+          return lines;
+        },
+
+        add: (rest) => {
+          _req();
+          if (!rest.length) return [out.error('Nothing specified, nothing added.'), out.muted('hint: maybe you wanted to say \'git add .\'?')];
+          try {
+            const paths = GitState.add(rest);
+            return paths.length ? [out.muted(`staged: ${paths.join(', ')}`)] : [out.muted('nothing to add')];
+          } catch (e) { return [out.error(`fatal: ${e.message}`)]; }
+        },
+
+        rm: (rest) => {
+          _req();
+          const cached = rest.includes('--cached'), force = rest.includes('-f') || rest.includes('--force');
+          const specs = rest.filter(r => !r.startsWith('-') || r === '-A');
+          if (!specs.length) return [out.error('usage: git rm [--cached] [-f] <file>...')];
+          try { return GitState.rm(specs, { cached, force }).map(p => out.line(`rm '${p}'`)); }
+          catch (e) { return [out.error(`error: ${e.message}`)]; }
+        },
+
+        restore: (rest) => {
+          _req();
+          const staged = rest.includes('--staged') || rest.includes('-S');
+          const side = rest.includes('--ours') ? 'ours' : rest.includes('--theirs') ? 'theirs' : null;
+          const specs = rest.filter(r => !r.startsWith('-'));
+          if (!specs.length) return [out.error('fatal: you must specify path(s) to restore')];
+          try {
+            const paths = GitState.restore(specs, { staged, side });
+            return [out.muted(`${staged ? 'unstaged' : 'restored'}: ${paths.join(', ')}`)];
+          } catch (e) { return [out.error(`error: ${e.message}`)]; }
         },
 
         branch: (rest) => {
           _req();
-          if (!rest.length || rest[0] === '-a' || rest[0] === '--all') {
-            const bs = GitState.getBranchList();
-            if (!bs.length) return [out.muted('  (no branches)')];
-            return bs.map(b => out.line(`${b.current ? '* ' : '  '}${b.name}${b.sha ? ' ' + b.sha.slice(0,7) : ' (no commits)'}`, b.current ? 'success' : ''));
+          const has = (...flags) => flags.some(f => rest.includes(f));
+          // git branch [-a|--all] [-r|--remotes]: -r lists only the remote-tracking refs
+          if (rest.every(r => ['-a', '--all', '-r', '--remotes'].includes(r))) {
+            const all = has('-a', '--all'), remotes = has('-r', '--remotes') && !all;
+            const bs = GitState.getBranchList({ remotes: all || remotes }).filter(b => !remotes || b.remote);
+            if (!bs.length) return [out.muted(remotes ? '  (no remote-tracking branches)' : '  (no branches)')];
+            return bs.map(b => b.remote
+              ? out.line(`  ${all ? 'remotes/' : ''}${b.name} ${b.sha.slice(0,7)}`, 'muted')
+              : out.line(`${b.current ? '* ' : '  '}${b.name}${b.sha ? ' ' + b.sha.slice(0,7) : ' (no commits)'}`, b.current ? 'success' : ''));
           }
-          if (rest[0] === '-d' || rest[0] === '--delete') return [out.error('branch deletion not supported in this visualizer')];
-          const name = rest[0];
+          const args = rest.filter(r => !r.startsWith('-'));
+          if (has('-d', '-D', '--delete')) {
+            if (!args.length) return [out.error('fatal: branch name required')];
+            const force = has('-D', '-f', '--force');
+            return args.flatMap(name => {
+              try { const sha = GitState.deleteBranch(name, force); return [out.success(`Deleted branch ${name} (was ${sha ? sha.slice(0,7) : 'unborn'}).`)]; }
+              catch (e) {
+                const lines = [out.error(`error: ${e.message}`)];
+                if (/not fully merged/.test(e.message)) lines.push(out.muted(`If you are sure you want to delete it, run 'git branch -D ${name}'.`));
+                return lines;
+              }
+            });
+          }
+          if (has('-m', '-M', '--move')) {
+            if (!args.length || args.length > 2) return [out.error('usage: git branch -m [<old-branch>] <new-branch>')];
+            const [from, to] = args.length === 2 ? args : [GitState.status().branch, args[0]];
+            if (!from) return [out.error('fatal: cannot rename the current branch while not on any')];
+            if (!_vref(to)) return [out.error(`error: '${to}' is not a valid branch name`)];
+            try { GitState.renameBranch(from, to, has('-M')); return [out.success(`Renamed branch '${from}' to '${to}'`)]; }
+            catch (e) { return [out.error(`fatal: ${e.message}`)]; }
+          }
+          const [name, start] = args;
+          if (!name) return [out.error('fatal: branch name required')];
           if (!_vref(name)) return [out.error(`error: '${name}' is not a valid branch name`)];
-          try { GitState.branch(name); return [out.success(`Branch '${name}' created`)]; }
-          catch (e) { return [out.error(`error: ${e.message}`)]; }
+          const force = has('-f', '--force'), existed = GitState.getBranchList().some(b => b.name === name);
+          try {
+            GitState.branch(name, start, { force });
+            if (force && existed) return [out.success(`Branch '${name}' reset to ${GitState.resolve(name).slice(0,7)}`)];
+            return [out.success(`Branch '${name}' created${start ? ` at ${start}` : ''}`)];
+          } catch (e) { return [out.error(`${/current branch/.test(e.message) ? 'fatal' : 'error'}: ${e.message}`)]; }
         },
 
         checkout: (rest) => {
@@ -541,13 +2154,15 @@ const CommandParser = (() => {
             const name = rest[1];
             if (!name) return [out.error('error: branch name required after -b')];
             if (!_vref(name)) return [out.error(`error: '${name}' is not a valid branch name`)];
-            try { GitState.checkoutNewBranch(name); return [out.success(`Switched to a new branch '${name}'`)]; }
+            try { GitState.checkoutNewBranch(name, rest[2]); return [out.success(`Switched to a new branch '${name}'`)]; }
             catch (e) { return [out.error(`error: ${e.message}`)]; }
           }
           const target = rest[0];
           if (!target) return [out.error('error: branch or commit required')];
           try {
+            const before = GitState.status().branch;
             const r = GitState.checkout(target);
+            if (r.type === 'branch' && r.name === before) return [out.info(`Already on '${r.name}'`)];
             if (r.type === 'branch') return [out.success(`Switched to branch '${r.name}'`)];
             return [out.warn(`HEAD is now at ${r.sha.slice(0,7)}`), out.warn('You are in detached HEAD state.')];
           } catch (e) { return [out.error(`error: ${e.message}`)]; }
@@ -555,151 +2170,340 @@ const CommandParser = (() => {
 
         merge: (rest) => {
           _req();
+          if (rest[0] === '--abort') {
+            try { GitState.mergeAbort(); return [out.warn('Merge aborted — index and working tree restored')]; }
+            catch (e) { return [out.error(`fatal: ${e.message}`)]; }
+          }
+          if (rest[0] === '--continue') {
+            try { const sha = GitState.mergeContinue(); return [out.success(`[${GitState.status().branch} ${sha}] ${GitState.getCommit(sha).message}`)]; }
+            catch (e) { return _commitError(e); }
+          }
           const source = rest[0];
           if (!source) return [out.error('error: branch to merge required')];
           if (source === GitState.status().branch) return [out.error('cannot merge a branch into itself')];
-          try {
-            const result = GitState.merge(source);
-            if (result.type === 'already-up-to-date') return [out.info('Already up-to-date')];
-            if (result.type === 'fast-forward') return [out.success(`Fast-forward merge: ${source} → ${GitState.status().branch}`)];
-            if (result.type === 'merge') return [out.success(`Merged branch '${source}' into ${GitState.status().branch}`)];
-            return [out.info('Merge result: ' + JSON.stringify(result))];
-          } catch (e) { return [out.error(`error: ${e.message}`)]; }
+          try { return _mergeLines(GitState.merge(source), source); }
+          catch (e) { return [out.error(`error: ${e.message}`)]; }
         },
 
         rebase: (rest) => {
           _req();
-          const target = rest[0];
-          if (!target) return [out.error('error: branch name required — git rebase <branch>')];
           try {
-            const r = GitState.rebase(target);
-            if (r.type === 'already-up-to-date') return [out.info('Current branch is up to date.')];
-            return [out.success(`Successfully rebased and updated refs/heads/${GitState.status().branch}`), out.muted(`${r.count} commit(s) replayed on top of ${target}`)];
+            if (rest[0] === '--continue') return _rebaseLines(GitState.rebaseContinue());
+            if (rest[0] === '--skip')     return _rebaseLines(GitState.rebaseSkip());
+            if (rest[0] === '--abort')    { const sha = GitState.rebaseAbort(); return [out.warn(`Rebase aborted — HEAD is back at ${sha.slice(0,7)} on ${GitState.status().branch}`)]; }
+          } catch (e) { return [out.error(`error: ${e.message}`)]; }
+          const interactive = rest.includes('-i') || rest.includes('--interactive');
+          const target = rest.find(r => !r.startsWith('-'));
+          if (!target) return [out.error(`error: ${interactive ? 'base commit' : 'branch name'} required — git rebase ${interactive ? '-i <base>' : '<branch>'}`)];
+          try {
+            if (interactive) {
+              const plan = GitState.rebasePlan(target);
+              if (!plan.todo.length) return [out.info('Nothing to do — no commits between HEAD and ' + target)];
+              return [
+                out.info(`Interactive rebase of ${plan.branch} onto ${target} (${plan.todo.length} commit${plan.todo.length === 1 ? '' : 's'})`),
+                ...plan.todo.map(step => out.code(`  pick ${step.sha.slice(0,7)} ${step.message.split('\n')[0]}`)),
+                out.muted('Edit the todo list in the panel, then press Start rebase.'),
+                { special: 'rebase-todo', plan },
+              ];
+            }
+            return _rebaseLines(GitState.rebase(target), target);
           } catch (e) { return [out.error(`error: ${e.message}`)]; }
         },
 
         'cherry-pick': (rest) => {
           _req();
           const sha = rest[0];
-          if (!sha) return [out.error('error: SHA required — git cherry-pick <sha>')];
+          if (!sha) return [out.error('error: revision required — git cherry-pick <rev|A..B>')];
           try {
-            const r = GitState.cherryPick(sha);
-            return [out.success(`[${GitState.status().branch || 'HEAD'} ${r.sha}] ${r.message}`), out.muted(`cherry picked from commit ${r.original}`)];
+            const r = GitState.cherryPick(sha), branch = GitState.status().branch || 'HEAD';
+            return r.picks.flatMap(p => [out.success(`[${branch} ${p.sha}] ${p.message.split('\n')[0]}`), out.muted(`cherry picked from commit ${p.original}`)]);
           } catch (e) { return [out.error(`error: ${e.message}`)]; }
         },
 
         reset: (rest) => {
           _req();
-          if (rest[0] !== '--hard') return [out.error('error: only --hard is supported')];
-          const target = rest[1];
-          if (!target) return [out.error('error: commit reference required after --hard')];
-          try { const sha = GitState.resetHard(target); return [out.warn(`HEAD is now at ${sha.slice(0,7)}`)]; }
-          catch (e) { return [out.error(`error: ${e.message}`)]; }
+          const modes = rest.filter(r => r.startsWith('-'));
+          const unknown = modes.find(m => !['--soft', '--mixed', '--hard'].includes(m));
+          if (unknown) return [out.error(`error: unknown option '${unknown}'`), out.muted('usage: git reset [--soft | --mixed | --hard] [<rev>]')];
+          if (modes.length > 1) return [out.error('fatal: choose one of --soft, --mixed or --hard')];
+          const mode = modes.length ? modes[0].slice(2) : 'mixed';
+          const target = rest.find(r => !r.startsWith('-')) || 'HEAD';
+          try {
+            const r = GitState.reset(target, mode);
+            const subject = GitState.getCommit(r.sha).message.split('\n')[0];
+            if (mode === 'hard') return [out.warn(`HEAD is now at ${r.sha.slice(0,7)} ${subject}`)];
+            if (mode === 'soft') {
+              const staged = GitState.status().staged.length;
+              return [out.warn(`HEAD is now at ${r.sha.slice(0,7)} ${subject}`), out.muted(`index and working tree untouched — ${staged} file${staged === 1 ? '' : 's'} staged, ready to commit again`)];
+            }
+            if (!r.unstaged.length) return [out.warn(`HEAD is now at ${r.sha.slice(0,7)} ${subject}`)];
+            return [out.line('Unstaged changes after reset:'), ...r.unstaged.map(f => out.code(`${f.change === 'deleted' ? 'D' : 'M'}\t${f.path}`))];
+          } catch (e) { return [out.error(`${/middle of a merge/.test(e.message) ? 'fatal' : 'error'}: ${e.message}`)]; }
+        },
+
+        revert: (rest) => {
+          _req();
+          const mIdx = rest.findIndex(r => r === '-m' || r === '--mainline');
+          const mainline = mIdx === -1 ? null : Number(rest[mIdx + 1]);
+          if (mIdx !== -1 && !(mainline >= 1)) return [out.error('error: option `mainline\' expects a number greater than zero')];
+          const rev = rest.find((r, i) => !r.startsWith('-') && (mIdx === -1 || i !== mIdx + 1));
+          if (!rev) return [out.error('error: revision required — git revert [-m <parent>] <rev>')];
+          try {
+            const r = GitState.revert(rev, { mainline });
+            const lines = [out.success(`[${GitState.status().branch || 'HEAD'} ${r.sha}] ${GitState.getCommit(r.sha).message.split('\n')[0]}`)];
+            return [...lines, out.muted(`new commit undoing ${r.reverted.slice(0,7)}${r.mainline ? ` relative to parent ${r.mainline}` : ''} — history is kept, nothing is rewritten`)];
+          } catch (e) { return [out.error(`error: ${e.message}`)]; }
         },
 
         stash: (rest) => {
           _req();
-          const sub = rest[0];
-          if (!sub || sub === 'push') {
-            try { const idx = GitState.stash(); return [out.success(`Saved working directory state WIP@{${idx}}`)]; }
-            catch (e) { return [out.error(`error: ${e.message}`)]; }
-          }
-          if (sub === 'pop') {
-            try { const sha = GitState.stashPop(); return [out.success(`Restored stash: ${sha.slice(0,7)}`)]; }
-            catch (e) { return [out.error(`error: ${e.message}`)]; }
-          }
-          return [out.error(`error: unknown stash subcommand '${sub}'`)];
+          // `git stash` and `git stash -m <msg>` are short for `git stash push`
+          const sub = rest[0] && !rest[0].startsWith('-') ? rest[0] : 'push';
+          const args = rest[0] === sub ? rest.slice(1) : rest;
+          const mIdx = args.indexOf('-m'), ref = args.find((a, i) => !a.startsWith('-') && (mIdx === -1 || i !== mIdx + 1));
+          try {
+            if (sub === 'push' || sub === 'save') {
+              const message = mIdx !== -1 ? args[mIdx + 1] : sub === 'save' ? args.join(' ') : '';
+              const r = GitState.stash(message);
+              if (!r) return [out.muted('No local changes to save')];
+              return [out.success(`Saved working directory and index state ${r.message}`)];
+            }
+            if (sub === 'list') {
+              const entries = GitState.stashList();
+              if (!entries.length) return [out.muted('  (no stash entries)')];
+              return entries.map(e => out.line(`${e.selector}: ${e.message}`));
+            }
+            if (sub === 'show') {
+              const files = GitState.stashShow(ref);
+              if (args.includes('-p') || args.includes('--patch')) return _patchLines(files);
+              const width = Math.max(...files.map(f => f.path.length), 0);
+              return [
+                ...files.map(f => {
+                  const add = f.lines.filter(l => l.op === '+').length, del = f.lines.filter(l => l.op === '-').length;
+                  return out.line(` ${f.path.padEnd(width)} | ${add + del} ${'+'.repeat(add)}${'-'.repeat(del)}`);
+                }),
+                out.muted(` ${files.length} file${files.length === 1 ? '' : 's'} changed`),
+              ];
+            }
+            if (sub === 'apply' || sub === 'pop') {
+              const r = sub === 'pop' ? GitState.stashPop(ref, { index: args.includes('--index') }) : GitState.stashApply(ref, { index: args.includes('--index') });
+              const lines = r.conflicts.map(p => out.error(`CONFLICT (content): Merge conflict in ${p}`));
+              if (r.conflicts.length) return [...lines, out.warn(sub === 'pop' ? 'The stash entry is kept in case you need it again.' : `Fix the conflicts, then 'git stash drop ${r.selector}' when you are done.`)];
+              lines.push(out.success(`Applied ${r.selector}: ${r.files.join(', ')}`));
+              if (r.dropped) lines.push(out.muted(`Dropped ${r.selector} (${r.sha})`));
+              return lines;
+            }
+            if (sub === 'drop') {
+              const r = GitState.stashDrop(ref);
+              return [out.success(`Dropped ${r.selector} (${r.sha})`)];
+            }
+            if (sub === 'branch') {
+              if (!ref) return [out.error('usage: git stash branch <branchname> [<stash>]')];
+              if (!_vref(ref)) return [out.error(`error: '${ref}' is not a valid branch name`)];
+              const r = GitState.stashBranch(ref, args.filter(a => !a.startsWith('-'))[1]);
+              return [out.success(`Switched to a new branch '${ref}'`), out.muted(`Applied and dropped ${r.selector} (${r.sha})`)];
+            }
+          } catch (e) { return [out.error(`error: ${e.message}`)]; }
+          return [out.error(`error: unknown stash subcommand '${sub}'`), out.muted('usage: git stash [push [-m <msg>] | list | show | apply | pop | drop | branch <name>] [stash@{n}]')];
         },
 
         tag: (rest) => {
           _req();
-          const name = rest[0];
-          if (!name) return [out.error('error: tag name required — git tag <n> [sha]')];
+          const has = (...flags) => flags.some(f => rest.includes(f));
+          const mIdx = rest.indexOf('-m');
+          const args = rest.filter((r, i) => !r.startsWith('-') && (mIdx === -1 || i !== mIdx + 1));
+          if (has('-d', '--delete')) {
+            if (!args.length) return [out.error('fatal: tag name required')];
+            return args.map(name => {
+              try { return out.success(`Deleted tag '${name}' (was ${GitState.deleteTag(name).slice(0,7)})`); }
+              catch (e) { return out.error(`error: ${e.message}`); }
+            });
+          }
+          if (!args.length || has('-l', '--list')) {
+            const tags = GitState.tagList(args[0]);
+            if (!tags.length) return [out.muted(args[0] ? `  (no tags match '${args[0]}')` : '  (no tags)')];
+            // -n adds the annotation (or the commit subject) like `git tag -n`
+            return tags.map(t => out.line(has('-n') ? `${t.name.padEnd(15)} ${(t.message || GitState.getCommit(t.sha).message).split('\n')[0]}` : t.name));
+          }
+          const annotated = has('-a', '--annotate') || mIdx !== -1;
+          const message = mIdx === -1 ? '' : (rest[mIdx + 1] || '').trim();
+          if (annotated && !message) return [out.error('error: an annotated tag needs a message — git tag -a <n> -m "<msg>"')];
+          const [name, target] = args;
           if (!_vref(name)) return [out.error(`error: '${name}' is not a valid tag name`)];
-          try { const sha = GitState.tag(name, rest[1] || null); return [out.success(`Tag '${name}' created at ${sha.slice(0,7)}`)]; }
+          try { const sha = GitState.tag(name, target || null, { message }); return [out.success(`${annotated ? 'Annotated tag' : 'Tag'} '${name}' created at ${sha.slice(0,7)}`)]; }
           catch (e) { return [out.error(`error: ${e.message}`)]; }
         },
 
+        // git log [--oneline] [--graph] [--all] [--decorate] [-n <count>]
+        // [--first-parent] [--reverse] [--grep/--author <re>] [--since/--until
+        // <date>] [<rev>|A..B|A...B] — a range or filter also dims every
+        // other commit on the graph
         log: (rest) => {
           _req();
-          if (rest[0] === '--graph') {
-            try {
-              const entries = GitState.log(20);
-              if (!entries.length) return [out.muted('No commits yet.')];
-              let graphLines = [];
-              for (let i = 0; i < entries.length; i++) {
-                const c = entries[i];
-                let graph = c.parents.length > 1 ? '*─┬' : (i === 0 ? '*' : '|');
-                const d = new Date(c.timestamp).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
-                graphLines.push(out.code(`${graph} commit ${c.sha}`));
-                graphLines.push(out.line(`    ${c.message}`));
-                graphLines.push(out.muted(`    ${d}`));
-                graphLines.push(out.spacer());
-              }
-              return graphLines;
-            } catch (e) { return [out.error(`error: ${e.message}`)]; }
-          }
-          const limit = parseInt(rest[0]) || 10;
-          try {
-            const entries = GitState.log(limit);
-            if (!entries.length) return [out.muted('No commits yet.')];
-            return entries.flatMap(c => {
-              const d = new Date(c.timestamp).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
-              return [out.code(`commit ${c.sha}`), out.line(`    ${c.message}`), out.muted(`    ${d}`), out.spacer()];
-            });
-          } catch (e) { return [out.error(`error: ${e.message}`)]; }
+          let opts, all;
+          try { opts = _logOptions(rest); all = GitState.log(Infinity, opts.revs, { ...opts.walk, reverse: false }); }
+          catch (e) { return [out.error(`fatal: ${e.message}`)]; }
+          const lines = _logLines(all, opts);
+          if (!opts.narrowed) return lines;
+          return [...lines, { special: 'filter', label: `git log ${rest.join(' ')}`, shas: all.map(c => c.sha) }];
         },
 
         status: () => {
           _req();
           try {
             const s = GitState.status(); const lines = [];
+            if (s.rebasing) {
+              const r = s.rebasing, line = st => `   ${st.action} ${st.sha.slice(0,7)} ${GitState.getCommit(st.sha).message.split('\n')[0]}`;
+              lines.push(out.warn(`${r.interactive ? 'interactive ' : ''}rebase in progress; onto ${r.onto.slice(0,7)}`));
+              if (r.done.length) { lines.push(out.muted(`Last command${r.done.length === 1 ? '' : 's'} done (${r.done.length} command${r.done.length === 1 ? '' : 's'} done):`)); r.done.slice(-2).forEach(st => lines.push(out.code(line(st)))); }
+              if (r.todo.length) { lines.push(out.muted(`Next command${r.todo.length === 1 ? '' : 's'} to do (${r.todo.length} remaining):`)); r.todo.slice(0, 2).forEach(st => lines.push(out.code(line(st)))); }
+              else lines.push(out.muted('No commands remaining.'));
+              if (r.stop && r.stop.reason === 'edit') lines.push(out.info(`You are currently editing a commit while rebasing branch '${r.branch}' on '${r.onto.slice(0,7)}'.`), out.muted('  (use "git commit --amend" to amend the current commit)'), out.muted('  (use "git rebase --continue" once you are satisfied with your changes)'));
+              else if (r.stop) lines.push(out.info(`You are currently rebasing branch '${r.branch}' on '${r.onto.slice(0,7)}'.`), out.muted('  (fix conflicts and then run "git rebase --continue")'), out.muted('  (use "git rebase --skip" to skip this patch)'), out.muted('  (use "git rebase --abort" to check out the original branch)'));
+              lines.push(out.spacer());
+            }
             if (s.detached) lines.push(out.warn(`HEAD detached at ${s.sha ? s.sha.slice(0,7) : 'unknown'}`));
             else lines.push(out.info(`On branch ${s.branch}`));
             if (!s.sha) lines.push(out.muted('No commits yet'));
+            if (s.merging && s.unmerged.length) {
+              lines.push(out.warn('You have unmerged paths.'), out.muted('  (fix conflicts and run "git commit")'), out.muted('  (use "git merge --abort" to abort the merge)'));
+            } else if (s.merging) {
+              lines.push(out.info('All conflicts fixed but you are still merging.'), out.muted('  (use "git commit" to conclude merge)'));
+            }
+            if (s.staged.length) {
+              lines.push(out.spacer(), out.line('Changes to be committed:'), out.muted('  (use "git restore --staged <file>..." to unstage)'));
+              s.staged.forEach(f => lines.push(out.success(`\t${(f.change + ':').padEnd(12)}${f.path}`)));
+            }
+            if (s.unstaged.length) {
+              lines.push(out.spacer(), out.line('Changes not staged for commit:'), out.muted('  (use "git add <file>..." to update what will be committed)'), out.muted('  (use "git restore <file>..." to discard changes in working directory)'));
+              s.unstaged.forEach(f => lines.push(out.error(`\t${(f.change + ':').padEnd(12)}${f.path}`)));
+            }
+            if (s.unmerged.length) {
+              lines.push(out.spacer(), out.line('Unmerged paths:'), out.muted('  (use "git add <file>..." to mark resolution)'));
+              s.unmerged.forEach(f => lines.push(out.error(`\t${(f.change + ':').padEnd(17)}${f.path}`)));
+            }
+            if (s.untracked.length) {
+              lines.push(out.spacer(), out.line('Untracked files:'), out.muted('  (use "git add <file>..." to include in what will be committed)'));
+              s.untracked.forEach(p => lines.push(out.error(`\t${p}`)));
+            }
+            if (s.merging || (s.rebasing && s.unmerged.length)) {
+              // the hints above already say how to finish
+            } else if (!s.staged.length && !s.unstaged.length) {
+              lines.push(out.spacer());
+              if (s.untracked.length) lines.push(out.muted('nothing added to commit but untracked files present (use "git add" to track)'));
+              else lines.push(out.muted('nothing to commit, working tree clean'));
+            } else if (!s.staged.length) {
+              lines.push(out.spacer(), out.muted('no changes added to commit (use "git add" and/or "git commit -a")'));
+            }
             if (s.stashCount > 0) lines.push(out.muted(`Stash entries: ${s.stashCount}`));
             return lines;
           } catch (e) { return [out.error(`error: ${e.message}`)]; }
         },
 
-        // NEW: git push [branch]
+        reflog: (rest) => {
+          _req();
+          const args = rest[0] === 'show' ? rest.slice(1) : rest;
+          const ref = args.find(r => !r.startsWith('-')) || 'HEAD';
+          try {
+            const entries = GitState.reflog(ref);
+            if (!entries.length) return [out.muted(`No reflog entries for ${ref} yet.`)];
+            return entries.map(e => out.line(`${e.sha.slice(0,7)} ${e.selector}: ${e.message}`, e.message.startsWith('reset') || e.message.includes('(abort)') ? 'warning' : ''));
+          } catch (e) { return [out.error(`fatal: ${e.message}`)]; }
+        },
+
+        // git push [remote] [branch] [--force | --force-with-lease]
         push: (rest) => {
           _req();
-          const branchArg = rest.find(r => r !== 'origin') || null;
+          const force = rest.includes('-f') || rest.includes('--force');
+          const forceWithLease = rest.includes('--force-with-lease');
+          const [remote, branch] = _remoteArgs(rest.filter(r => !r.startsWith('-')));
           try {
-            const r = GitState.push(branchArg);
-            if (r.wasUpToDate) return [
-              out.info('Everything up-to-date'),
-              out.muted(`origin/${r.branch} is already at ${r.sha.slice(0,7)}`),
+            const r = GitState.push(remote, branch, { force, forceWithLease });
+            const url = GitState.remoteList().find(x => x.name === r.remote).url;
+            if (r.type === 'up-to-date') return [out.info('Everything up-to-date'), out.muted(`${r.remote}/${r.branch} is already at ${r.to.slice(0,7)}`)];
+            if (r.type === 'rejected') return [
+              out.muted(`To ${url}`),
+              out.error(` ! [rejected]        ${r.branch} -> ${r.branch} (${r.reason})`),
+              out.error(`error: failed to push some refs to '${url}'`),
+              out.muted(r.reason === 'fetch first'
+                ? 'hint: Updates were rejected because the remote contains work that you do not have locally.'
+                : r.reason === 'non-fast-forward'
+                  ? 'hint: Updates were rejected because the tip of your current branch is behind its remote counterpart.'
+                  : `hint: ${r.remote}/${r.branch} has moved since you last fetched; git fetch, review, then push again.`),
+              ...(r.reason === 'stale info' ? [] : [out.muted(`hint: Integrate the remote changes (e.g. 'git pull ${r.remote} ${r.branch}') before pushing again, or --force to overwrite.`)]),
             ];
-            const verb = r.isNew ? 'new branch' : 'updated';
             return [
-              out.success(`To origin`),
-              out.success(`  ${r.isNew ? '*' : ' '} [${verb}]  ${r.branch} -> origin/${r.branch}`),
-              out.muted(`  ${r.sha.slice(0,7)}`),
-              out.info(`origin/${r.branch} badge now visible on the graph ↑`),
+              out.muted(`To ${url}`),
+              _refLine(r, r.branch),
+              out.muted(`  ${r.objects} commit${r.objects === 1 ? '' : 's'} uploaded`),
+              ...(r.type === 'new' ? [out.info(`${r.remote}/${r.branch} badge now visible on the graph ↑`)] : []),
             ];
           } catch (e) { return [out.error(`error: ${e.message}`)]; }
         },
 
-        // NEW: git pull [branch]
-        pull: (rest) => {
+        // git fetch [remote | --all] [--prune]
+        fetch: (rest) => {
           _req();
-          const branchArg = rest.find(r => r !== 'origin') || null;
+          const prune = rest.includes('-p') || rest.includes('--prune');
+          const positional = rest.filter(r => !r.startsWith('-'));
           try {
-            const r = GitState.pull(branchArg);
-            if (r.type === 'up-to-date') return [
-              out.info('Already up to date.'),
-              out.muted(`Local ${r.branch} matches origin/${r.branch}`),
-            ];
-            return [
-              out.success(`Fast-forward`),
-              out.muted(`  origin/${r.branch} -> ${r.branch}`),
-              out.muted(`  ${r.sha.slice(0,7)}`),
-            ];
-          } catch (e) { return [out.error(`error: ${e.message}`)]; }
+            const names = rest.includes('--all') ? GitState.remoteList().map(r => r.name) : [positional[0] || null];
+            return names.flatMap(name => _fetchLines(GitState.fetch(name, { prune })));
+          } catch (e) { return [out.error(`fatal: ${e.message}`)]; }
         },
-      };
+
+        // git pull [remote] [branch] [--rebase]
+        pull: (rest) => {
+          _req();
+          const rebase = rest.includes('--rebase') || rest.includes('-r');
+          const [remote, branch] = _remoteArgs(rest.filter(r => !r.startsWith('-')));
+          try {
+            const r = GitState.pull(remote, branch, { rebase });
+            const lines = r.fetched.updates.length ? _fetchLines(r.fetched) : [];
+            if (r.type === 'up-to-date') return [...lines, out.info('Already up to date.')];
+            if (r.type === 'fast-forward') return [...lines, out.success('Fast-forward'), out.muted(`  ${r.ref} -> ${GitState.status().branch}  (${r.sha.slice(0,7)})`)];
+            if (r.type === 'rebase') return [...lines, ..._rebaseLines(r.result, r.ref)];
+            return [...lines, ..._mergeLines(r.result, r.ref)];
+          } catch (e) { return [out.error(`error: ${e.message}`)]; }
+        },
+
+        // git remote [-v] | add <name> <url> | remove <name>
+        // git config [--global] <key> [<value>] / --list — who new commits
+        // and annotated tags say made them (user.name, user.email)
+        config: (rest) => {
+          const args = rest.filter(r => r !== '--global' && r !== '--local');
+          if (!args.length) return [out.error('error: key required — git config user.name "Your Name"')];
+          if (args[0] === '--list' || args[0] === '-l') return Object.entries(GitState.configList()).map(([k, v]) => out.code(`${k}=${v}`));
+          const [key, ...value] = args;
+          try {
+            if (!value.length) { const v = GitState.config(key); return [v === null ? out.muted(`${key} is not set`) : out.line(v)]; }
+            GitState.config(key, value.join(' '));
+            return [out.muted(`${key} = ${value.join(' ')}`)];
+          } catch (e) { return [out.error(`error: ${e.message}`)]; }
+        },
+
+        remote: (rest) => {
+          _req();
+          try {
+            if (rest[0] === 'add') {
+              const [name, url] = rest.slice(1);
+              if (!name || !url) return [out.error('usage: git remote add <name> <url>')];
+              if (!_vref(name) || name.includes('/')) return [out.error(`fatal: '${name}' is not a valid remote name`)];
+              GitState.remoteAdd(name, url);
+              return [out.success(`Added remote '${name}' → ${url}`), out.muted(`It starts empty: git push ${name} <branch> to publish, git fetch ${name} to download`)];
+            }
+            if (rest[0] === 'remove' || rest[0] === 'rm') {
+              if (!rest[1]) return [out.error('usage: git remote remove <name>')];
+              GitState.remoteRemove(rest[1]);
+              return [out.warn(`Removed remote '${rest[1]}' and its remote-tracking branches`)];
+            }
+            const remotes = GitState.remoteList();
+            if (!remotes.length) return [out.muted('  (no remotes)')];
+            if (rest[0] === '-v' || rest[0] === '--verbose') return remotes.flatMap(r => [out.code(`${r.name}\t${r.url} (fetch)`), out.code(`${r.name}\t${r.url} (push)`)]);
+            return remotes.map(r => out.code(r.name));
+          } catch (e) { return [out.error(`error: ${e.message}`)]; }
+        },
+      };
 
       const handler = subs[sub];
       if (!handler) return [out.error(`git: '${sub}' is not a git command. See 'help'.`)];
@@ -707,21 +2511,445 @@ const CommandParser = (() => {
     },
 
     clear: () => [{ special: 'clear' }],
+
+    // teammate [<remote>/<branch> | <branch>] [-m "<msg>"] [--file <path>]
+    // — someone else commits directly on the remote
+    teammate: (args) => {
+      _req();
+      const mIdx = args.indexOf('-m'), fIdx = args.indexOf('--file');
+      const message = mIdx !== -1 ? args[mIdx + 1] : 'Teammate\'s change';
+      const file = fIdx !== -1 ? args[fIdx + 1] : undefined;
+      if (!message) return [out.error('teammate: message required after -m')];
+      if (fIdx !== -1 && (!file || !_vpath(file))) return [out.error(`teammate: invalid path '${file || ''}'`)];
+      const values = new Set([mIdx, fIdx].filter(i => i !== -1).map(i => i + 1));
+      const target = args.find((a, i) => !a.startsWith('-') && !values.has(i));
+      let remote = null, branch = target || null;
+      if (target && target.includes('/') && GitState.remoteList().some(r => r.name === target.split('/')[0])) {
+        remote = target.split('/')[0]; branch = target.slice(remote.length + 1);
+      }
+      try {
+        const r = GitState.teammateCommit(remote, branch, message, file);
+        return [
+          out.success(`A teammate pushed ${r.sha} "${message}" to ${r.remote}/${r.branch}`),
+          out.muted(`  (changed ${r.file}) — your repository won't see it until git fetch or git pull`),
+        ];
+      } catch (e) { return [out.error(`teammate: ${e.message}`)]; }
+    },
+
+    // Step through the history timeline; the App owns the snapshots
+    undo: (args) => [{ special: 'undo', steps: parseInt(args[0], 10) || 1 }],
+    redo: (args) => [{ special: 'redo', steps: parseInt(args[0], 10) || 1 }],
+
+    // Named sandboxes kept in localStorage; the App does the storage work
+    save: (args) => {
+      if (!args[0]) return [out.error('save: session name required — save <name>')];
+      if (!_vsession(args[0])) return [out.error(`save: invalid session name '${args[0]}'`)];
+      return [{ special: 'session', op: 'save', name: args[0] }];
+    },
+    load: (args) => {
+      if (!args[0]) return [out.error('load: session name required — load <name>')];
+      return [{ special: 'session', op: 'load', name: args[0] }];
+    },
+    // JSON export / import and share links; the App does the file work.
+    // export sh is a bash script that rebuilds the graph (with --history, one
+    // that re-runs the recorded commands); export fast-import a git stream
+    export: (args) => {
+      const format = args.find(a => !a.startsWith('-')) || 'json', history = args.includes('--history');
+      if (!['json', 'sh', 'fast-import'].includes(format)) return [out.error(`export: unknown format '${format}' — use json, sh or fast-import`)];
+      if (history && format === 'fast-import') return [out.error('export: --history works with json and sh')];
+      return [{ special: 'transfer', op: 'export', format, history }];
+    },
+    // import git — real history from `git log` / `git fast-export` output
+    import: (args) => {
+      if (!args[0]) return [{ special: 'transfer', op: 'import' }];
+      if (args[0] === 'git') return [{ special: 'transfer', op: 'history' }];
+      return [out.error(`import: unknown source '${args[0]}' — use import (a .json export) or import git`)];
+    },
+    share:  () => [{ special: 'transfer', op: 'share' }],
+
+    // goto <rev> (also show <rev>) — scroll the graph to a commit and ring it
+    goto: (args, cmd = 'goto') => {
+      _req();
+      if (!args[0]) return [out.error(`${cmd}: revision required — ${cmd} <rev>`)];
+      try {
+        const sha = GitState.resolve(args[0]);
+        return [{ special: 'focus', sha }, out.code(`${sha.slice(0, 7)} ${GitState.getCommit(sha).message.split('\n')[0]}`)];
+      } catch (e) { return [out.error(`${cmd}: ${e.message}`)]; }
+    },
+    show: (args) => handlers.goto(args, 'show'),
+
+    // record [start|stop|cancel] — capture the graph after every command
+    // into a captioned video; the App drives GraphImages
+    record: (args) => {
+      const op = args[0] || 'status';
+      if (!['start', 'stop', 'cancel', 'status'].includes(op)) return [out.error(`record: unknown action '${op}' — use start, stop or cancel`)];
+      return [{ special: 'record', op }];
+    },
+
+    // animate [slow|normal|fast] [reduced|full|auto] — graph transitions; the App keeps the setting
+    animate: (args) => {
+      const speeds = { fast: 0.5, normal: 1, slow: 2 }, motions = ['reduced', 'full', 'auto'];
+      const bad = args.find(a => speeds[a] === undefined && !motions.includes(a));
+      if (bad) return [out.error(`animate: unknown setting '${bad}' — use slow, normal, fast, reduced, full or auto`)];
+      return [{ special: 'motion', speed: speeds[args.find(a => speeds[a])], motion: args.find(a => motions.includes(a)) }];
+    },
+
+    // seed [<value>|off] — commit times from a fixed clock, so the same
+    // commands give the same SHAs on every run
+    seed: (args) => {
+      if (!args[0]) {
+        const current = GitState.seed();
+        return [current === null ? out.muted('No seed — commits get the real time, so SHAs differ between runs') : out.line(`Seed: ${current}`)];
+      }
+      if (args[0] === 'off') { GitState.seed(null); return [out.success('Seed cleared — commits get the real time again')]; }
+      GitState.seed(args[0]);
+      return [out.success(`Seed set to '${args[0]}'`), out.muted('From `git init` on, the same commands give the same SHAs every time')];
+    },
+
+    // lessons / lesson [<name>|next|restart|exit] / hint — guided lessons; the App runs them
+    lessons: () => [{ special: 'lesson', op: 'list' }],
+    lesson: (args) => {
+      if (!args[0]) return [{ special: 'lesson', op: 'status' }];
+      if (['next', 'restart', 'exit'].includes(args[0])) return [{ special: 'lesson', op: args[0] }];
+      return [{ special: 'lesson', op: 'start', id: args[0] }];
+    },
+    hint: () => [{ special: 'lesson', op: 'hint' }],
+
+    sessions: (args) => {
+      if (args[0] === '-d') return args[1] ? [{ special: 'session', op: 'remove', name: args[1] }] : [out.error('sessions: name required — sessions -d <name>')];
+      return [{ special: 'session', op: 'list' }];
+    },
+
+    // Simulated shell edits to the working tree
+    touch: (args) => {
+      _req();
+      if (!args.length) return [out.error('touch: missing file operand')];
+      const bad = args.find(p => !_vpath(p)); if (bad) return [out.error(`touch: invalid path '${bad}'`)];
+      args.forEach(p => { try { GitState.readFile(p); } catch (e) { GitState.writeFile(p, ''); } });
+      return [];
+    },
+
+    echo: (args) => {
+      const redirect = args.findIndex(a => a.startsWith('>'));
+      if (redirect === -1) return [out.line(args.join(' '))];
+      _req();
+      const op = args[redirect].startsWith('>>') ? '>>' : '>';
+      const path = args[redirect].slice(op.length) || args[redirect + 1];
+      if (!path || !_vpath(path)) return [out.error('echo: a valid file name is required after ' + op)];
+      GitState.writeFile(path, args.slice(0, redirect).join(' ') + '\n', op === '>>');
+      return [];
+    },
+
+    cat: (args) => {
+      _req();
+      if (!args.length) return [out.error('cat: missing file operand')];
+      try { return args.flatMap(p => GitState.readFile(p).split('\n').filter((l, i, a) => i < a.length - 1 || l).map(l => out.line(l))); }
+      catch (e) { return [out.error(`cat: ${e.message}`)]; }
+    },
+
+    rm: (args) => {
+      _req();
+      const paths = args.filter(a => !a.startsWith('-'));
+      if (!paths.length) return [out.error('rm: missing operand')];
+      try { paths.forEach(p => GitState.removeFile(p)); return []; }
+      catch (e) { return [out.error(`rm: ${e.message}`)]; }
+    },
+
+    ls: () => {
+      _req();
+      const files = GitState.listFiles();
+      return files.length ? [out.line(files.join('  '))] : [];
+    },
   };
 
+  // Terminal output for a finished or stopped rebase
+  function _mergeLines(result, source) {
+    if (result.type === 'already-up-to-date') return [out.info('Already up-to-date')];
+    if (result.type === 'fast-forward') return [out.success(`Fast-forward merge: ${source} → ${GitState.status().branch}`)];
+    if (result.type === 'merge') return [out.success(`${GitState.getCommit(result.sha).message} (merge made by the 'ort' strategy)`)];
+    if (result.type === 'conflict') return [
+      ...result.conflicts.flatMap(c => c.type === 'modify/delete'
+        ? [out.error(`CONFLICT (modify/delete): ${c.path} deleted in ${c.ours === undefined ? 'HEAD' : source} and modified in ${c.ours === undefined ? source : 'HEAD'}. Version ${c.ours === undefined ? source : 'HEAD'} of ${c.path} left in tree.`)]
+        : [out.muted(`Auto-merging ${c.path}`), out.error(`CONFLICT (${c.type}): Merge conflict in ${c.path}`)]),
+      out.warn('Automatic merge failed; fix conflicts and then commit the result.'),
+      out.muted('hint: edit the files, "git add" them, then "git commit" or "git merge --continue" (or "git merge --abort")'),
+    ];
+    return [out.info('Merge result: ' + JSON.stringify(result))];
+  }
+
+  // One ref-update line the way push and fetch print them
+  function _refLine(u, dst) {
+    const range = u.type === 'forced' ? `${u.from.slice(0,7)}...${u.to.slice(0,7)}` : u.from && u.to ? `${u.from.slice(0,7)}..${u.to.slice(0,7)}` : '';
+    const flag  = u.type === 'new' ? ' * [new branch]     ' : u.type === 'forced' ? ` + ${range.padEnd(17)}` : u.type === 'pruned' ? ' - [deleted]        ' : `   ${range.padEnd(17)}`;
+    const line  = `${flag} ${u.type === 'pruned' ? '(none)' : u.branch} -> ${dst}${u.type === 'forced' ? ' (forced update)' : ''}`;
+    return u.type === 'pruned' ? out.warn(line) : out.success(line);
+  }
+
+  function _fetchLines(r) {
+    if (!r.updates.length) return [out.muted(`Already up to date with ${r.remote}.`)];
+    const url = GitState.remoteList().find(x => x.name === r.remote).url;
+    return [out.muted(`From ${url}`), ...r.updates.map(u => _refLine(u, u.ref))];
+  }
+
+  // Splits `[remote] [branch]` arguments; a lone local branch name that is
+  // not a remote keeps the old `git push <branch>` shorthand working
+  function _remoteArgs(positional) {
+    const remotes = GitState.remoteList().map(r => r.name);
+    if (positional.length === 1 && !remotes.includes(positional[0]) && GitState.getBranchList().some(b => b.name === positional[0])) return [null, positional[0]];
+    return [positional[0] || null, positional[1] || null];
+  }
+
+  function _rebaseLines(r, target) {
+    if (r.type === 'already-up-to-date') return [out.info('Current branch is up to date.')];
+    if (r.type === 'rebase') return [
+      out.success(`Successfully rebased and updated refs/heads/${r.branch}`),
+      out.muted(`${r.count} commit(s) rewritten${target ? ` on top of ${target}` : ''}`),
+    ];
+    const subject = `${r.step.sha.slice(0,7)}... ${GitState.getCommit(r.step.sha).message.split('\n')[0]}`;
+    if (r.reason === 'edit') return [
+      out.warn(`Stopped at ${subject}`),
+      out.muted('You can amend the commit now, with "git commit --amend".'),
+      out.muted('Once you are satisfied with your changes, run "git rebase --continue".'),
+    ];
+    return [
+      ...r.conflicts.map(c => out.error(`CONFLICT (${c.type}): Merge conflict in ${c.path}`)),
+      out.error(`error: could not apply ${subject}`),
+      out.muted('hint: resolve all conflicts manually, mark them as resolved with "git add <file>",'),
+      out.muted('hint: then run "git rebase --continue" (or "git rebase --skip" / "git rebase --abort").'),
+    ];
+  }
+
+  // Applies a todo list edited in the rebase panel
+  function runRebaseTodo(plan) {
+    try { return _rebaseLines(GitState.rebase(plan.onto, { todo: plan.todo }), plan.ontoName); }
+    catch (e) { return [out.error(`error: ${e.message}`)]; }
+  }
+
+  // git log options → { revs, limit, oneline, graph, decorate, narrowed, walk }
+  // where `walk` is what GitState.log takes. Throws on anything git would
+  // refuse.
+  function _logOptions(rest) {
+    const walk = { grep: [], author: [] };
+    const opts = { revs: [], limit: null, oneline: false, graph: false, decorate: 'short', walk };
+    let order = null;
+    for (let i = 0; i < rest.length; i++) {
+      const t = rest[i], [flag, inline] = t.startsWith('--') && t.includes('=') ? [t.slice(0, t.indexOf('=')), t.slice(t.indexOf('=') + 1)] : [t, undefined];
+      const value = () => {
+        const v = inline !== undefined ? inline : rest[++i];
+        if (!v) throw new Error(`option '${flag.replace(/^-+/, '')}' requires a value`);
+        return v;
+      };
+      const count = v => { if (!/^\d+$/.test(v)) throw new Error(`'${v}': not an integer`); return parseInt(v, 10); };
+      if (t === '--') continue;
+      else if (/^-\d+$/.test(t)) opts.limit = count(t.slice(1));
+      else if (/^-n\d+$/.test(t)) opts.limit = count(t.slice(2));
+      else if (flag === '-n' || flag === '--max-count') opts.limit = count(value());
+      else if (t === '--oneline') opts.oneline = true;
+      else if (t === '--graph') opts.graph = true;
+      else if (t === '--all') walk.all = true;
+      else if (t === '--first-parent') walk.firstParent = true;
+      else if (t === '--reverse') walk.reverse = true;
+      else if (t === '--topo-order') order = 'topo';
+      else if (t === '--date-order') order = 'date';
+      else if (t === '-i' || t === '--regexp-ignore-case') walk.ignoreCase = true;
+      else if (t === '--no-decorate') opts.decorate = null;
+      else if (flag === '--decorate') {
+        if (inline !== undefined && !['short', 'full', 'no', 'auto'].includes(inline)) throw new Error(`invalid --decorate option: ${inline}`);
+        opts.decorate = inline === 'no' ? null : inline === 'full' ? 'full' : 'short';
+      }
+      else if (flag === '--grep' || flag === '--author') walk[flag.slice(2)].push(value());
+      else if (flag === '--since' || flag === '--after') walk.since = _logDate(value());
+      else if (flag === '--until' || flag === '--before') walk.until = _logDate(value());
+      else if (t.startsWith('-')) throw new Error(`unrecognized argument: ${t}`);
+      else opts.revs.push(t);
+    }
+    if (opts.graph && walk.reverse) throw new Error("options '--reverse' and '--graph' cannot be used together");
+    // --graph implies --topo-order unless --date-order is asked for
+    walk.order = order || (opts.graph ? 'topo' : 'date');
+    opts.narrowed = !!(opts.revs.length || walk.grep.length || walk.author.length || walk.since !== undefined || walk.until !== undefined || walk.firstParent);
+    return opts;
+  }
+
+  // --since / --until: "2 hours ago", "3.days.ago", "yesterday", "now", or
+  // anything Date.parse reads ("2024-05-01", "2024-05-01 14:30")
+  function _logDate(text) {
+    const units = { second: 1e3, minute: 6e4, hour: 36e5, day: 864e5, week: 6048e5, month: 2592e6, year: 31536e6 };
+    const t = text.trim().toLowerCase().replace(/\./g, ' ');
+    if (t === 'now') return Date.now();
+    if (t === 'today' || t === 'midnight') return new Date().setHours(0, 0, 0, 0);
+    if (t === 'yesterday') return Date.now() - units.day;
+    const m = t.match(/^(\d+)\s*(second|minute|hour|day|week|month|year)s?(\s+ago)?$/);
+    if (m) return Date.now() - m[1] * units[m[2]];
+    const date = Date.parse(text);
+    if (isNaN(date)) throw new Error(`invalid date '${text}'`);
+    return date;
+  }
+
+  // "Mon Oct 5 14:03:12 2026 +0200", git's default date format
+  function _gitDate(ts) {
+    const d = new Date(ts), pad = n => String(n).padStart(2, '0'), off = -d.getTimezoneOffset();
+    const zone = `${off < 0 ? '-' : '+'}${pad(Math.floor(Math.abs(off) / 60))}${pad(Math.abs(off) % 60)}`;
+    return `${d.toLocaleDateString('en-US', { weekday: 'short' })} ${d.toLocaleDateString('en-US', { month: 'short' })} ${d.getDate()} ${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())} ${d.getFullYear()} ${zone}`;
+  }
+
+  // The refs at `sha` as --decorate prints them: HEAD first (joined to the
+  // branch it is on), then the rest by reverse refname
+  function _decorations(snap, sha, mode) {
+    const full = mode === 'full', refs = [];
+    Object.entries(snap.branches).forEach(([b, s]) => { if (s === sha) refs.push({ ref: `refs/heads/${b}`, label: full ? `refs/heads/${b}` : b, cls: 'log-branch', branch: b }); });
+    Object.entries(snap.remote || {}).forEach(([r, s]) => { if (s === sha) refs.push({ ref: `refs/remotes/${r}`, label: full ? `refs/remotes/${r}` : r, cls: 'log-remote' }); });
+    Object.entries(snap.tags).forEach(([t, s]) => { if (s === sha) refs.push({ ref: `refs/tags/${t}`, label: `tag: ${full ? `refs/tags/${t}` : t}`, cls: 'log-tag' }); });
+    if (snap.stash && snap.stash[0] === sha) refs.push({ ref: 'refs/stash', label: 'refs/stash', cls: 'log-stash' });
+    refs.sort((a, b) => a.ref < b.ref ? 1 : -1);
+    if (snap.detached && snap.HEAD === sha) refs.unshift({ label: 'HEAD', cls: 'log-head' });
+    const current = refs.findIndex(r => !snap.detached && r.branch === snap.HEAD);
+    if (current !== -1) refs.unshift({ label: `HEAD -> ${refs.splice(current, 1)[0].label}`, cls: 'log-head' });
+    if (!refs.length) return [];
+    return [
+      { text: ' (', cls: 'log-sha' },
+      ...refs.flatMap((r, i) => [...(i ? [{ text: ', ', cls: 'log-sha' }] : []), { text: r.label, cls: r.cls }]),
+      { text: ')', cls: 'log-sha' },
+    ];
+  }
+
+  // git log --graph lanes. For each of the first `limit` commits: the row
+  // holding its `*`, the rows after it where lines open for a merge or fold
+  // into a shared parent (one column per row, like git), and the row that
+  // pads any further text lines. Rows are lists of { text, cls } parts.
+  function _asciiGraph(commits, parentsOf, limit) {
+    const shown = new Set(commits.map(c => c.sha)), rows = [];
+    let lanes = [], colors = 0;   // lanes: [{ sha, color }], the commit each line waits for
+    const toParts = (cells, width) => {
+      const parts = [];
+      for (let x = 0; x < width; x++) {
+        const [ch, color] = cells[x] || [' ', null], cls = color === null ? '' : `log-graph-${color}`;
+        const last = parts[parts.length - 1];
+        if (last && last.cls === cls) last.text += ch; else parts.push({ text: ch, cls });
+      }
+      return parts;
+    };
+    for (const c of commits.slice(0, limit)) {
+      let at = lanes.findIndex(l => l.sha === c.sha);
+      if (at === -1) { at = lanes.length; lanes.push({ sha: c.sha, color: colors++ % 6 }); }
+      const own = lanes[at], parents = parentsOf(c).filter(p => shown.has(p));
+      // The first parent takes over this lane; other parents open lanes
+      // to its right unless a line already waits for them
+      const opened = parents.slice(1).filter(p => !lanes.some(l => l.sha === p)).map(p => ({ sha: p, color: colors++ % 6 }));
+      const joined = [...lanes.slice(0, at), ...(parents.length ? [{ sha: parents[0], color: own.color }] : []), ...opened, ...lanes.slice(at + 1)];
+      const next = joined.filter((l, k) => joined.findIndex(o => o.sha === l.sha) === k);
+      const target = sha => next.findIndex(l => l.sha === sha);
+      const lines = [
+        ...lanes.map((l, k) => k === at ? null : { pos: k, to: target(l.sha), color: l.color }).filter(Boolean),
+        ...parents.map(p => ({ pos: at, to: target(p), color: next[target(p)].color })),
+      ];
+      const width = 2 * Math.max(lanes.length, next.length);
+      const commitRow = lanes.map((l, k) => [k === at ? '*' : '|', l.color]).flatMap(cell => [cell, [' ', null]]);
+      // Lines heading right (merge lines, lanes shifted by them) move
+      // first and those folding left after, so no two cross in one row
+      const moves = [];
+      while (lines.some(l => l.pos !== l.to)) {
+        const cells = [], right = lines.some(l => l.to > l.pos);
+        lines.forEach(l => {
+          if (right && l.to > l.pos) { cells[2 * l.pos + 1] = ['\\', l.color]; l.pos++; }
+          else if (!right && l.to < l.pos) { cells[2 * l.pos - 1] = ['/', l.color]; l.pos--; }
+          else cells[2 * l.pos] = ['|', l.color];
+        });
+        moves.push(toParts(cells, width));
+      }
+      lanes = next;
+      rows.push({ commit: toParts(commitRow, width), moves, pad: toParts(lanes.flatMap(l => [['|', l.color], [' ', null]]), width) });
+    }
+    return rows;
+  }
+
+  // git log output. `all` is every selected commit in order; the first
+  // `limit` (10 by default, 20 for --oneline / --graph) are printed.
+  function _logLines(all, { limit, oneline, graph, decorate, narrowed, walk }) {
+    if (!all.length) return [out.muted(narrowed ? 'No commits match.' : 'No commits yet.')];
+    const shown = Math.min(all.length, limit === null ? (oneline || graph ? 20 : 10) : limit);
+    const entries = walk.reverse ? all.slice(0, shown).reverse() : all.slice(0, shown);
+    const snap = decorate && GitState.snapshot();
+    const rows = graph && _asciiGraph(all, c => walk.firstParent ? c.parents.slice(0, 1) : c.parents, shown);
+    const parts = list => ({ text: list.map(p => p.text).join(''), cls: 'log', parts: list });
+    const lines = [];
+    entries.forEach((c, i) => {
+      const refs = decorate ? _decorations(snap, c.sha, decorate) : [];
+      const text = oneline
+        ? [[{ text: c.sha.slice(0, 7), cls: 'log-sha' }, ...refs, { text: ` ${c.message.split('\n')[0]}`, cls: '' }]]
+        : [
+            [{ text: `commit ${c.sha}`, cls: 'log-sha' }, ...refs],
+            ...(c.parents.length > 1 ? [[{ text: `Merge: ${c.parents.map(p => p.slice(0, 7)).join(' ')}`, cls: '' }]] : []),
+            ...(c.author ? [[{ text: `Author: ${c.author}`, cls: '' }]] : []),
+            [{ text: `Date:   ${_gitDate(c.timestamp)}`, cls: '' }],
+            [],
+            ...c.message.split('\n').map(l => [{ text: `    ${l}`, cls: '' }]),
+            ...(i < entries.length - 1 ? [[]] : []),
+          ];
+      if (!graph) { text.forEach(t => lines.push(t.length ? parts(t) : out.spacer())); return; }
+      // Graph rows run alongside the text: the commit's `*` row, then any
+      // rows where lines move, then plain lanes
+      const { commit, moves, pad } = rows[i];
+      const prefixes = [commit, ...moves];
+      for (let k = 0; k < Math.max(text.length, prefixes.length); k++) {
+        lines.push(parts([...(prefixes[k] || pad), ...(text[k] || [])]));
+      }
+    });
+    if (limit === null && all.length > shown) lines.push(out.muted(`… ${all.length - shown} more — use -n <count> to show them`));
+    return lines;
+  }
+
+  // A failed commit or merge --continue; only unmerged files get the add hint
+  function _commitError(e) {
+    const lines = [out.error(`error: ${e.message}`)];
+    if (e.code === 'unmerged') lines.push(out.muted('hint: fix them up in the work tree, then use "git add <file>"'));
+    return lines;
+  }
+
+  // Unified-diff style lines for diff results ({ path, change, lines })
+  function _patchLines(files) {
+    return files.flatMap(f => [
+      out.code(`diff --git a/${f.path} b/${f.path}`),
+      out.muted(f.change === 'new file' ? '--- /dev/null' : `--- a/${f.path}`),
+      out.muted(f.change === 'deleted' ? '+++ /dev/null' : `+++ b/${f.path}`),
+      ...f.lines.map(l => l.op === '+' ? out.success(`+${l.text}`) : l.op === '-' ? out.error(`-${l.text}`) : out.line(` ${l.text}`)),
+      out.spacer(),
+    ]);
+  }
+
+  // Bundled short options as separate ones: -am "msg" → -a -m "msg", and
+  // -m"msg" → -m msg. Letters in `valued` take the rest of the word, or the
+  // next word, as their value, which is never split itself
+  function _shortFlags(args, valued = '') {
+    const result = [];
+    for (let i = 0; i < args.length; i++) {
+      const a = args[i];
+      if (!/^-[a-zA-Z]/.test(a)) { result.push(a); continue; }
+      for (let j = 1; j < a.length; j++) {
+        result.push(`-${a[j]}`);
+        if (!valued.includes(a[j])) continue;
+        if (j + 1 < a.length) result.push(a.slice(j + 1));
+        else if (i + 1 < args.length) result.push(args[++i]);
+        break;
+      }
+    }
+    return result;
+  }
+
   function _req() { if (!GitState.isInitialized()) throw new Error('not a git repository: .git not found'); }
-  function _vref(n) { return /^[a-zA-Z0-9_\-./]+$/.test(n) && !n.startsWith('.') && !n.endsWith('.'); }
+  function _vref(n) { return /^[a-zA-Z0-9_\-./]+$/.test(n) && !n.startsWith('.') && !n.endsWith('.') && !n.includes('..'); }
+  function _vsession(n) { return /^[a-zA-Z0-9_.-]{1,40}$/.test(n); }
+  function _vpath(p) { return /^[a-zA-Z0-9_\-./]+$/.test(p) && !p.split('/').includes('..') && !p.startsWith('/'); }
 
   function parse(raw) {
     const trimmed = raw.trim(); if (!trimmed) return [];
-    const tokens = _tokenize(trimmed), cmd = tokens[0], args = tokens.slice(1);
+    const tokens = tokenize(trimmed), cmd = tokens[0], args = tokens.slice(1);
     const handler = handlers[cmd];
     if (!handler) return [{ text: `'${cmd}': command not found. Type 'help'`, cls: 'error' }];
     try { return handler(args); }
     catch (e) { return [{ text: `fatal: ${e.message}`, cls: 'error' }]; }
   }
 
-  function _tokenize(str) {
+  function tokenize(str) {
     const tokens = []; let current = '', inQuote = false, qChar = '';
     for (const ch of str) {
       if ((ch === '"' || ch === "'") && !inQuote) { inQuote = true; qChar = ch; }
@@ -733,14 +2961,15 @@ const CommandParser = (() => {
     return tokens;
   }
 
-  return { parse };
+  return { parse, runRebaseTodo, tokenize };
 
 })();
 
 
 /* ============================================================
    SECTION 3 — GRAPH RENDERER
-   NEW: renders origin/ badges in red when remote tracking exists
+   NEW: renders origin/ badges in red when remote tracking exists;
+        split view draws each remote as its own pane
    ============================================================ */
 
 const GraphRenderer = (() => {
@@ -752,126 +2981,668 @@ const GraphRenderer = (() => {
   const PAD_TOP    = 72;
   const PAD_BOTTOM = 40;
   const LABEL_GAP  = 16;
+  const PENDING    = 'MERGE_PENDING';   // layout id of the not-yet-created merge commit
+  const PANE_GAP   = 70;
+  const LANE_H     = 130;   // lane spacing when the graph runs left → right
+  const MOTION_MS  = 450;   // one transition at normal speed
+  const MOTION_MAX = 400;   // above this many commits on screen the graph just jumps
+  const PAINT_MARGIN = 600; // how far past the viewport commits are drawn
+  const RUN_MIN    = 12;    // linear runs at least this long fold into one segment
+  const SEGMENT    = 'SEGMENT:';   // layout id prefix of a folded run
+  const NO_REFS    = { branches: [], tags: [], remote: [] };
+  const MINIMAP_W  = 168, MINIMAP_H = 112;
+  const FOCUS_MS   = 2400;  // how long goto rings its commit
 
   let _scale       = 1;
   let _onNodeClick = null;
+  let _split       = false;
+  let _orientation = 'vertical';   // 'vertical' (newest on top) | 'horizontal' (newest on the right)
+  let _ordering    = 'topo';       // row order: 'topo' | 'date'
+  let _transfers   = [];
+  let _speed       = 1;        // transition length multiplier: 0.5 fast, 1 normal, 2 slow
+  let _motion      = 'auto';   // 'auto' follows prefers-reduced-motion | 'full' | 'reduced'
+  let _last        = null;     // where everything was drawn last time, to animate from
+  let _scene       = null;     // the laid-out graph that scrolling repaints from
+  let _scrollHost  = null;
+  let _minimap     = null;
+  let _highlight   = null;     // sha ringed by goto / show
+  let _highlightTimer = null;
+  const _cssColors = {};
+  let _expanded    = new Set(); // folded runs the user opened, by their oldest commit
+  let _marks       = null;     // { sha: 'match' | 'a' | 'b' } from search and ref selection; the rest dims
 
   function setScale(s)     { _scale = Math.max(0.4, Math.min(2.5, s)); }
   function getScale()      { return _scale; }
   function onNodeClick(cb) { _onNodeClick = cb; }
 
+  // Split view: the local graph plus one pane per remote, side by side
+  function setSplit(on)    { _split = !!on; }
+  function isSplit()       { return _split; }
+
+  // Search results and selected refs: marked commits keep their colour
+  // ('a' / 'b' also get a ring for the two sides of A..B), the rest dim.
+  // Takes effect on the next render, or now with repaint()
+  function setMarks(marks) { _marks = marks; }
+  function repaint()       { if (_scene) _paint(false); }
+
+  function setOrientation(o) { _orientation = o === 'horizontal' ? 'horizontal' : 'vertical'; }
+  function getOrientation()  { return _orientation; }
+  function setOrdering(o)    { _ordering = o === 'date' ? 'date' : 'topo'; }
+  function getOrdering()     { return _ordering; }
+
+  function setSpeed(s)  { _speed = s > 0 ? s : 1; }
+  function getSpeed()   { return _speed; }
+  function setMotion(m) { _motion = ['full', 'reduced'].includes(m) ? m : 'auto'; }
+  function getMotion()  { return _motion; }
+
+  function _reducedMotion() {
+    if (_motion !== 'auto') return _motion === 'reduced';
+    return !!(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+  }
+
+  // Remembers what a push / fetch just moved so the next split-view render
+  // can animate it: { kind: 'push' | 'fetch' | 'rejected', remote, shas }
+  function showTransfer(transfer) { _transfers.push(transfer); }
+
   function render(snapshot, svgEl, emptyEl, legendEl) {
     // NEW: destructure remote from snapshot
-    const { initialized, commits, branches, tags, HEAD, detached, branchColor, remote } = snapshot;
+    const { initialized, branches, tags, HEAD, detached, branchColor, remote, remotes, merging, stash } = snapshot;
+    let { commits } = snapshot;
     const hasCommits = Object.keys(commits).length > 0;
+    const transfers = _transfers; _transfers = [];
 
     emptyEl.style.display = (initialized && hasCommits) ? 'none' : 'flex';
     legendEl.hidden = !hasCommits;
 
     if (!initialized || !hasCommits) {
-      svgEl.innerHTML = ''; svgEl.style.width = svgEl.style.height = '100%'; return;
+      svgEl.innerHTML = ''; svgEl.style.width = svgEl.style.height = '100%'; _last = _scene = null; _drawMinimap(); return;
     }
 
-    const layout = _buildLayout(commits, branches, HEAD, detached, branchColor);
-    const maxRow = Math.max(...Object.values(layout.nodes).map(n => n.row), 0);
-    const maxCol = Math.max(...Object.values(layout.nodes).map(n => n.col), 0);
+    // A conflicted merge is drawn as a pending commit on top of HEAD and MERGE_HEAD
+    const headSha = detached ? HEAD : branches[HEAD];
+    if (merging && headSha) {
+      const unresolved = Object.keys(merging.conflicts);
+      commits = { ...commits, [PENDING]: { sha: PENDING, message: unresolved.length ? `${unresolved.length} conflict${unresolved.length === 1 ? '' : 's'}` : 'ready to commit', parents: [headSha, merging.sourceSha], pending: true, conflicts: unresolved } };
+    }
+
+    // Commits no ref reaches any more (a deleted branch, a rebased original)
+    // fade rather than vanish — git keeps them until garbage collection
+    const localTips = [headSha, ...Object.values(branches), ...Object.values(tags), ...Object.values(remote || {}), ...(stash || []), merging ? merging.sourceSha : null, commits[PENDING] ? PENDING : null];
+    const panes = [{ title: 'local', commits, branches, tags, remote: remote || {}, HEAD, detached, tips: localTips }];
+    if (_split) Object.entries(remotes || {}).forEach(([name, r]) => panes.push({ title: name, subtitle: r.url, name, commits: r.commits, branches: r.branches, tags: {}, remote: {}, HEAD: null, detached: false, tips: Object.values(r.branches) }));
+    // Shared commits line up: every pane takes its rows from the union, and
+    // folds the same linear runs
+    const union = _split ? Object.assign({}, ...panes.map(p => p.commits)) : commits;
+    const shared = _order(union);
+    const runs = _findRuns(union, shared, new Set(panes.flatMap(p => p.tips)));
+    const order = _foldOrder(shared, runs);
+    const horizontal = _orientation === 'horizontal';
+    const rowGap = horizontal ? COL_W : ROW_H;
+
+    panes.forEach(p => {
+      p.commits = _fold(p.commits, runs);
+      p.refsAt = _refsBySha(p.branches, p.tags, p.remote);
+      p.layout = _buildLayout(p.commits, p.branches, p.HEAD, p.detached, branchColor, order, p.refsAt);
+      p.live = _reachable(p.commits, p.tips);
+      p.maxRow = p.maxCol = 0;
+      Object.values(p.layout.nodes).forEach(n => { if (n.row > p.maxRow) p.maxRow = n.row; if (n.col > p.maxCol) p.maxCol = n.col; });
+      p.layout.edges.forEach(e => { if (e.lane > p.maxCol) p.maxCol = e.lane; });
+      p.spacing = horizontal ? LANE_H : p.maxCol <= 1 ? COL_W + 60 : COL_W;
+      p.size = (horizontal ? PAD_TOP + PAD_BOTTOM + 30 : PAD_X * 2) + p.maxCol * p.spacing;
+    });
+    const local = panes[0].layout;
+    (stash || []).forEach((sha, n) => { if (local.nodes[sha]) local.nodes[sha].stashRef = `stash@{${n}}`; });
+    if (merging && headSha && commits[PENDING].conflicts.length) [headSha, merging.sourceSha].forEach(s => { if (local.nodes[s]) local.nodes[s].conflicted = true; });
+    const maxRow = panes.reduce((m, p) => Math.max(m, p.maxRow), 0);
+    // Panes sit side by side across the lanes: left to right, or top to
+    // bottom when horizontal
+    let off = 0;
+    panes.forEach(p => { p.off = off; off += p.size + (_split ? PANE_GAP : 0); });
+    const lanesSize = off - (_split ? PANE_GAP : 0);
+    const rowsSize  = horizontal ? PAD_X * 2 + maxRow * rowGap : PAD_TOP + (maxRow + 1) * ROW_H + PAD_BOTTOM;
+    const contentW = horizontal ? rowsSize : lanesSize, contentH = horizontal ? lanesSize : rowsSize;
+
+    // (lane, row) → position; rows may be fractional for edge curves. Each
+    // edge also gets the box it occupies, for culling
+    panes.forEach(p => {
+      p.at = horizontal
+        ? (lane, row) => [PAD_X + (maxRow - row) * rowGap, p.off + PAD_TOP + lane * p.spacing]
+        : (lane, row) => [p.off + PAD_X + lane * p.spacing, PAD_TOP + row * rowGap];
+      const { nodes } = p.layout;
+      Object.values(nodes).forEach(n => { [n.px, n.py] = p.at(n.col, n.row); });
+      p.layout.edges.forEach(e => {
+        const a = nodes[e.from], b = nodes[e.to], [lx, ly] = p.at(e.lane, a.row);
+        e.box = [Math.min(a.px, b.px, lx), Math.min(a.py, b.py, ly), Math.max(a.px, b.px, lx), Math.max(a.py, b.py, ly)];
+      });
+    });
+
+    _scene = { args: [snapshot, svgEl, emptyEl, legendEl], svgEl, panes, horizontal, contentW, contentH, branchColor, transfers, drawn: null, minimap: null };
+    _size();
+    _paint(true);
+    _drawMinimap();
+  }
 
-    let svgW = (PAD_X * 2 + (maxCol + 1) * COL_W) * _scale;
-    let svgH = (PAD_TOP + (maxRow + 1) * ROW_H + PAD_BOTTOM) * _scale;
-    if (svgW < 600) svgW = 600;
-    if (svgH < 350) svgH = 350;
+  // Sizes the SVG for the current zoom; a scene smaller than the viewport
+  // is centred in it
+  function _size() {
+    const { svgEl, contentW, contentH } = _scene;
+    const svgW = Math.max(600, contentW * _scale), svgH = Math.max(350, contentH * _scale);
     svgEl.setAttribute('width', svgW);
     svgEl.setAttribute('height', svgH);
-    svgEl.innerHTML = '';
+    _scene.offset = [Math.max(0, (svgW / _scale - contentW) / 2), Math.max(0, (svgH / _scale - contentH) / 2)];
+  }
 
-    const nodeXs = Object.values(layout.nodes).map(n => PAD_X + n.col * COL_W);
-    const nodeYs = Object.values(layout.nodes).map(n => PAD_TOP + n.row * ROW_H);
-    const centerX = svgW / 2, centerY = svgH / 2;
-    let offsetX = 0, offsetY = 0;
-    if (nodeXs.length > 0) offsetX = centerX - nodeXs.reduce((a,b) => a+b, 0) / nodeXs.length;
-    if (nodeYs.length > 0) offsetY = centerY - nodeYs.reduce((a,b) => a+b, 0) / nodeYs.length;
+  // Draws the part of the scene in and around the viewport. A fresh paint
+  // follows a state change and animates from the last one; scrolling only
+  // repaints once the viewport nears the edge of what is already drawn.
+  function _paint(fresh) {
+    const { svgEl, panes, horizontal, contentW, contentH, offset: [offsetX, offsetY], branchColor, transfers } = _scene;
+    const win = _scene.drawn = _visible(PAINT_MARGIN);
+    const shown = n => !win || (n.px >= win.x0 && n.px <= win.x1 && n.py >= win.y0 && n.py <= win.y1);
+    const crosses = b => !win || (b[2] >= win.x0 && b[0] <= win.x1 && b[3] >= win.y0 && b[1] <= win.y1);
+
+    // The old drawing's commits and refs can fade out where they stood
+    const leaving = {};
+    if (fresh) svgEl.querySelectorAll('[data-node], [data-ref]').forEach(el => { leaving[el.dataset.node ? `n:${el.dataset.node}` : `r:${el.dataset.ref}`] = el; });
+    svgEl.innerHTML = '';
+    const defs = _svgEl('defs');
+    [['rewrite-arrow', 'var(--text-secondary)'], ['revert-arrow', 'var(--danger)'], ['push-arrow', 'var(--accent)'], ['fetch-arrow', 'var(--success)'], ['rejected-arrow', 'var(--danger)']].forEach(([id, fill]) => {
+      const arrow = _svgEl('marker', { id, viewBox: '0 0 8 8', refX: '7', refY: '4', markerWidth: '7', markerHeight: '7', orient: 'auto-start-reverse' });
+      arrow.appendChild(_svgEl('path', { d: 'M 0 0 L 8 4 L 0 8 z', fill }));
+      defs.appendChild(arrow);
+    });
+    svgEl.appendChild(defs);
 
-    const g = _svgEl('g', { transform: `scale(${_scale}) translate(${offsetX/_scale},${offsetY/_scale})` });
+    const g = _svgEl('g', { transform: `scale(${_scale}) translate(${offsetX},${offsetY})` });
     svgEl.appendChild(g);
 
-    const rowToY = row => PAD_TOP + row * ROW_H;
-    const colToX = col => maxCol <= 1 ? PAD_X + col * (COL_W + 60) : PAD_X + col * COL_W;
+    panes.forEach((p, i) => {
+      const pg = _svgEl('g', { class: `graph-pane${i ? ' graph-pane--remote' : ''}` });
+      g.appendChild(pg);
+      if (_split) _drawPaneFrame(pg, p, i, horizontal, horizontal ? contentW : contentH);
+      const faded = _svgEl('g', { class: 'commit-unreachable' });
+      const layer = sha => p.live.has(sha) ? pg : faded;
+      const mark = sha => !_marks || i ? 'match' : _marks[sha] || (p.commits[sha].segment || []).map(s => _marks[s]).find(Boolean);
+      const dimmed = _svgEl('g', { class: 'commit-dimmed', opacity: '0.15' });
+      p.layout.edges.forEach(e => { if (crosses(e.box)) _drawEdge(mark(e.from) && mark(e.to) ? layer(e.to) : dimmed, e, p.layout.nodes, p.at); });
+      if (!i) _drawRewriteLinks(pg, p.layout.nodes, p.commits, shown);
+      // Each commit gets a group of its own and ref badges sit in a layer
+      // on top, so commits and refs can be animated separately
+      const refs = _svgEl('g', { class: 'graph-refs' });
+      Object.values(p.layout.nodes).forEach(n => {
+        if (!shown(n)) return;
+        const ng = _svgEl('g', { 'data-node': `${i}:${n.sha}` }), m = mark(n.sha);
+        (m ? layer(n.sha) : dimmed).appendChild(ng);
+        _drawNode(ng, n, p.commits[n.sha], p.branches, p.tags, p.refsAt[n.sha] || NO_REFS, p.HEAD, p.detached, branchColor);
+        if (m === 'a' || m === 'b') ng.insertBefore(_svgEl('circle', { cx: n.px, cy: n.py, r: NODE_R + 5, fill: 'none', stroke: m === 'a' ? 'var(--warning)' : 'var(--success)', 'stroke-width': '2.5' }), ng.firstChild);
+        if (!i && n.sha === _highlight) ng.insertBefore(_svgEl('circle', { cx: n.px, cy: n.py, r: NODE_R + 7, fill: 'none', stroke: 'var(--accent)', 'stroke-width': '2.5', class: 'focus-ring' }), ng.firstChild);
+        ng.querySelectorAll('[data-ref]').forEach(r => { r.dataset.ref = `${i}:${r.dataset.ref}`; refs.appendChild(r); });
+      });
+      [...faded.childNodes].forEach(el => el.setAttribute('opacity', '0.35'));
+      if (faded.childNodes.length) pg.insertBefore(faded, pg.firstChild);
+      if (dimmed.childNodes.length) pg.insertBefore(dimmed, pg.firstChild);
+      pg.appendChild(refs);
+    });
+    if (!fresh) return;
+    if (_split) transfers.forEach(t => _drawTransfer(g, t, panes));
 
-    Object.values(layout.nodes).forEach(n => { n.px = colToX(n.col); n.py = rowToY(n.row); });
+    const now = { scale: _scale, offset: [offsetX, offsetY], nodes: {}, refs: {}, live: new Set() };
+    panes.forEach((p, i) => Object.values(p.layout.nodes).forEach(n => {
+      now.nodes[`${i}:${n.sha}`] = [n.px + offsetX, n.py + offsetY];
+      if (p.live.has(n.sha)) now.live.add(`${i}:${n.sha}`);
+    }));
+    g.querySelectorAll('[data-ref]').forEach(r => { now.refs[r.dataset.ref] = [+r.dataset.x + offsetX, +r.dataset.y + offsetY]; });
+    const prev = _last;
+    _last = now;
+    if (prev && prev.scale === _scale && typeof g.animate === 'function' && g.querySelectorAll('[data-node]').length <= MOTION_MAX) _animate(g, prev, now, leaving, panes);
+  }
 
-    _drawLanes(g, layout.nodes, maxRow, rowToY);
-    layout.edges.forEach(e => _drawEdge(g, e, layout.nodes));
-    // NEW: pass remote into _drawNode
-    Object.values(layout.nodes).forEach(n => _drawNode(g, n, commits[n.sha], branches, tags, remote || {}, HEAD, detached, branchColor));
+  // The viewport in scene coordinates, widened by margin; null while it has
+  // no size (not laid out yet), which means draw everything
+  function _visible(margin) {
+    const host = _scene.svgEl.parentElement, [ox, oy] = _scene.offset;
+    if (!host || !host.clientWidth || !host.clientHeight) return null;
+    return {
+      x0: host.scrollLeft / _scale - ox - margin, x1: (host.scrollLeft + host.clientWidth) / _scale - ox + margin,
+      y0: host.scrollTop / _scale - oy - margin,  y1: (host.scrollTop + host.clientHeight) / _scale - oy + margin,
+    };
   }
 
-  function _drawLanes(g, nodes, maxRow, rowToY) {
-    const byCol = {};
-    Object.values(nodes).forEach(n => { (byCol[n.col] = byCol[n.col] || []).push(n); });
-    Object.entries(byCol).forEach(([col, ns]) => {
-      if (ns.length < 2) return;
-      const x  = PAD_X + parseInt(col) * COL_W;
-      const y1 = rowToY(Math.min(...ns.map(n => n.row)));
-      const y2 = rowToY(Math.max(...ns.map(n => n.row)));
-      g.appendChild(_svgEl('line', { x1: x, y1, x2: x, y2, stroke: ns[0].color, 'stroke-width': '1', opacity: '0.15', 'stroke-dasharray': '3 5' }));
+  // Wires up the scroll container: repaint as it scrolls, drag to pan,
+  // ctrl / ⌘ + wheel or a two-finger pinch to zoom at the pointer, and the
+  // minimap (click or drag it to jump)
+  function attach(host, minimap) {
+    _scrollHost = host;
+    _minimap = minimap;
+    let queued = false;
+    host.addEventListener('scroll', () => {
+      if (queued || !_scene) return;
+      queued = true;
+      requestAnimationFrame(() => {
+        queued = false;
+        if (!_scene) return;
+        const v = _visible(PAINT_MARGIN / 4), d = _scene.drawn;
+        if (v && (!d || v.x0 < d.x0 || v.x1 > d.x1 || v.y0 < d.y0 || v.y1 > d.y1)) _paint(false);
+        _drawMinimap();
+      });
+    });
+
+    host.addEventListener('wheel', e => {
+      if (!e.ctrlKey && !e.metaKey) return;
+      e.preventDefault();
+      zoomAt(_scale * Math.exp(-e.deltaY * 0.002), e.clientX, e.clientY);
+    }, { passive: false });
+
+    const pointers = new Map();
+    let drag = null, pinch = null;
+    const spread = () => { const [a, b] = [...pointers.values()]; return [Math.hypot(a[0] - b[0], a[1] - b[1]), (a[0] + b[0]) / 2, (a[1] + b[1]) / 2]; };
+    host.addEventListener('pointerdown', e => {
+      if (e.button !== 0 || !_scene || e.target.closest('[data-sha], .segment-node, .detail-panel, button')) return;
+      pointers.set(e.pointerId, [e.clientX, e.clientY]);
+      if (host.setPointerCapture) host.setPointerCapture(e.pointerId);
+      if (pointers.size === 1) drag = { x: e.clientX, y: e.clientY, left: host.scrollLeft, top: host.scrollTop, moved: false };
+      else if (pointers.size === 2) { pinch = { dist: spread()[0] || 1, scale: _scale }; drag = null; }
+    });
+    host.addEventListener('pointermove', e => {
+      if (!pointers.has(e.pointerId)) return;
+      pointers.set(e.pointerId, [e.clientX, e.clientY]);
+      if (pinch && pointers.size === 2) {
+        const [dist, cx, cy] = spread();
+        zoomAt(pinch.scale * dist / pinch.dist, cx, cy);
+      } else if (drag) {
+        const dx = e.clientX - drag.x, dy = e.clientY - drag.y;
+        if (!drag.moved && Math.abs(dx) + Math.abs(dy) < 4) return;
+        drag.moved = true;
+        host.classList.add('panning');
+        host.scrollLeft = drag.left - dx;
+        host.scrollTop  = drag.top - dy;
+      }
     });
+    const release = e => {
+      if (!pointers.delete(e.pointerId)) return;
+      // The click that ends a drag is not a click on the background
+      if (drag && drag.moved && e.type === 'pointerup') host.addEventListener('click', ev => ev.stopPropagation(), { capture: true, once: true });
+      drag = pinch = null;
+      if (!pointers.size) host.classList.remove('panning');
+    };
+    host.addEventListener('pointerup', release);
+    host.addEventListener('pointercancel', release);
+
+    if (!minimap) return;
+    const jump = e => {
+      const fit = _scene && _scene.minimapFit, r = minimap.getBoundingClientRect();
+      if (fit) _centerOn((e.clientX - r.left - fit.dx) / fit.k, (e.clientY - r.top - fit.dy) / fit.k);
+    };
+    minimap.addEventListener('pointerdown', e => { if (minimap.setPointerCapture) minimap.setPointerCapture(e.pointerId); jump(e); });
+    minimap.addEventListener('pointermove', e => { if (e.buttons & 1) jump(e); });
   }
 
-  function _buildLayout(commits, branches, HEAD, detached, branchColor) {
-    const sorted = _topoSort(commits);
-    const depth  = {};
-    sorted.forEach(sha => {
-      const c = commits[sha];
-      depth[sha] = c.parents.length === 0 ? 0 : Math.max(...c.parents.map(p => (depth[p] ?? 0) + 1));
+  // Zooms so the scene point under (clientX, clientY), by default the middle
+  // of the viewport, stays where it is. Only the sizing changes: the layout
+  // is kept.
+  function zoomAt(scale, clientX, clientY) {
+    const host = _scrollHost, old = _scale;
+    setScale(scale);
+    if (!_scene || !host || _scale === old) return;
+    const r = host.getBoundingClientRect();
+    const mx = clientX === undefined ? host.clientWidth / 2 : clientX - r.left;
+    const my = clientY === undefined ? host.clientHeight / 2 : clientY - r.top;
+    const [ox, oy] = _scene.offset;
+    const x = (host.scrollLeft + mx) / old - ox, y = (host.scrollTop + my) / old - oy;
+    _size();
+    host.scrollLeft = (x + _scene.offset[0]) * _scale - mx;
+    host.scrollTop  = (y + _scene.offset[1]) * _scale - my;
+    _last = null;
+    _paint(false);
+    _drawMinimap();
+  }
+
+  function _centerOn(x, y, behavior = 'auto') {
+    const host = _scrollHost, [ox, oy] = _scene.offset;
+    const left = (x + ox) * _scale - host.clientWidth / 2, top = (y + oy) * _scale - host.clientHeight / 2;
+    if (host.scrollTo) host.scrollTo({ left, top, behavior });
+    else { host.scrollLeft = left; host.scrollTop = top; }
+  }
+
+  // The whole scene at 1× (every commit, not just those near the
+  // viewport) in a detached <svg>, for image export
+  function exportSvg() {
+    if (!_scene) return null;
+    const { svgEl, drawn, offset } = _scene, scale = _scale;
+    _scene.svgEl = _svgEl('svg');
+    _scale = 1;
+    try { _size(); _paint(false); return _scene.svgEl; }
+    finally { Object.assign(_scene, { svgEl, drawn, offset }); _scale = scale; }
+  }
+
+  // Scrolls the local graph to a commit and rings it for a moment,
+  // unfolding the run it sits in if need be. False if it isn't drawn.
+  function focus(sha) {
+    if (!_scene || !_scrollHost) return false;
+    let node = _scene.panes[0].layout.nodes[sha];
+    if (!node) {
+      const run = Object.values(_scene.panes[0].commits).find(c => c.segment && c.segment.includes(sha));
+      if (!run) return false;
+      _expanded.add(run.segment[run.segment.length - 1]);
+      render(..._scene.args);
+      node = _scene.panes[0].layout.nodes[sha];
+    }
+    _highlight = sha;
+    clearTimeout(_highlightTimer);
+    _highlightTimer = setTimeout(() => {
+      _highlight = null;
+      if (_scene) _scene.svgEl.querySelectorAll('.focus-ring').forEach(el => el.remove());
+    }, FOCUS_MS);
+    _centerOn(node.px, node.py, _reducedMotion() ? 'auto' : 'smooth');
+    _paint(false);
+    return true;
+  }
+
+  // An overview of the whole scene with the viewport outlined. The graph
+  // is drawn once per render; scrolling only redraws the outline.
+  function _drawMinimap() {
+    const mm = _minimap, host = _scrollHost;
+    if (!mm) return;
+    const big = !!(_scene && host && (_scene.contentW * _scale > host.clientWidth || _scene.contentH * _scale > host.clientHeight));
+    mm.hidden = !big;
+    const ctx = big && mm.getContext && mm.getContext('2d');
+    if (!ctx) return;
+    const dpr = window.devicePixelRatio || 1, { contentW, contentH, panes } = _scene;
+    if (mm.width !== MINIMAP_W * dpr) { mm.width = MINIMAP_W * dpr; mm.height = MINIMAP_H * dpr; }
+    const k = Math.min(MINIMAP_W / contentW, MINIMAP_H / contentH);
+    const fit = _scene.minimapFit = { k, dx: (MINIMAP_W - contentW * k) / 2, dy: (MINIMAP_H - contentH * k) / 2 };
+    const at = (x, y) => [fit.dx + x * k, fit.dy + y * k];
+    if (!_scene.minimap) {
+      const base = document.createElement('canvas');
+      base.width = mm.width; base.height = mm.height;
+      const b = base.getContext('2d');
+      b.scale(dpr, dpr);
+      b.strokeStyle = 'rgba(139,148,158,0.45)';
+      b.lineWidth = 1;
+      b.beginPath();
+      panes.forEach(p => p.layout.edges.forEach(e => {
+        const f = p.layout.nodes[e.from], t = p.layout.nodes[e.to];
+        b.moveTo(...at(f.px, f.py)); b.lineTo(...at(t.px, t.py));
+      }));
+      b.stroke();
+      panes.forEach(p => Object.values(p.layout.nodes).forEach(n => {
+        const [x, y] = at(n.px, n.py);
+        b.fillStyle = _cssColor(n.color);
+        b.fillRect(x - 1.5, y - 1.5, 3, 3);
+      }));
+      _scene.minimap = base;
+    }
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, mm.width, mm.height);
+    ctx.drawImage(_scene.minimap, 0, 0);
+    const v = _visible(0);
+    if (!v) return;
+    ctx.scale(dpr, dpr);
+    ctx.strokeStyle = _cssColor('var(--accent)');
+    ctx.lineWidth = 1.5;
+    const [x0, y0] = at(v.x0, v.y0), [x1, y1] = at(v.x1, v.y1);
+    ctx.strokeRect(x0, y0, x1 - x0, y1 - y0);
+  }
+
+  // Canvas can't read CSS variables: resolve var(--x) once
+  function _cssColor(c) {
+    const m = /^var\((--[\w-]+)\)$/.exec(c);
+    if (!m) return c;
+    if (!_cssColors[m[1]]) _cssColors[m[1]] = getComputedStyle(document.documentElement).getPropertyValue(m[1]).trim() || '#8b949e';
+    return _cssColors[m[1]];
+  }
+
+  // Tweens from the previous drawing to this one, matching commits by SHA
+  // and refs by name. A moved commit or ref slides from where it was, a new
+  // commit grows out of its parent (a rebased or cherry-picked one flies in
+  // from its original), one that lost its last ref dims, and whatever is
+  // gone fades out. Reduced motion keeps only the fades.
+  function _animate(g, prev, now, leaving, panes) {
+    const ms = MOTION_MS * _speed, reduced = _reducedMotion(), ease = 'cubic-bezier(.3,.7,.4,1)';
+    const move = (el, [dx, dy], extra = {}) => el.animate([{ transform: `translate(${dx}px, ${dy}px)`, ...extra.from }, { transform: 'translate(0px, 0px)', ...extra.to }], { duration: ms, easing: ease });
+    const fadeIn = (el, delay = 0) => el.animate([{ opacity: 0 }, { opacity: el.getAttribute('opacity') || 1 }], { duration: ms * 0.6, delay, easing: 'ease-out', fill: 'backwards' });
+    const touched = new Set();
+
+    g.querySelectorAll('[data-node]').forEach(el => {
+      const key = el.dataset.node, [x, y] = now.nodes[key], was = prev.nodes[key];
+      const pane = panes[+key.split(':')[0]], commit = pane.commits[key.slice(key.indexOf(':') + 1)];
+      if (was) {
+        const delta = [was[0] - x, was[1] - y];
+        const dims = prev.live.has(key) && !now.live.has(key);
+        if (Math.abs(delta[0]) + Math.abs(delta[1]) < 0.5 && !dims) return;
+        touched.add(key);
+        if (dims) el.animate([{ opacity: 1 }, { opacity: 0.35 }], { duration: ms, easing: 'ease-in' });
+        if (!reduced && (delta[0] || delta[1])) move(el, delta);
+        return;
+      }
+      touched.add(key);
+      const prefix = key.split(':')[0] + ':';
+      const origin = [...(commit.squashedFrom || []), commit.originalSha].map(s => s && prev.nodes[prefix + s]).find(Boolean);
+      const parent = commit.parents.map(s => now.nodes[prefix + s]).find(Boolean);
+      if (reduced) fadeIn(el);
+      else if (origin) move(el, [origin[0] - x, origin[1] - y], { from: { opacity: 0.4 } });
+      else {
+        // Scale about the commit's own centre while its centre travels out
+        // of the parent (positions here are in the group's own coordinates)
+        const [ox, oy] = now.offset, [px, py] = parent || [x, y];
+        const about = (cx, cy, k) => `translate(${cx - ox}px, ${cy - oy}px) scale(${k}) translate(${ox - x}px, ${oy - y}px)`;
+        el.animate([{ transform: about(px, py, 0.2), opacity: 0 }, { transform: about(x, y, 1), opacity: 1 }], { duration: ms, easing: ease });
+      }
+    });
+
+    g.querySelectorAll('[data-ref]').forEach(el => {
+      const key = el.dataset.ref, [x, y] = now.refs[key], was = prev.refs[key];
+      if (!was) fadeIn(el, reduced ? 0 : ms * 0.4);
+      else if (!reduced && Math.abs(was[0] - x) + Math.abs(was[1] - y) >= 0.5) move(el, [was[0] - x, was[1] - y]);
+    });
+
+    // Edges are redrawn rather than morphed: the ones at a commit that moved
+    // or appeared fade in once it has landed
+    g.querySelectorAll('[data-edge]').forEach(el => {
+      const pane = el.closest('.graph-pane'), i = [...g.querySelectorAll('.graph-pane')].indexOf(pane);
+      if (el.dataset.edge.split(' ').some(s => touched.has(`${i}:${s}`))) fadeIn(el, reduced ? 0 : ms * 0.5);
+    });
+
+    // Gone entirely: fade out where it stood in the old drawing
+    const shift = `translate(${prev.offset[0] - now.offset[0]},${prev.offset[1] - now.offset[1]})`;
+    Object.entries(leaving).forEach(([key, el]) => {
+      const id = key.slice(2);
+      if (key[0] === 'n' ? now.nodes[id] : now.refs[id]) return;
+      const ghost = _svgEl('g', { transform: shift, 'pointer-events': 'none' });
+      ghost.appendChild(el);
+      g.appendChild(ghost);
+      const fade = ghost.animate([{ opacity: 1 }, { opacity: 0 }], { duration: ms * 0.6, easing: 'ease-in', fill: 'forwards' });
+      fade.onfinish = () => ghost.remove();
+    });
+  }
+
+  // Long stretches where nothing happens (one parent, one child, no ref)
+  // fold into a single "N commits" segment until clicked. Runs are found
+  // on the shared row order so every pane folds the same ones.
+  function _findRuns(commits, order, tips) {
+    const children = {};
+    Object.values(commits).forEach(c => c.parents.forEach(p => { children[p] = (children[p] || 0) + 1; }));
+    const plain = sha => commits[sha].parents.length === 1 && children[sha] === 1 && !tips.has(sha) && !commits[sha].stash;
+    const runs = [];
+    let run = [];
+    const close = () => { if (run.length >= RUN_MIN && !_expanded.has(run[run.length - 1])) runs.push(run); run = []; };
+    order.forEach(sha => {
+      if (run.length && commits[run[run.length - 1]].parents[0] !== sha) close();
+      if (plain(sha)) run.push(sha); else close();
+    });
+    close();
+    return runs;
+  }
+
+  function _foldOrder(order, runs) {
+    const folded = {};
+    runs.forEach(run => run.forEach((sha, i) => { folded[sha] = i ? null : SEGMENT + run[run.length - 1]; }));
+    return order.filter(sha => folded[sha] !== null).map(sha => folded[sha] || sha);
+  }
+
+  // A pane's commits with each run swapped for one segment commit; a pane
+  // holds either all of a run or none of it
+  function _fold(commits, runs) {
+    const alias = {}, view = { ...commits };
+    runs.forEach(run => {
+      if (!commits[run[0]]) return;
+      const id = SEGMENT + run[run.length - 1];
+      run.forEach(sha => delete view[sha]);
+      view[id] = { sha: id, parents: commits[run[run.length - 1]].parents, message: `${run.length} commits`, timestamp: commits[run[0]].timestamp, segment: run };
+      alias[run[0]] = id;
+    });
+    if (!Object.keys(alias).length) return commits;
+    Object.values(view).forEach(c => {
+      if (c.parents.some(p => alias[p])) view[c.sha] = { ...c, parents: c.parents.map(p => alias[p] || p) };
+    });
+    return view;
+  }
+
+  // Refs grouped by the commit they point at, built once per render
+  function _refsBySha(branches, tags, remote) {
+    const at = {};
+    const add = (kind, refs) => Object.entries(refs).forEach(([name, sha]) => {
+      if (sha) (at[sha] = at[sha] || { branches: [], tags: [], remote: [] })[kind].push(name);
+    });
+    add('branches', branches); add('tags', tags); add('remote', remote);
+    return at;
+  }
+
+  function _reachable(commits, tips) {
+    const seen = new Set(), queue = tips.filter(Boolean);
+    while (queue.length) {
+      const sha = queue.pop();
+      if (seen.has(sha) || !commits[sha]) continue;
+      seen.add(sha);
+      commits[sha].parents.forEach(p => queue.push(p));
+    }
+    return seen;
+  }
+
+  // Row order, newest first and never a parent above one of its children.
+  // 'topo' follows each first-parent chain down before switching branches,
+  // like git log --topo-order; 'date' always takes the newest commit whose
+  // children are all placed, like --date-order
+  function _order(commits) {
+    const unplaced = {}, seq = {};
+    Object.keys(commits).forEach((sha, i) => { unplaced[sha] = 0; seq[sha] = i; });
+    Object.values(commits).forEach(c => c.parents.forEach(p => { if (unplaced[p] !== undefined) unplaced[p]++; }));
+    const time = sha => commits[sha].pending ? Infinity : commits[sha].timestamp || 0;
+    const newer = (a, b) => time(a) > time(b) || (time(a) === time(b) && seq[a] > seq[b]);
+    const ready = Object.keys(commits).filter(sha => !unplaced[sha]), order = [];
+    let next = null;
+    while (ready.length) {
+      let i = next ? ready.indexOf(next) : -1;
+      if (i === -1) { i = 0; ready.forEach((sha, j) => { if (newer(sha, ready[i])) i = j; }); }
+      const sha = ready.splice(i, 1)[0];
+      order.push(sha);
+      next = null;
+      commits[sha].parents.forEach((p, k) => {
+        if (unplaced[p] === undefined || --unplaced[p]) return;
+        ready.push(p);
+        if (k === 0 && _ordering === 'topo') next = p;
+      });
+    }
+    return order;
+  }
+
+  function _drawPaneFrame(g, pane, index, horizontal, extent) {
+    const text = (x, y, anchor, size, fill, label, weight = '400') => g.appendChild(_svgEl('text', { x, y, 'text-anchor': anchor, 'font-family': 'JetBrains Mono,monospace', 'font-size': size, 'font-weight': weight, fill }, label));
+    const edge = pane.off - PANE_GAP / 2;
+    const divider = horizontal ? { x1: 8, y1: edge, x2: extent, y2: edge } : { x1: edge, y1: 8, x2: edge, y2: extent };
+    if (index) g.appendChild(_svgEl('line', { ...divider, stroke: 'var(--border)', 'stroke-dasharray': '4 4' }));
+    const [x, y, anchor] = horizontal ? [12, pane.off + 14, 'start'] : [pane.off + pane.size / 2, 14, 'middle'];
+    text(x, y, anchor, '12', index ? '#ff7b72' : 'var(--text-primary)', index ? `remote: ${pane.title}` : 'local repository', '600');
+    if (pane.subtitle) text(x, y + 15, anchor, '10', 'var(--text-muted)', pane.subtitle);
+    if (!Object.keys(pane.commits).length) text(horizontal ? PAD_X : x, horizontal ? pane.off + PAD_TOP : PAD_TOP, anchor, '11', 'var(--text-muted)', '(empty — nothing pushed yet)');
+  }
+
+  // Arrows for the commits a push or fetch just copied between the local
+  // pane and a remote pane; a rejected push points at the commit in the way
+  function _drawTransfer(g, t, panes) {
+    const local = panes[0].layout.nodes, pane = panes.find(p => p.name === t.remote);
+    if (!pane) return;
+    const there = pane.layout.nodes;
+    t.shas.slice(0, 12).forEach(sha => {
+      const from = t.kind === 'fetch' ? there[sha] : local[sha];
+      const to   = t.kind === 'fetch' ? local[sha] : there[t.kind === 'rejected' ? t.blocker : sha];
+      if (!from || !to) return;
+      const dx = to.px - from.px, dy = to.py - from.py, len = Math.hypot(dx, dy) || 1, ux = dx / len, uy = dy / len;
+      // Bow the arrow up (or left) off the straight line so it clears the nodes between
+      const lift = 26 + len * 0.1;
+      let nx = uy * lift, ny = -ux * lift;
+      if (Math.abs(dx) >= Math.abs(dy) ? ny > 0 : nx > 0) { nx = -nx; ny = -ny; }
+      const x1 = from.px + ux * (NODE_R + 3), y1 = from.py + uy * (NODE_R + 3);
+      const x2 = to.px - ux * (NODE_R + 5), y2 = to.py - uy * (NODE_R + 5);
+      g.appendChild(_svgEl('path', {
+        d: `M ${x1} ${y1} C ${x1 + dx / 3 + nx} ${y1 + dy / 3 + ny}, ${x2 - dx / 3 + nx} ${y2 - dy / 3 + ny}, ${x2} ${y2}`,
+        fill: 'none', class: `transfer-arrow transfer-arrow--${t.kind}`,
+        'marker-end': `url(#${t.kind}-arrow)`,
+      }));
+      if (t.kind === 'rejected') g.appendChild(_svgEl('text', { x: (x1 + x2) / 2 + nx * 0.75, y: (y1 + y2) / 2 + ny * 0.75 - 4, 'text-anchor': 'middle', 'font-family': 'JetBrains Mono,monospace', 'font-size': '11', 'font-weight': '600', fill: 'var(--danger)', class: 'transfer-label' }, '✗ rejected'));
     });
-    const maxDepth = Math.max(...Object.values(depth), 0);
-    const colMap   = _assignColumns(commits, branches, sorted);
+  }
+
+  function _buildLayout(commits, branches, HEAD, detached, branchColor, order, refsAt) {
+    const rows = {}, sorted = [];
+    order.forEach((sha, i) => { if (commits[sha]) { rows[sha] = i; sorted.push(sha); } });
+    const { lanes, edges } = _assignLanes(commits, sorted, _trunkTip(commits, branches, HEAD, detached));
 
     const nodes = {};
     sorted.forEach(sha => {
       nodes[sha] = {
         sha,
-        col:     colMap[sha] ?? 0,
-        row:     maxDepth - depth[sha],
-        color:   _resolveColor(sha, commits, branches, branchColor),
-        isHead:  detached ? HEAD === sha : branches[HEAD] === sha,
+        col:     lanes[sha],
+        row:     rows[sha],
+        color:   _resolveColor(sha, commits, refsAt, branchColor),
+        isHead:  !commits[sha].pending && (detached ? HEAD === sha : branches[HEAD] === sha),
         isMerge: commits[sha].parents.length > 1,
         px: 0, py: 0,
       };
     });
-
-    const edges = [];
-    sorted.forEach(sha => commits[sha].parents.forEach((p, i) => edges.push({ from: p, to: sha, isMerge: i > 0 })));
+    edges.forEach(e => { e.pending = !!commits[e.to].pending; e.stash = !!commits[e.to].stash; });
     return { nodes, edges };
   }
 
-  function _topoSort(commits) {
-    const inDeg = {}; Object.keys(commits).forEach(s => { inDeg[s] = 0; });
-    Object.values(commits).forEach(c => c.parents.forEach(p => { if (inDeg[p] !== undefined) inDeg[p]++; }));
-    const queue = Object.keys(commits).filter(s => inDeg[s] === 0), result = [];
-    while (queue.length) {
-      const sha = queue.shift(); result.push(sha);
-      commits[sha].parents.forEach(p => { if (--inDeg[p] === 0) queue.push(p); });
-    }
-    return result.reverse();
+  // The branch whose first-parent chain keeps lane 0: main / master, else
+  // the checked-out one. A pending merge on top of it joins the chain.
+  function _trunkTip(commits, branches, HEAD, detached) {
+    const name = ['main', 'master'].find(b => branches[b]) || (!detached && branches[HEAD] ? HEAD : null);
+    const tip = name ? branches[name] : detached ? HEAD : null;
+    if (commits[PENDING] && commits[PENDING].parents[0] === tip) return PENDING;
+    return commits[tip] ? tip : null;
   }
 
-  function _assignColumns(commits, branches, sorted) {
-    const colMap = {}; let next = 0;
-    Object.entries(branches).filter(([,s]) => s)
-      .sort(([a],[b]) => (a==='main'||a==='master') ? -1 : (b==='main'||b==='master') ? 1 : 0)
-      .forEach(([,sha]) => { if (sha && colMap[sha] === undefined) colMap[sha] = next++; });
+  // Lanes handed out the way git log --graph does. Walking the rows top
+  // down, a commit takes the leftmost lane waiting for it (or the leftmost
+  // free one), its first parent inherits that lane and every other parent
+  // gets a lane of its own. A lane is free again as soon as the commit it
+  // waited for is placed, so a merged branch gives its lane back. Each
+  // edge records the lane it travels in.
+  function _assignLanes(commits, sorted, trunkTip) {
+    const waiting = trunkTip ? [trunkTip] : [], lanes = {}, edges = [];
+    const freeLane = () => { const i = waiting.indexOf(null); return i === -1 ? waiting.length : i; };
     sorted.forEach(sha => {
-      if (colMap[sha] !== undefined) return;
-      const c = commits[sha];
-      colMap[sha] = (c.parents.length && colMap[c.parents[0]] !== undefined) ? colMap[c.parents[0]] : next++;
+      const lane = waiting.includes(sha) ? waiting.indexOf(sha) : freeLane();
+      waiting.forEach((s, i) => { if (s === sha) waiting[i] = null; });
+      waiting[lane] = null;
+      lanes[sha] = lane;
+      commits[sha].parents.forEach((p, i) => {
+        if (!commits[p]) return;
+        let via = lane;
+        if (i === 0) waiting[lane] = p;
+        else if ((via = waiting.indexOf(p)) === -1) { via = freeLane(); waiting[via] = p; }
+        edges.push({ from: p, to: sha, lane: via, isMerge: i > 0 });
+      });
     });
-    return colMap;
+    return { lanes, edges };
   }
 
-  function _resolveColor(sha, commits, branches, branchColor) {
-    for (const [n, s] of Object.entries(branches)) { if (s === sha) return `var(${branchColor(n)})`; }
+  function _resolveColor(sha, commits, refsAt, branchColor) {
+    if (refsAt[sha] && refsAt[sha].branches.length) return `var(${branchColor(refsAt[sha].branches[0])})`;
     const c = commits[sha];
+    if (c.pending)       return 'var(--danger)';
+    if (c.stash)         return 'var(--text-secondary)';
     if (c.isMerge)       return 'var(--merged)';
     if (c.rebased)       return 'var(--branch-2)';
     if (c.cherryPicked)  return 'var(--branch-3)';
@@ -885,26 +3656,82 @@ const GraphRenderer = (() => {
     return el;
   }
 
-  function _drawEdge(g, edge, nodes) {
+  // An edge leaves the child, runs along the lane it was given and turns
+  // into the parent's lane just before reaching it
+  function _drawEdge(g, edge, nodes, at) {
     const from = nodes[edge.from], to = nodes[edge.to];
     if (!from || !to) return;
-    const x1 = from.px, y1 = from.py, x2 = to.px, y2 = to.py;
-    const d = Math.abs(x1 - x2) < 2
-      ? `M ${x1} ${y1} L ${x2} ${y2}`
-      : `M ${x1} ${y1} C ${x1} ${y1 + (y2-y1)*0.45}, ${x2} ${y1 + (y2-y1)*0.55}, ${x2} ${y2}`;
+    const pts = [[to.col, to.row]];
+    if (edge.lane !== to.col)   pts.push([edge.lane, Math.min(to.row + 1, from.row)]);
+    if (edge.lane !== from.col) pts.push([edge.lane, Math.max(from.row - 1, pts[pts.length - 1][1])]);
+    pts.push([from.col, from.row]);
+    const d = pts.map(([lane, row], i) => {
+      const [x, y] = at(lane, row);
+      if (!i) return `M ${x} ${y}`;
+      const [pl, pr] = pts[i - 1];
+      if (pl === lane) return `L ${x} ${y}`;
+      const [c1x, c1y] = at(pl, (pr + row) / 2), [c2x, c2y] = at(lane, (pr + row) / 2);
+      return `C ${c1x} ${c1y}, ${c2x} ${c2y}, ${x} ${y}`;
+    }).join(' ');
     g.appendChild(_svgEl('path', {
-      d, fill: 'none',
-      stroke:             edge.isMerge ? 'var(--merged)' : 'rgba(139,148,158,0.45)',
-      'stroke-width':     '2',
-      'stroke-dasharray': edge.isMerge ? '5 3' : 'none',
+      d, fill: 'none', 'data-edge': `${edge.to} ${edge.from}`,
+      stroke:             edge.pending ? 'var(--danger)' : edge.isMerge && !edge.stash ? 'var(--merged)' : 'rgba(139,148,158,0.45)',
+      'stroke-width':     edge.stash ? '1.5' : '2',
+      'stroke-dasharray': edge.pending ? '2 4' : edge.stash ? '2 3' : edge.isMerge ? '5 3' : 'none',
       'stroke-linecap':   'round',
     }));
   }
 
-  // NEW: accepts remote param, renders origin/ badges
-  function _drawNode(g, node, commit, branches, tags, remote, HEAD, detached, branchColor) {
+  // Dotted arrows from each rebased / cherry-picked / squashed commit's
+  // original (originalSha, squashedFrom) to the commit that replaced it,
+  // and from each revert back to the commit it undoes (revertedSha)
+  function _drawRewriteLinks(g, nodes, commits, shown) {
+    Object.values(commits).forEach(c => {
+      if (c.revertedSha && nodes[c.sha] && nodes[c.revertedSha] && (shown(nodes[c.sha]) || shown(nodes[c.revertedSha]))) {
+        g.appendChild(_svgEl('path', {
+          d: _sideLink(nodes[c.sha], nodes[c.revertedSha], -1),
+          fill: 'none', stroke: 'var(--danger)', 'stroke-width': '1.3',
+          'stroke-dasharray': '1 4', 'stroke-linecap': 'round', opacity: '0.7', 'marker-end': 'url(#revert-arrow)',
+          class: 'revert-link',
+        }));
+      }
+      if (!c.originalSha || !nodes[c.sha]) return;
+      const to = nodes[c.sha];
+      (c.squashedFrom || [c.originalSha]).forEach(src => {
+        const from = nodes[src];
+        if (!from || src === c.sha || !(shown(from) || shown(to))) return;
+        g.appendChild(_svgEl('path', {
+          d: _sideLink(from, to, 1),
+          fill: 'none', stroke: c.cherryPicked ? 'var(--branch-3)' : 'var(--branch-2)', 'stroke-width': '1.3',
+          'stroke-dasharray': '1 4', 'stroke-linecap': 'round', opacity: '0.6', 'marker-end': 'url(#rewrite-arrow)',
+          class: 'rewrite-link',
+        }));
+      });
+    });
+  }
+
+  // A link bowed out to one side (-1 / 1) of the time axis, so it clears
+  // the lanes between its ends
+  function _sideLink(from, to, side) {
+    const h = _orientation === 'horizontal';
+    const bend = Math.max(40, Math.abs(h ? from.px - to.px : from.py - to.py) * 0.3) * side;
+    const [fx, fy, tx, ty] = h
+      ? [from.px, from.py + side * NODE_R, to.px, to.py + side * (NODE_R + 2)]
+      : [from.px + side * NODE_R, from.py, to.px + side * (NODE_R + 2), to.py];
+    return h
+      ? `M ${fx} ${fy} C ${fx} ${fy + bend}, ${tx} ${ty + bend}, ${tx} ${ty}`
+      : `M ${fx} ${fy} C ${fx + bend} ${fy}, ${tx + bend} ${ty}, ${tx} ${ty}`;
+  }
+
+  // refs: the branches, tags and remote refs at this commit (_refsBySha)
+  function _drawNode(g, node, commit, branches, tags, refs, HEAD, detached, branchColor) {
     const { px: x, py: y, sha, color, isHead, isMerge } = node;
 
+    if (commit.segment) { _drawSegment(g, node, commit); return; }
+    if (commit.pending) { _drawPendingMerge(g, x, y, commit); return; }
+    if (commit.stash)   { _drawStash(g, node, commit, branches, tags); return; }
+    if (node.conflicted) g.appendChild(_svgEl('circle', { cx: x, cy: y, r: NODE_R + 5, fill: 'none', stroke: 'var(--danger)', 'stroke-width': '1.5', 'stroke-dasharray': '3 2' }));
+
     g.appendChild(_svgEl('circle', { cx: x+1, cy: y+1, r: NODE_R+1, fill: 'rgba(0,0,0,0.5)' }));
 
     const circle = _svgEl('circle', {
@@ -925,43 +3752,95 @@ const GraphRenderer = (() => {
     if (commit.cherryPicked || commit.rebased) {
       g.appendChild(_svgEl('circle', { cx: x+NODE_R-2, cy: y-NODE_R+2, r: 4, fill: commit.cherryPicked ? 'var(--branch-3)' : 'var(--branch-2)', stroke: 'var(--bg-base)', 'stroke-width': '1.5' }));
     }
+    // A revert is drawn hollow with an undo arrow: it adds a commit that
+    // takes an earlier one back out
+    if (commit.isRevert) {
+      circle.setAttribute('fill', 'var(--bg-base)');
+      circle.setAttribute('stroke', isHead ? '#ffffff' : color);
+      circle.setAttribute('stroke-width', '2.5');
+      g.appendChild(_svgEl('text', { x, y: y+5, 'text-anchor': 'middle', 'font-size': '14', 'font-weight': '700', fill: 'var(--danger)', 'pointer-events': 'none' }, '↺'));
+    }
 
     let labelY = y - NODE_R - LABEL_GAP;
-    const branchesHere = Object.entries(branches).filter(([,s]) => s === sha).map(([n]) => n);
-    const tagsHere     = Object.entries(tags).filter(([,s]) => s === sha).map(([n]) => n);
-    // NEW: find which remote tracking refs point to this commit
-    const remoteHere   = Object.entries(remote).filter(([,s]) => s === sha).map(([n]) => `origin/${n}`);
+    const { branches: branchesHere, tags: tagsHere, remote: remoteHere } = refs;
 
-    if (detached && HEAD === sha) { _badge(g, x, labelY, 'HEAD', '#fff', 'rgba(255,255,255,0.12)', 'rgba(255,255,255,0.3)'); labelY -= 22; }
+    if (detached && HEAD === sha) { _badge(g, x, labelY, 'HEAD', '#fff', 'rgba(255,255,255,0.12)', 'rgba(255,255,255,0.3)', 'HEAD'); labelY -= 22; }
 
     branchesHere.forEach(name => {
       const isCurrent = !detached && name === HEAD;
       const bc = `var(${branchColor(name)})`;
-      if (isCurrent) { _badge(g, x, labelY, 'HEAD →', '#fff', 'rgba(255,255,255,0.12)', 'rgba(255,255,255,0.25)'); labelY -= 22; }
-      _badge(g, x, labelY, name, isCurrent ? '#0d1117' : bc, isCurrent ? bc : 'var(--bg-elevated)', bc);
+      if (isCurrent) { _badge(g, x, labelY, 'HEAD →', '#fff', 'rgba(255,255,255,0.12)', 'rgba(255,255,255,0.25)', 'HEAD'); labelY -= 22; }
+      _badge(g, x, labelY, name, isCurrent ? '#0d1117' : bc, isCurrent ? bc : 'var(--bg-elevated)', bc, `refs/heads/${name}`);
       labelY -= 22;
     });
 
     // NEW: render origin/ badges in red, like real git log
     remoteHere.forEach(name => {
-      _badge(g, x, labelY, name, '#ff7b72', 'rgba(255,123,114,0.12)', 'rgba(255,123,114,0.5)');
+      _badge(g, x, labelY, name, '#ff7b72', 'rgba(255,123,114,0.12)', 'rgba(255,123,114,0.5)', `refs/remotes/${name}`);
       labelY -= 22;
     });
 
-    tagsHere.forEach(name => { _badge(g, x, labelY, `🏷 ${name}`, 'var(--warning)', 'var(--bg-elevated)', 'var(--warning)'); labelY -= 22; });
+    tagsHere.forEach(name => { _badge(g, x, labelY, `🏷 ${name}`, 'var(--warning)', 'var(--bg-elevated)', 'var(--warning)', `refs/tags/${name}`); labelY -= 22; });
 
     g.appendChild(_svgEl('text', { x, y: y+NODE_R+16, 'text-anchor': 'middle', 'font-family': 'JetBrains Mono,monospace', 'font-size': '11', fill: 'var(--text-muted)' }, sha.slice(0,7)));
-    const msg = commit.message.length > 22 ? commit.message.slice(0,21)+'…' : commit.message;
+    const subject = commit.message.split('\n')[0];
+    const msg = subject.length > 22 ? subject.slice(0,21)+'…' : subject;
     g.appendChild(_svgEl('text', { x, y: y+NODE_R+30, 'text-anchor': 'middle', 'font-family': 'JetBrains Mono,monospace', 'font-size': '11', fill: 'var(--text-secondary)' }, msg));
   }
 
-  function _badge(g, cx, cy, text, fg, bg, border) {
+  // Stash commits are dashed squares off to the side of their base: the
+  // WIP commit carries its stash@{n} label, the index commit is smaller
+  function _drawStash(g, node, commit, branches, tags) {
+    const { px: x, py: y, sha } = node, wip = commit.stash === 'wip', r = wip ? NODE_R - 2 : NODE_R - 6;
+    const box = _svgEl('rect', {
+      x: x - r, y: y - r, width: r * 2, height: r * 2, rx: 3, ry: 3,
+      fill: 'var(--bg-elevated)', stroke: 'var(--text-secondary)', 'stroke-width': '1.5', 'stroke-dasharray': '3 2',
+      class: 'stash-node', style: 'cursor:pointer',
+    });
+    box.dataset.sha = sha;
+    box.addEventListener('click', e => { e.stopPropagation(); if (_onNodeClick) _onNodeClick(sha, commit, branches, tags); });
+    g.appendChild(box);
+    if (wip && node.stashRef) _badge(g, x, y - NODE_R - LABEL_GAP, node.stashRef, 'var(--text-secondary)', 'var(--bg-elevated)', 'var(--border)', node.stashRef);
+    g.appendChild(_svgEl('text', { x, y: y+NODE_R+16, 'text-anchor': 'middle', 'font-family': 'JetBrains Mono,monospace', 'font-size': '11', fill: 'var(--text-muted)' }, wip ? sha.slice(0,7) : 'index'));
+  }
+
+  // A folded run of plain commits; clicking it unfolds the run
+  function _drawSegment(g, node, commit) {
+    const { px: x, py: y } = node, n = commit.segment.length;
+    const pill = _svgEl('rect', {
+      x: x - 17, y: y - 11, width: 34, height: 22, rx: 11, ry: 11,
+      fill: 'var(--bg-elevated)', stroke: node.color, 'stroke-width': '1.5', 'stroke-dasharray': '3 2',
+      class: 'segment-node', style: 'cursor:pointer',
+    });
+    pill.appendChild(_svgEl('title', {}, `Show the ${n} folded commits`));
+    pill.addEventListener('click', e => { e.stopPropagation(); _expanded.add(commit.segment[n - 1]); render(..._scene.args); });
+    g.appendChild(pill);
+    g.appendChild(_svgEl('text', { x, y: y+4, 'text-anchor': 'middle', 'font-size': '13', 'font-weight': '700', fill: 'var(--text-secondary)', 'pointer-events': 'none' }, '⋯'));
+    g.appendChild(_svgEl('text', { x, y: y+NODE_R+16, 'text-anchor': 'middle', 'font-family': 'JetBrains Mono,monospace', 'font-size': '11', fill: 'var(--text-muted)' }, `${n} commits`));
+  }
+
+  // The merge commit git will create once every conflict is resolved
+  function _drawPendingMerge(g, x, y, commit) {
+    const unresolved = commit.conflicts.length > 0;
+    const stroke = unresolved ? 'var(--danger)' : 'var(--success)';
+    g.appendChild(_svgEl('circle', { cx: x, cy: y, r: NODE_R, fill: 'var(--bg-base)', stroke, 'stroke-width': '2', 'stroke-dasharray': '3 3' }));
+    _badge(g, x, y - NODE_R - LABEL_GAP, 'MERGING', stroke, 'var(--bg-elevated)', stroke);
+    g.appendChild(_svgEl('text', { x, y: y+NODE_R+16, 'text-anchor': 'middle', 'font-family': 'JetBrains Mono,monospace', 'font-size': '11', fill: stroke }, commit.message));
+    commit.conflicts.slice(0, 3).forEach((p, i) => {
+      g.appendChild(_svgEl('text', { x, y: y+NODE_R+30+i*14, 'text-anchor': 'middle', 'font-family': 'JetBrains Mono,monospace', 'font-size': '11', fill: 'var(--text-secondary)' }, `✗ ${p}`));
+    });
+  }
+
+  // A badge for a ref (ref = its full name) gets a group of its own so the
+  // animator can slide it from commit to commit
+  function _badge(g, cx, cy, text, fg, bg, border, ref) {
     const w = text.length * 7 + 14, h = 17;
+    if (ref) g = g.appendChild(_svgEl('g', { 'data-ref': ref, 'data-x': cx, 'data-y': cy }));
     g.appendChild(_svgEl('rect', { x: cx-w/2, y: cy-h/2, width: w, height: h, rx: 3, ry: 3, fill: bg, stroke: border, 'stroke-width': '1' }));
     g.appendChild(_svgEl('text', { x: cx, y: cy+5.5, 'text-anchor': 'middle', 'font-family': 'JetBrains Mono,monospace', 'font-size': '10.5', 'font-weight': '600', fill: fg }, text));
   }
 
-  return { render, setScale, getScale, onNodeClick };
+  return { render, setScale, getScale, onNodeClick, setSplit, isSplit, setOrientation, getOrientation, setOrdering, getOrdering, setSpeed, getSpeed, setMotion, getMotion, showTransfer, attach, zoomAt, focus, exportSvg, setMarks, repaint };
 
 })();
 
@@ -973,7 +3852,7 @@ const GraphRenderer = (() => {
 const Terminal = (() => {
 
   const MAX_HISTORY = 100;
-  let _out = null, _in = null, _history = [], _hi = -1, _cb = null;
+  let _out = null, _in = null, _history = [], _hi = -1, _cb = null, _current = null;
 
   function init(outputEl, inputEl, onCommand) {
     _out = outputEl; _in = inputEl; _cb = onCommand;
@@ -1005,105 +3884,1769 @@ const Terminal = (() => {
     }
   }
 
-  function _autocomplete() {
-    const val = _in.value;
-    const completions = ['git init','git commit -m ""','git branch','git branch -a','git checkout','git checkout -b','git merge','git rebase','git cherry-pick','git reset --hard HEAD~1','git stash','git stash pop','git log','git log --graph','git status','git push','git pull','git tag','help','clear'];
-    const matches = completions.filter(c => c.startsWith(val));
-    if (matches.length === 1) _in.value = matches[0];
-    else if (matches.length > 1) printLines([{ text: matches.join('   '), cls: 'muted' }]);
+  function _autocomplete() {
+    const val = _in.value;
+    const completions = ['git init','git commit -m ""','git branch','git branch -a','git branch -r','git branch -d','git branch -D','git branch -m','git branch -f','git checkout','git checkout -b','git merge','git merge --abort','git merge --continue','git rebase','git rebase -i','git rebase --continue','git rebase --abort','git commit --amend','git cherry-pick','git reset --soft HEAD~1','git reset --mixed HEAD~1','git reset --hard HEAD~1','git revert','git revert -m 1','git stash','git stash -m','git stash list','git stash show','git stash apply','git stash pop','git stash drop','git stash branch','git log','git log --oneline','git log --oneline --graph --all','git log --graph','git log --first-parent','git log --reverse','git log --since=','git log --grep=','git log --author=','git config user.name','git config user.email','git config --list','git reflog','git reset --hard HEAD@{1}','git status','git add .','git rm','git restore','git restore --staged','git diff','git diff --staged','git push','git push --force-with-lease','git pull','git pull --rebase','git fetch','git remote -v','git remote add','teammate','git tag','git tag -a','git tag -d','git tag -l','touch','echo','cat','ls','undo','redo','save','load','sessions','export','export sh','export sh --history','export fast-import','import','import git','share','goto','show','record start','record stop','animate','seed','lessons','lesson','lesson next','lesson restart','lesson exit','hint','help','clear'];
+    const matches = completions.filter(c => c.startsWith(val));
+    if (matches.length === 1) _in.value = matches[0];
+    else if (matches.length > 1) printLines([{ text: matches.join('   '), cls: 'muted' }]);
+  }
+
+  function printCommand(raw) {
+    const div = document.createElement('div');
+    div.className = 'output-divider';
+    _out.appendChild(div);
+
+    const entry = document.createElement('div');
+    entry.className = 'output-entry';
+    const line = document.createElement('div');
+    line.className = 'output-cmd';
+    line.textContent = raw;
+    entry.appendChild(line);
+    _out.appendChild(entry);
+    _scroll();
+    return line;
+  }
+
+  // Marks the command line the history timeline is showing (null clears)
+  function highlight(lineEl) {
+    if (_current) _current.classList.remove('output-cmd--current');
+    _current = lineEl && lineEl.isConnected ? lineEl : null;
+    if (_current) { _current.classList.add('output-cmd--current'); _current.scrollIntoView({ block: 'nearest' }); }
+  }
+
+  function printLines(lines) {
+    if (!lines || !lines.length) return;
+    const entry = document.createElement('div');
+    entry.className = 'output-entry';
+    lines.forEach(l => {
+      if (l.spacer) { const sp = document.createElement('div'); sp.className = 'output-spacer'; entry.appendChild(sp); return; }
+      const d = document.createElement('div');
+      d.className = `output-line${l.cls ? ' '+l.cls : ''}`;
+      // Lines may come in coloured parts (git log's SHAs, refs and lanes)
+      if (l.parts) l.parts.forEach(p => { const span = document.createElement('span'); if (p.cls) span.className = p.cls; span.textContent = p.text; d.appendChild(span); });
+      else d.textContent = l.text;
+      entry.appendChild(d);
+    });
+    _out.appendChild(entry);
+    _scroll();
+  }
+
+  function clear() {
+    const w = _out.querySelector('.terminal-welcome');
+    _out.innerHTML = '';
+    if (w) _out.appendChild(w);
+  }
+
+  function _scroll() { _out.scrollTop = _out.scrollHeight; }
+  function focus()   { _in.focus(); }
+
+  function getHistory() { return _history.slice(); }
+  function setHistory(list) { _history = list.slice(0, MAX_HISTORY); _hi = -1; }
+
+  return { init, printCommand, printLines, highlight, clear, focus, getHistory, setHistory };
+
+})();
+
+
+/* ============================================================
+   SECTION 5 — DETAIL PANEL (click-on-node)
+   ============================================================ */
+
+const DetailPanel = (() => {
+
+  let _el = null;
+
+  function init() {
+    _el = document.getElementById('detail-panel');
+    document.getElementById('detail-close').addEventListener('click', hide);
+    document.getElementById('graph-viewport').addEventListener('click', e => {
+      if (e.target.tagName !== 'circle') hide();
+    });
+  }
+
+  function show(sha, commit, branches, tags) {
+    if (!_el) return;
+    const branchesHere = Object.entries(branches).filter(([,s]) => s === sha).map(([n]) => n);
+    const tagsHere     = Object.entries(tags).filter(([,s]) => s === sha).map(([n]) => n);
+    const date = _date(commit.timestamp);
+
+    document.getElementById('detail-sha').textContent      = sha;
+    document.getElementById('detail-message').textContent  = commit.message;
+    document.getElementById('detail-author').textContent   = commit.author || '—';
+    document.getElementById('detail-date').textContent     = date;
+    document.getElementById('detail-parents').textContent  = commit.parents.length ? commit.parents.map(p => p.slice(0,7)).join(', ') : '(root commit)';
+    document.getElementById('detail-branches').textContent = branchesHere.length ? branchesHere.join(', ') : '—';
+    document.getElementById('detail-tags').textContent     = tagsHere.length ? tagsHere.join(', ') : '—';
+    const annotated = tagsHere.map(GitState.getTag).filter(t => t && t.annotated);
+    document.getElementById('detail-annotation-row').hidden = !annotated.length;
+    document.getElementById('detail-annotation').textContent = annotated.map(t => `${t.name} — ${t.tagger}, ${_date(t.timestamp)}\n${t.message}`).join('\n\n');
+    document.getElementById('detail-files').textContent    = _fileChanges(commit);
+    document.getElementById('detail-reflog').textContent   = _reflogSelectors(sha);
+
+    const typeEl = document.getElementById('detail-type');
+    if      (commit.isMerge)      { typeEl.textContent = 'merge commit';   typeEl.className = 'detail-type detail-type--merge'; }
+    else if (commit.rebased)      { typeEl.textContent = 'rebased';        typeEl.className = 'detail-type detail-type--rebase'; }
+    else if (commit.cherryPicked) { typeEl.textContent = 'cherry-picked';  typeEl.className = 'detail-type detail-type--cherry'; }
+    else if (commit.stash)        { typeEl.textContent = commit.stash === 'wip' ? 'stash (WIP)' : 'stash (index)'; typeEl.className = 'detail-type detail-type--stash'; }
+    else if (commit.isRevert)     { typeEl.textContent = `revert of ${commit.revertedSha.slice(0,7)}`; typeEl.className = 'detail-type detail-type--revert'; }
+    else                          { typeEl.textContent = 'commit';         typeEl.className = 'detail-type'; }
+
+    _el.classList.remove('hidden');
+  }
+
+  function _date(timestamp) {
+    return new Date(timestamp).toLocaleString('en-US', { month:'short', day:'numeric', year:'numeric', hour:'2-digit', minute:'2-digit' });
+  }
+
+  // Files touched relative to the first parent, e.g. "+ a.txt  ~ b.txt"
+  function _fileChanges(commit) {
+    const tree = commit.tree || {};
+    const parentCommit = commit.parents.length ? GitState.getCommit(commit.parents[0]) : null;
+    const parent = (parentCommit && parentCommit.tree) || {};
+    const marks = [...new Set([...Object.keys(parent), ...Object.keys(tree)])].sort()
+      .filter(p => parent[p] !== tree[p])
+      .map(p => `${parent[p] === undefined ? '+' : tree[p] === undefined ? '−' : '~'} ${p}`);
+    return marks.length ? marks.join('  ') : '(no file changes)';
+  }
+
+  // Reflog selectors naming this commit, e.g. "HEAD@{2}, master@{1}"
+  function _reflogSelectors(sha) {
+    const { reflog } = GitState.snapshot();
+    const hits = [];
+    Object.entries(reflog).forEach(([ref, entries]) => entries.forEach((e, n) => { if (e.sha === sha) hits.push(`${ref}@{${n}}`); }));
+    return hits.length ? hits.slice(0, 6).join(', ') + (hits.length > 6 ? ` +${hits.length - 6}` : '') : '—';
+  }
+
+  function hide() { if (_el) _el.classList.add('hidden'); }
+
+  return { init, show, hide };
+
+})();
+
+
+/* ============================================================
+   SECTION 6 — THREE TREES PANEL (working tree / index / HEAD)
+   ============================================================ */
+
+const TreePanel = (() => {
+
+  let _el = null;
+
+  function init() { _el = document.getElementById('tree-strip'); }
+
+  function render(snapshot) {
+    if (!_el) return;
+    const { initialized, commits, branches, HEAD, detached, index, workdir, merging } = snapshot;
+    if (!initialized) { _el.hidden = true; return; }
+    const headSha  = detached ? HEAD : branches[HEAD];
+    const headTree = (headSha && commits[headSha] && commits[headSha].tree) || {};
+    const paths = [...new Set([...Object.keys(workdir), ...Object.keys(index), ...Object.keys(headTree)])].sort();
+    _el.hidden = paths.length === 0;
+    _el.innerHTML = '';
+
+    // A file's state in each column decides its colour: same as the tree to
+    // its right (clean), changed, new, or gone
+    const columns = [
+      { title: 'Working tree', tree: workdir,  next: index },
+      { title: 'Index',        tree: index,    next: headTree },
+      { title: 'HEAD',         tree: headTree, next: headTree },
+    ];
+    columns.forEach(col => {
+      const colEl = document.createElement('div');
+      colEl.className = 'tree-col';
+      const title = document.createElement('div');
+      title.className = 'tree-col-title';
+      title.textContent = col.title;
+      colEl.appendChild(title);
+      paths.forEach(p => {
+        const here = col.tree[p], there = col.next[p];
+        const row = document.createElement('div');
+        let state = 'clean';
+        if (here === undefined && there === undefined) state = 'absent';
+        else if (here === undefined) state = 'deleted';
+        else if (there === undefined) state = 'added';
+        else if (here !== there) state = 'modified';
+        if (col.tree === workdir && merging && merging.conflicts[p]) state = 'conflict';
+        row.className = `tree-file tree-file--${state}`;
+        row.textContent = p;
+        row.title = here === undefined ? `${p} (not present)` : here || '(empty file)';
+        colEl.appendChild(row);
+      });
+      _el.appendChild(colEl);
+    });
+  }
+
+  return { init, render };
+
+})();
+
+
+/* ============================================================
+   SECTION 7 — INTERACTIVE REBASE TODO EDITOR
+   ============================================================ */
+
+const RebaseEditor = (() => {
+
+  const ACTIONS = ['pick', 'reword', 'edit', 'squash', 'fixup', 'drop'];
+  let _el = null, _listEl = null, _plan = null, _onStart = null, _dragIdx = null;
+
+  function init(onStart) {
+    _onStart = onStart;
+    _el     = document.getElementById('rebase-panel');
+    _listEl = document.getElementById('rebase-todo');
+    document.getElementById('rebase-cancel').addEventListener('click', close);
+    document.getElementById('rebase-start-btn').addEventListener('click', _start);
+  }
+
+  function open(plan) {
+    _plan = { ...plan, todo: plan.todo.map(step => ({ ...step, original: step.message })) };
+    document.getElementById('rebase-title').textContent = `rebase -i ${plan.ontoName}`;
+    _render();
+    _el.classList.remove('hidden');
+  }
+
+  function close() { if (_el) _el.classList.add('hidden'); _plan = null; }
+  function isOpen() { return !!_plan; }
+
+  function _render() {
+    _listEl.innerHTML = '';
+    _plan.todo.forEach((step, i) => {
+      const li = document.createElement('li');
+      li.className = `rebase-step rebase-step--${step.action}`;
+      li.draggable = true;
+      li.tabIndex = 0;
+      li.title = 'Drag (or Alt+↑/↓) to reorder';
+
+      const handle = document.createElement('span');
+      handle.className = 'rebase-handle';
+      handle.textContent = '⋮⋮';
+
+      const select = document.createElement('select');
+      select.className = 'rebase-action';
+      ACTIONS.forEach(a => { const o = document.createElement('option'); o.value = o.textContent = a; select.appendChild(o); });
+      select.value = step.action;
+      select.addEventListener('change', () => { step.action = select.value; _render(); });
+
+      const sha = document.createElement('code');
+      sha.className = 'rebase-sha';
+      sha.textContent = step.sha.slice(0, 7);
+
+      // Only reword and squash take a new message
+      const msg = document.createElement('input');
+      msg.className = 'rebase-msg';
+      msg.value = step.message;
+      msg.readOnly = step.action !== 'reword' && step.action !== 'squash';
+      msg.addEventListener('input', () => { step.message = msg.value; });
+
+      li.append(handle, select, sha, msg);
+      li.addEventListener('dragstart', e => { _dragIdx = i; li.classList.add('dragging'); e.dataTransfer.effectAllowed = 'move'; });
+      li.addEventListener('dragend',   () => { _dragIdx = null; li.classList.remove('dragging'); });
+      li.addEventListener('dragover',  e => { e.preventDefault(); li.classList.add('drop-target'); });
+      li.addEventListener('dragleave', () => li.classList.remove('drop-target'));
+      li.addEventListener('drop',      e => { e.preventDefault(); if (_dragIdx !== null) _move(_dragIdx, i); });
+      li.addEventListener('keydown',   e => {
+        if (!e.altKey || (e.key !== 'ArrowUp' && e.key !== 'ArrowDown')) return;
+        e.preventDefault();
+        const to = e.key === 'ArrowUp' ? i - 1 : i + 1;
+        if (to >= 0 && to < _plan.todo.length) { _move(i, to); _listEl.children[to].focus(); }
+      });
+      _listEl.appendChild(li);
+    });
+    const first = _plan.todo.find(step => step.action !== 'drop');
+    const invalid = first && (first.action === 'squash' || first.action === 'fixup');
+    document.getElementById('rebase-hint').textContent = invalid
+      ? `cannot ${first.action} without a previous commit`
+      : 'top runs first · drag to reorder';
+    document.getElementById('rebase-hint').classList.toggle('error', !!invalid);
+    document.getElementById('rebase-start-btn').disabled = !!invalid;
+  }
+
+  function _move(from, to) {
+    const [step] = _plan.todo.splice(from, 1);
+    _plan.todo.splice(to, 0, step);
+    _render();
+  }
+
+  function _start() {
+    if (!_plan || !_onStart) return;
+    const plan = { ..._plan, todo: _plan.todo.map(({ action, sha, message, original }) => ({ action, sha, message: action === 'squash' && message === original ? undefined : message })) };
+    close();
+    _onStart(plan);
+  }
+
+  return { init, open, close, isOpen };
+
+})();
+
+
+/* ============================================================
+   SECTION 8 — HISTORY TIMELINE (undo / redo)
+   ============================================================ */
+
+const Timeline = (() => {
+
+  // Characters of snapshot JSON kept: a few hundred steps of a small repo,
+  // a couple of dozen of one with thousands of commits. Oldest go first.
+  const MAX_SIZE = 32 * 1024 * 1024;
+  // Each step: { command, json: serialized snapshot, lineEl: terminal line }
+  let _steps = [], _pos = 0, _size = 0, _onChange = null;
+  let _el = null, _slider = null, _label = null, _undoBtn = null, _redoBtn = null;
+
+  function init(onChange) {
+    _onChange = onChange;
+    _el      = document.getElementById('timeline');
+    _slider  = document.getElementById('timeline-slider');
+    _label   = document.getElementById('timeline-label');
+    _undoBtn = document.getElementById('timeline-undo');
+    _redoBtn = document.getElementById('timeline-redo');
+    _slider.addEventListener('input', () => go(parseInt(_slider.value, 10)));
+    _undoBtn.addEventListener('click', () => undo());
+    _redoBtn.addEventListener('click', () => redo());
+    reset();
+  }
+
+  // Starts a fresh timeline whose first step is the current repository
+  function reset() {
+    _steps = [{ command: null, json: _serialize(), lineEl: null }];
+    _pos = 0;
+    _size = _steps[0].json.length;
+    _sync();
+  }
+
+  // Records the state after `command`; commands that changed nothing (git
+  // log, git status…) add no step. Recording after an undo drops the redo
+  // branch, as in any editor.
+  function record(command, lineEl) {
+    const json = _serialize();
+    if (json === _steps[_pos].json) return false;
+    _steps.splice(_pos + 1).forEach(s => { _size -= s.json.length; });
+    _steps.push({ command, json, lineEl });
+    _size += json.length;
+    // The oldest step kept becomes the start, as after reset()
+    while (_size > MAX_SIZE && _steps.length > 2) {
+      _size -= _steps.shift().json.length;
+      Object.assign(_steps[0], { command: null, lineEl: null });
+    }
+    _pos = _steps.length - 1;
+    _sync();
+    return true;
+  }
+
+  function go(i) {
+    i = Math.max(0, Math.min(_steps.length - 1, i));
+    if (i === _pos) return null;
+    GitState.load(JSON.parse(_steps[i].json));
+    _pos = i;
+    _sync();
+    if (_onChange) _onChange();
+    return _steps[i];
+  }
+
+  // undo / redo move `n` steps; they return the commands stepped over
+  // (oldest first), or an empty list at either end of the timeline
+  function undo(n = 1) {
+    const from = _pos;
+    if (!go(_pos - n)) return [];
+    return _steps.slice(_pos + 1, from + 1).map(s => s.command);
+  }
+
+  function redo(n = 1) {
+    const from = _pos;
+    if (!go(_pos + n)) return [];
+    return _steps.slice(from + 1, _pos + 1).map(s => s.command);
+  }
+
+  // The steps up to the current one as [{ command, state }], oldest first;
+  // the first has no command and holds the repository they started from
+  function steps() {
+    return _steps.slice(0, _pos + 1).map(s => ({ command: s.command, state: JSON.parse(s.json) }));
+  }
+
+  function _serialize() { return JSON.stringify(GitState.snapshot()); }
+
+  function _sync() {
+    if (!_el) return;
+    const last = _steps.length - 1, step = _steps[_pos];
+    _el.hidden = last < 1;
+    _slider.max = last;
+    _slider.value = _pos;
+    _label.textContent = `${_pos}/${last} · ${step.command || 'start'}`;
+    _undoBtn.disabled = _pos === 0;
+    _redoBtn.disabled = _pos === last;
+    Terminal.highlight(_pos < last ? step.lineEl : null);
+  }
+
+  return { init, reset, record, go, undo, redo, steps };
+
+})();
+
+
+/* ============================================================
+   SECTION 9 — SESSION STORAGE (localStorage)
+   ============================================================ */
+
+const Session = (() => {
+
+  const VERSION = 1;
+  const AUTOSAVE_KEY = 'gitviz:autosave';
+  const BEHIND_KEY   = 'gitviz:autosave:behind';   // set while newer work could not be autosaved
+  const SLOT_PREFIX  = 'gitviz:session:';
+  const PREFS_KEY    = 'gitviz:prefs';
+  const LESSONS_KEY  = 'gitviz:lessons';
+
+  // localStorage can be missing or throw (private mode, file:// in some
+  // browsers); the app then simply runs without persistence
+  function _storage() {
+    try { return window.localStorage || null; } catch (e) { return null; }
+  }
+
+  function _payload() {
+    return { version: VERSION, savedAt: Date.now(), state: GitState.snapshot(), history: Terminal.getHistory() };
+  }
+
+  function _write(key) {
+    const store = _storage();
+    if (!store) throw new Error('localStorage is not available in this browser');
+    const payload = _payload();
+    store.setItem(key, JSON.stringify(payload));
+    return payload.savedAt;
+  }
+
+  function _read(key) {
+    const store = _storage(), raw = store && store.getItem(key);
+    if (!raw) return null;
+    const data = JSON.parse(raw);
+    if (data.version !== VERSION) throw new Error(`unsupported session format (version ${data.version})`);
+    return data;
+  }
+
+  function _apply(data) {
+    GitState.load(data.state);
+    Terminal.setHistory(data.history || []);
+  }
+
+  let _saving = true;     // false once an autosave failed, until one works again
+  let _savedAt = null;    // time of the autosave a reload would bring back
+
+  // Called after every render. A failure keeps the last good autosave, marks
+  // it as behind and is announced once ('autosave_failed', { reason, savedAt })
+  function autosave() {
+    try {
+      _savedAt = _write(AUTOSAVE_KEY);
+      _storage().removeItem(BEHIND_KEY);
+      _saving = true;
+    } catch (e) {
+      if (!_saving) return;
+      _saving = false;
+      try { _storage().setItem(BEHIND_KEY, '1'); } catch (err) { /* the warning below still says it */ }
+      const full = e.name === 'QuotaExceededError' || e.code === 22;
+      EventBus.emit('autosave_failed', { reason: full ? 'the repository no longer fits in browser storage' : e.message, savedAt: _savedAt });
+    }
+  }
+
+  // Restores the last autosave as { savedAt, behind }, behind when later
+  // commands could not be saved; false when there is none or it is unusable
+  function restore() {
+    try {
+      const data = _read(AUTOSAVE_KEY);
+      if (!data) return false;
+      _apply(data);
+      _savedAt = data.savedAt;
+      return { savedAt: data.savedAt, behind: _storage().getItem(BEHIND_KEY) !== null };
+    } catch (e) { return false; }
+  }
+
+  function save(name) { _write(SLOT_PREFIX + name); }
+
+  function load(name) {
+    const data = _read(SLOT_PREFIX + name);
+    if (!data) throw new Error(`no saved session named '${name}'`);
+    _apply(data);
+    return data;
+  }
+
+  function remove(name) {
+    const store = _storage();
+    if (!store || store.getItem(SLOT_PREFIX + name) === null) throw new Error(`no saved session named '${name}'`);
+    store.removeItem(SLOT_PREFIX + name);
+  }
+
+  // [{ name, savedAt, commits }] sorted by name; unreadable slots are skipped
+  function list() {
+    const store = _storage();
+    if (!store) return [];
+    const result = [];
+    for (let i = 0; i < store.length; i++) {
+      const key = store.key(i);
+      if (!key.startsWith(SLOT_PREFIX)) continue;
+      try {
+        const data = _read(key);
+        result.push({ name: key.slice(SLOT_PREFIX.length), savedAt: data.savedAt, commits: Object.keys(data.state.commits || {}).length });
+      } catch (e) { /* skip */ }
+    }
+    return result.sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  // View preferences ({ speed, motion }); like autosave, never throws
+  function prefs() {
+    try { return JSON.parse(_storage().getItem(PREFS_KEY)) || {}; } catch (e) { return {}; }
+  }
+
+  function setPrefs(changes) {
+    try { _storage().setItem(PREFS_KEY, JSON.stringify({ ...prefs(), ...changes })); } catch (e) { /* not remembered */ }
+  }
+
+  // Lesson progress ({ done: ['course/lesson', …], active: { id, step } }); never throws either
+  function progress() {
+    try { return JSON.parse(_storage().getItem(LESSONS_KEY)) || {}; } catch (e) { return {}; }
+  }
+
+  function setProgress(changes) {
+    try { _storage().setItem(LESSONS_KEY, JSON.stringify({ ...progress(), ...changes })); } catch (e) { /* not remembered */ }
+  }
+
+  return { autosave, restore, save, load, remove, list, prefs, setPrefs, progress, setProgress };
+
+})();
+
+
+/* ============================================================
+   SECTION 10 — IMPORT / EXPORT (JSON files and share links)
+   ============================================================ */
+
+const Transfer = (() => {
+
+  const FORMAT  = 'git-command-visualizer';
+  const VERSION = 1;
+
+  // { format, version, exportedAt, state, history? } — the state is a plain
+  // GitState.snapshot(), so anything load() accepts round-trips
+  function toDocument(withHistory) {
+    const doc = { format: FORMAT, version: VERSION, exportedAt: new Date().toISOString(), state: GitState.snapshot() };
+    if (withHistory) doc.history = Terminal.getHistory();
+    return JSON.parse(JSON.stringify(doc));
+  }
+
+  // Checks the envelope; GitState.load applies the repository invariants
+  function fromDocument(doc) {
+    if (!doc || typeof doc !== 'object' || doc.format !== FORMAT) throw new Error('not a Git Command Visualizer export');
+    if (typeof doc.version !== 'number' || doc.version > VERSION) throw new Error(`unsupported export version '${doc.version}'`);
+    GitState.load(doc.state);
+    if (Array.isArray(doc.history)) Terminal.setHistory(doc.history.filter(h => typeof h === 'string'));
+    return doc;
+  }
+
+  function parse(text) {
+    let doc;
+    try { doc = JSON.parse(text); } catch (e) { throw new Error(`not valid JSON (${e.message})`); }
+    return fromDocument(doc);
+  }
+
+  function download(withHistory) {
+    const blob = new Blob([JSON.stringify(toDocument(withHistory), null, 2)], { type: 'application/json' });
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = `git-visualizer-${new Date().toISOString().slice(0, 10)}.json`;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(a.href), 0);
+    return a.download;
+  }
+
+  // Share links carry the export deflated and base64url-encoded in the
+  // fragment, so the state never reaches a server
+  async function toUrl() {
+    const payload = await _deflate(JSON.stringify(toDocument(false)));
+    return `${location.origin}${location.pathname}#state=${payload}`;
+  }
+
+  // Resolves to the imported document, or null when `hash` holds no state
+  async function fromHash(hash) {
+    const m = /^#state=([A-Za-z0-9_-]+)$/.exec(hash);
+    if (!m) return null;
+    return parse(await _inflate(m[1]));
+  }
+
+  async function _deflate(text) {
+    if (typeof CompressionStream === 'undefined') throw new Error('this browser cannot compress share links');
+    const bytes = await _pipe(new TextEncoder().encode(text), new CompressionStream('deflate-raw'));
+    let bin = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  async function _inflate(payload) {
+    if (typeof DecompressionStream === 'undefined') throw new Error('this browser cannot read share links');
+    let bin;
+    try { bin = atob(payload.replace(/-/g, '+').replace(/_/g, '/')); } catch (e) { throw new Error('the link is damaged (bad encoding)'); }
+    const bytes = Uint8Array.from(bin, ch => ch.charCodeAt(0));
+    try { return new TextDecoder().decode(await _pipe(bytes, new DecompressionStream('deflate-raw'))); }
+    catch (e) { throw new Error('the link is damaged (cannot decompress)'); }
+  }
+
+  async function _pipe(bytes, stream) {
+    const res = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+    return new Uint8Array(await res.arrayBuffer());
+  }
+
+  return { toDocument, fromDocument, parse, download, toUrl, fromHash };
+
+})();
+
+
+/* ============================================================
+   SECTION 11 — HISTORY IMPORT (git log / fast-export output)
+   ============================================================ */
+
+// Builds the repository from a real project's history. Two kinds of output
+// are read:
+//
+//   git log --all --decorate=full --format='%H %P %d %s'
+//   git fast-export --all --show-original-ids
+//
+// The log gives the shape: SHAs, parents, refs and subjects. The stream
+// also carries authors, dates, whole messages and files. parse() needs no
+// DOM; open() shows the paste / upload dialog.
+const HistoryImport = (() => {
+
+  const MAX_PROBLEMS = 200;          // reported lines; any beyond are only counted
+  const LOG_STEP     = 60 * 1000;    // log lines have no dates: a minute apart, oldest first
+  const REMOTES      = ['origin', 'upstream'];   // short names that are remotes even without <name>/HEAD
+
+  // parse(text) → { format, history, problems: [{ line, level, message }], more, skipped, counts }.
+  // `history` is what GitState.importHistory takes, or null when nothing
+  // could be read. 'error' lines were skipped; 'warning' lines were read
+  // with something left out.
+  function parse(text) {
+    const problems = [];
+    let more = 0, skipped = 0;
+    const report = (line, message, level = 'error') => {
+      if (level === 'error') skipped++;
+      if (problems.length < MAX_PROBLEMS) problems.push({ line, level, message });
+      else more++;
+    };
+    const first = text.split('\n').find(l => l.trim()) || '';
+    const format = /^(blob|commit refs\/|reset refs\/|tag \S|feature |option |progress )/.test(first) ? 'fast-export' : 'log';
+    const history = format === 'log' ? _log(text, report) : _fastExport(text, report);
+    if (!history.commits.length) {
+      if (!problems.length) report(1, 'no commits found');
+      return { format, history: null, problems, more, skipped, counts: null };
+    }
+    _defaultHead(history);
+    const counts = {
+      commits:  history.commits.length,
+      branches: Object.keys(history.branches).length,
+      tags:     Object.keys(history.tags).length,
+      remotes:  Object.keys(history.remotes).length,
+    };
+    return { format, history, problems, more, skipped, counts };
+  }
+
+  function _empty() { return { commits: [], branches: {}, tags: {}, annotations: {}, remotes: {}, stash: null, head: null, detached: false }; }
+
+  // Without a HEAD in the input, check out main, master or the first branch
+  function _defaultHead(h) {
+    if (h.head !== null) return;
+    const names = Object.keys(h.branches);
+    const name = ['main', 'master'].find(n => h.branches[n]) || names.sort()[0];
+    if (name) h.head = name;
+    else { h.head = h.commits[h.commits.length - 1].id; h.detached = true; }
+  }
+
+  function _clip(text) { return text.length > 60 ? `${text.slice(0, 57)}…` : text; }
+
+  /* ---------- git log --format='%H %P %d %s' ---------- */
+
+  // One decoration inside %d's parentheses
+  const DECORATION = /^(HEAD( -> \S+)?|tag: \S+|[^\s,()]+)$/;
+
+  function _log(text, report) {
+    const entries = [], byLine = new Map(), lines = text.split('\n');
+    const first = lines.findIndex(l => l.trim());
+    if (/^commit [0-9a-f]{4,}/.test(lines[first] || '')) {
+      report(first + 1, "this is plain `git log` output — run it with --format='%H %P %d %s'");
+      return _empty();
+    }
+    lines.forEach((raw, i) => {
+      const line = i + 1;
+      // --graph output works too: drop the lanes in front of each commit
+      if (/^[*|\\/ _.-]*\r?$/.test(raw)) return;
+      const s = raw.replace(/^[*|\\/ _.-]+(?=[0-9a-f]{4})/, '').replace(/\s+$/, '');
+      const m = /^([0-9a-f]{4,64})(?=\s|$)/.exec(s);
+      if (!m) {
+        report(line, `expected "<sha> <parents> (<refs>) <subject>", got "${_clip(s)}"`);
+        return;
+      }
+      const sha = m[1];
+      let rest = s.slice(sha.length);
+      // Full SHAs have full parents; abbreviated ones (%h %p) may differ in length
+      const parentRe = sha.length === 40 || sha.length === 64 ? new RegExp(`^ ([0-9a-f]{${sha.length}})(?=\\s|$)`) : /^ ([0-9a-f]{4,64})(?=\s|$)/;
+      const parents = [];
+      for (let p; (p = parentRe.exec(rest)); rest = rest.slice(p[0].length)) parents.push(p[1]);
+      let refs = [];
+      const d = /^\s+\(([^()]+)\)(?=\s|$)/.exec(rest);
+      if (d && d[1].split(', ').every(r => DECORATION.test(r))) { refs = d[1].split(', '); rest = rest.slice(d[0].length); }
+      if (byLine.has(sha)) { report(line, `commit ${sha.slice(0, 7)} is listed twice (first on line ${byLine.get(sha)})`); return; }
+      byLine.set(sha, line);
+      entries.push({ line, sha, parents, refs, subject: rest.trim() });
+    });
+
+    const h = _empty();
+    const known = new Set(entries.map(e => e.sha));
+    const find = p => known.has(p) ? p : (c => c.length === 1 ? c[0] : null)(entries.filter(e => e.sha.startsWith(p)).map(e => e.sha));
+    entries.forEach(e => {
+      e.parents = e.parents.filter(p => {
+        const sha = find(p);
+        if (!sha) report(e.line, `parent ${p.slice(0, 7)} is not in the input, so history starts at ${e.sha.slice(0, 7)} (like a shallow clone)`, 'warning');
+        return sha;
+      }).map(find);
+    });
+
+    // Remote-tracking refs look like branches with a slash unless the
+    // remote is known: full refnames, origin / upstream, or a <name>/HEAD
+    const remotes = new Set(REMOTES);
+    entries.forEach(e => e.refs.forEach(r => {
+      const m = /^(?:refs\/remotes\/)?([^/\s]+)\/HEAD$/.exec(r);
+      if (m) remotes.add(m[1]);
+    }));
+    entries.forEach(e => e.refs.forEach(r => _logRef(h, r, e, remotes, report)));
+
+    // Parents first, in the order git listed them (newest first) reversed.
+    // A parent already on the path would make a commit its own ancestor:
+    // git lists children before parents, so the loop's link from an older
+    // entry to a newer one is the bad one — it is dropped and the walk redone
+    const bySha = new Map(entries.map(e => [e.sha, e])), index = new Map(entries.map((e, i) => [e.sha, i]));
+    const walk = () => {
+      const done = new Set(), ordered = [];
+      for (const root of [...entries].reverse()) {
+        if (done.has(root.sha)) continue;
+        const stack = [[root, 0]], path = new Set([root.sha]);
+        while (stack.length) {
+          const top = stack[stack.length - 1], [e, n] = top;
+          if (n === e.parents.length) { done.add(e.sha); path.delete(e.sha); ordered.push(e); stack.pop(); continue; }
+          const p = e.parents[n];
+          if (path.has(p)) {
+            const loop = stack.slice(stack.findIndex(([c]) => c.sha === p)).map(([c, k], i, all) => [c, i === all.length - 1 ? n : k - 1]);
+            return { loop: loop.find(([c, k]) => index.get(c.parents[k]) <= index.get(c.sha)) };
+          }
+          top[1]++;
+          if (!done.has(p)) { path.add(p); stack.push([bySha.get(p), 0]); }
+        }
+      }
+      return { ordered };
+    };
+    let result;
+    while ((result = walk()).loop) {
+      const [e, k] = result.loop;
+      report(e.line, `commit ${e.sha.slice(0, 7)} is its own ancestor, so its parent ${e.parents[k].slice(0, 7)} is left out`, 'warning');
+      e.parents.splice(k, 1);
+    }
+    const { ordered } = result;
+    const start = Date.now() - ordered.length * LOG_STEP;
+    h.commits = ordered.map((e, i) => ({ id: e.sha, sha: e.sha, parents: e.parents, message: e.subject, timestamp: start + i * LOG_STEP }));
+    return h;
+  }
+
+  function _logRef(h, ref, e, remotes, report) {
+    const short = r => r.replace(/^refs\/(heads|tags)\//, '');
+    let m;
+    if (ref === 'HEAD') { h.head = e.sha; h.detached = true; }
+    else if ((m = /^HEAD -> (\S+)$/.exec(ref))) { h.head = short(m[1]); h.branches[h.head] = e.sha; }
+    else if ((m = /^tag: (\S+)$/.exec(ref)) || (m = /^refs\/tags\/(\S+)$/.exec(ref))) h.tags[short(m[1])] = e.sha;
+    else if (ref === 'refs/stash') h.stash = e.sha;
+    else if (ref === 'grafted' || ref === 'replaced') return;
+    else if ((m = /^refs\/remotes\/([^/]+)\/(.+)$/.exec(ref)) || ((m = /^([^/]+)\/(.+)$/.exec(ref)) && remotes.has(m[1]))) {
+      if (m[2] !== 'HEAD') (h.remotes[m[1]] = h.remotes[m[1]] || {})[m[2]] = e.sha;
+    }
+    else if (/^refs\//.test(ref) && !/^refs\/heads\//.test(ref)) report(e.line, `ref ${ref} is not a branch, tag or remote branch; left out`, 'warning');
+    else h.branches[short(ref)] = e.sha;
+  }
+
+  /* ---------- git fast-export ---------- */
+
+  // Reads the stream as bytes: `data <n>` counts bytes, not characters
+  function _fastExport(text, report) {
+    const bytes = new TextEncoder().encode(text), utf8 = new TextDecoder();
+    let pos = 0, line = 0;
+    const next = () => {
+      if (pos >= bytes.length) return null;
+      let end = bytes.indexOf(10, pos);
+      if (end < 0) end = bytes.length;
+      const s = utf8.decode(bytes.subarray(pos, end));
+      pos = end + 1; line++;
+      return s;
+    };
+    const peek = () => { const p = pos, l = line, s = next(); pos = p; line = l; return s; };
+    const opt = name => { const s = peek(); if (s === null || !s.startsWith(`${name} `)) return undefined; next(); return s.slice(name.length + 1); };
+    const data = () => {
+      const header = next();
+      let m = /^data (\d+)$/.exec(header || '');
+      if (m) {
+        const end = pos + Number(m[1]);
+        if (end > bytes.length) throw new Error('data runs past the end of the input');
+        const chunk = bytes.subarray(pos, end);
+        chunk.forEach(b => { if (b === 10) line++; });
+        pos = end;
+        if (bytes[pos] === 10) { pos++; line++; }
+        return utf8.decode(chunk);
+      }
+      if ((m = /^data <<(.+)$/.exec(header || ''))) {
+        const body = [];
+        for (let s; (s = next()) !== null && s !== m[1];) body.push(s);
+        return body.map(s => `${s}\n`).join('');
+      }
+      throw new Error(`expected "data <length>", got "${_clip(header || 'end of input')}"`);
+    };
+
+    const h = _empty();
+    const marks = {}, blobs = {}, tips = {}, byOid = {}, trees = {}, tagged = {};
+    const commitish = (ref, at) => {
+      if (ref.startsWith(':')) {
+        if (!marks[ref]) throw new Error(`mark ${ref} was never defined`);
+        return marks[ref];
+      }
+      if (/^[0-9a-f]{40}$|^[0-9a-f]{64}$/.test(ref)) {
+        if (byOid[ref]) return byOid[ref];
+        report(at, `parent ${ref.slice(0, 7)} is not in the stream, so history starts here (like a shallow clone)`, 'warning');
+        return null;
+      }
+      const tip = tips[ref] || tips[`refs/heads/${ref}`];
+      if (!tip) throw new Error(`'${ref}' is not a mark, SHA or ref written earlier`);
+      return tip;
+    };
+
+    for (let s; (s = next()) !== null;) {
+      const at = line, cmd = s.split(' ')[0];
+      try {
+        if (s === '' || ['feature', 'option', 'progress', 'checkpoint'].includes(cmd)) continue;
+        if (cmd === 'done') break;
+        if (s === 'blob') {
+          const mark = opt('mark');
+          opt('original-oid');
+          const content = data();
+          if (mark) blobs[mark] = content;
+        } else if (cmd === 'commit' && s.length > 7) {
+          const ref = s.slice(7);
+          const mark = opt('mark'), oid = opt('original-oid'), author = opt('author'), committer = opt('committer');
+          if (committer === undefined) throw new Error(`commit ${ref} has no "committer" line`);
+          opt('encoding');
+          const message = data().replace(/\n$/, '');
+          const from = opt('from'), parents = [];
+          if (from !== undefined) parents.push(commitish(from, at));
+          else if (tips[ref]) parents.push(tips[ref]);
+          for (let m; (m = opt('merge')) !== undefined;) parents.push(commitish(m, at));
+          const id = oid || mark || `line ${at}`;
+          const tree = { ...(parents[0] ? trees[parents[0]] : {}) };
+          _fileOps(tree, { next, peek, data, blobs, report: (message, level) => report(line, message, level) });
+          const who = _person(author === undefined ? committer : author), when = _person(committer);
+          if (!who || !when) throw new Error(`commit ${ref}: cannot read "${_clip(who ? committer : author)}" — expected "Name <email> <seconds> <zone>"`);
+          h.commits.push({ id, sha: oid || null, parents: parents.filter(p => p), message, author: who.name, timestamp: when.time, tree });
+          trees[id] = tree;
+          if (mark) marks[mark] = id;
+          if (oid) byOid[oid] = id;
+          tips[ref] = id;
+        } else if (cmd === 'tag' && s.length > 4) {
+          const name = s.slice(4);
+          opt('mark');
+          const from = opt('from');
+          opt('original-oid');
+          const tagger = opt('tagger'), message = data().replace(/\n$/, '');
+          if (from === undefined) throw new Error(`tag ${name} has no "from" line`);
+          const target = commitish(from, at), who = tagger === undefined ? null : _person(tagger);
+          if (target) {
+            tips[`refs/tags/${name}`] = target;
+            tagged[name] = { tagger: who ? who.name : 'unknown', message, timestamp: who ? who.time : Date.now() };
+          }
+        } else if (cmd === 'reset' && s.length > 6) {
+          const ref = s.slice(6), from = opt('from');
+          if (from === undefined) delete tips[ref];
+          else { const target = commitish(from, at); if (target) tips[ref] = target; }
+        } else {
+          report(at, `unsupported command "${_clip(s)}"`);
+        }
+      } catch (e) { report(at, e.message); }
+    }
+
+    Object.entries(tips).forEach(([ref, id]) => {
+      let m;
+      if ((m = /^refs\/heads\/(.+)$/.exec(ref))) h.branches[m[1]] = id;
+      else if ((m = /^refs\/tags\/(.+)$/.exec(ref))) { h.tags[m[1]] = id; if (tagged[m[1]]) h.annotations[m[1]] = tagged[m[1]]; }
+      else if ((m = /^refs\/remotes\/([^/]+)\/(.+)$/.exec(ref))) { if (m[2] !== 'HEAD') (h.remotes[m[1]] = h.remotes[m[1]] || {})[m[2]] = id; }
+      else if (ref === 'refs/stash') h.stash = id;
+      else report(0, `ref ${ref} is not a branch, tag or remote branch; left out`, 'warning');
+    });
+    return h;
+  }
+
+  // M / D / C / R / deleteall lines after a commit's message, up to the
+  // blank line (or next command) that ends it
+  function _fileOps(tree, { next, peek, data, blobs, report }) {
+    for (let s; (s = peek()) !== null;) {
+      if (s === '') { next(); return; }
+      let m;
+      if (s === 'deleteall') { next(); Object.keys(tree).forEach(p => delete tree[p]); }
+      else if ((m = /^M (\d{6}) (\S+) (.+)$/.exec(s))) {
+        next();
+        const [, mode, ref, path] = m;
+        if (ref === 'inline') tree[_path(path)] = data();
+        else if (mode === '160000') tree[_path(path)] = `Subproject commit ${ref}\n`;
+        else if (blobs[ref] !== undefined) tree[_path(path)] = blobs[ref];
+        else { tree[_path(path)] = ''; report(`blob ${ref} for ${_path(path)} is not in the stream; the file is left empty`, 'warning'); }
+      }
+      else if ((m = /^D (.+)$/.exec(s))) { next(); delete tree[_path(m[1])]; }
+      else if ((m = /^([CR]) (.+)$/.exec(s))) {
+        next();
+        const [from, to] = _twoPaths(m[2]);
+        if (tree[from] !== undefined) { tree[to] = tree[from]; if (m[1] === 'R') delete tree[from]; }
+      }
+      else if (/^N /.test(s)) { next(); if (/^N inline /.test(s)) data(); }
+      else return;
+    }
+  }
+
+  // "Name <email> 1700000000 +0100" → { name: 'Name <email>', time: ms }
+  function _person(text) {
+    const m = /^(.*?<[^>]*>) (\d+) [+-]\d{4}$/.exec(text || '');
+    return m ? { name: m[1], time: Number(m[2]) * 1000 } : null;
+  }
+
+  // Paths with special characters are C-quoted: "a\"b\303\251"
+  function _path(text) {
+    if (!text.startsWith('"')) return text;
+    const bytes = [];
+    for (let i = 1; i < text.length - 1; i++) {
+      const ch = text[i];
+      if (ch !== '\\') { bytes.push(...new TextEncoder().encode(ch)); continue; }
+      const esc = text[++i];
+      if (/[0-7]/.test(esc)) { bytes.push(parseInt(text.substr(i, 3), 8)); i += 2; }
+      else bytes.push({ n: 10, t: 9, r: 13, a: 7, b: 8, f: 12, v: 11 }[esc] || esc.charCodeAt(0));
+    }
+    return new TextDecoder().decode(new Uint8Array(bytes));
+  }
+
+  function _twoPaths(text) {
+    const m = text.startsWith('"') ? /^("(?:[^"\\]|\\.)*") (.+)$/.exec(text) : /^(\S+) (.+)$/.exec(text);
+    return m ? [_path(m[1]), _path(m[2])] : [_path(text), _path(text)];
+  }
+
+  /* ---------- dialog ---------- */
+
+  let _els = null, _result = null, _name = '', _timer = 0, _onImport = null;
+
+  function init(onImport) {
+    _onImport = onImport;
+    const $ = id => document.getElementById(id);
+    _els = { dialog: $('history-import'), text: $('history-import-text'), problems: $('history-import-problems'), summary: $('history-import-summary'), apply: $('history-import-apply'), file: $('history-import-file') };
+    if (!_els.dialog) return;
+    _els.text.addEventListener('input', () => { clearTimeout(_timer); _timer = setTimeout(_check, 250); });
+    _els.file.addEventListener('change', () => {
+      const file = _els.file.files[0];
+      if (file) file.text().then(text => open(text, file.name));
+      _els.file.value = '';
+    });
+    _els.apply.addEventListener('click', _apply);
+    $('history-import-close').addEventListener('click', close);
+    _els.dialog.addEventListener('click', e => { if (e.target === _els.dialog) close(); });
+    _els.dialog.addEventListener('keydown', e => { if (e.key === 'Escape') close(); });
+  }
+
+  function open(text = '', name = '') {
+    _name = name;
+    _els.text.value = text;
+    _els.dialog.hidden = false;
+    _check();
+    _els.text.focus();
+  }
+
+  function close() {
+    if (!_els) return;
+    clearTimeout(_timer);
+    _els.dialog.hidden = true;
+    _result = null;
+  }
+
+  function _check() {
+    const text = _els.text.value;
+    _result = text.trim() ? parse(text) : null;
+    const items = (_result ? _result.problems : []).map(p => {
+      const li = document.createElement('li');
+      li.className = `history-import-problem history-import-problem--${p.level}`;
+      li.textContent = p.line ? `line ${p.line}: ${p.message}` : p.message;
+      return li;
+    });
+    if (_result && _result.more) {
+      const li = document.createElement('li');
+      li.className = 'history-import-problem';
+      li.textContent = `… and ${_result.more} more`;
+      items.push(li);
+    }
+    _els.problems.replaceChildren(...items);
+    _els.problems.hidden = !items.length;
+    _els.summary.textContent = !_result ? 'Paste output, or upload a file'
+      : _result.history ? `${_describe(_result)}${_skipped(_result)}` : 'Nothing to import';
+    _els.summary.classList.toggle('error', !!_result && !_result.history);
+    _els.apply.disabled = !_result || !_result.history;
+  }
+
+  function _apply() {
+    if (!_result || !_result.history) return;
+    const result = _result, name = _name;
+    try { GitState.importHistory(result.history); }
+    catch (e) { _els.summary.textContent = e.message; _els.summary.classList.add('error'); return; }
+    close();
+    if (_onImport) _onImport(result, name);
+  }
+
+  // "42 commits, 3 branches, 2 tags, 1 remote from git log"
+  function describe(result) { return `${_describe(result)} from ${result.format === 'log' ? 'git log' : 'git fast-export'}`; }
+
+  function _describe({ counts }) {
+    const n = (k, one, many) => `${counts[k]} ${counts[k] === 1 ? one : many}`;
+    return [n('commits', 'commit', 'commits'), n('branches', 'branch', 'branches'), n('tags', 'tag', 'tags'), n('remotes', 'remote', 'remotes')].join(', ');
+  }
+
+  function _skipped({ skipped }) { return skipped ? ` · ${skipped} line${skipped === 1 ? '' : 's'} skipped` : ''; }
+
+  function isOpen() { return !!_els && !!_els.dialog && !_els.dialog.hidden; }
+
+  return { parse, init, open, close, isOpen, describe };
+
+})();
+
+
+/* ============================================================
+   SECTION 12 — HISTORY EXPORT (bash script / git fast-import stream)
+   ============================================================ */
+
+// The way back from the sandbox to a real repository. All three take plain
+// GitState.snapshot() objects, so they run in Node as well:
+//   script(state)    bash that rebuilds the commit graph exactly: files,
+//                    authors, dates, branches, tags, stash and remotes
+//   replay(steps)    bash that re-runs the recorded commands; steps are the
+//                    Timeline's [{ command, state }], oldest first
+//   fastImport(state) a `git fast-import` stream of the same graph
+// Commits only the reflog still knows are left out.
+
+const HistoryExport = (() => {
+
+  const ROOT = 'refs/heads/visualizer-root';   // root commits are made on this unborn branch
+
+  const HELPERS = [
+    '# on [<commit>] — start the next commit from <commit>, or from an empty tree',
+    'on() {',
+    `  if [ $# -eq 0 ]; then git symbolic-ref HEAD ${ROOT}; git rm -rqf --ignore-unmatch .`,
+    '  else git checkout -q --detach "$1"; fi',
+    '}',
+    '# also <commit>… — the other parents of a merge; its files come from put and del',
+    'also() { git merge -q --no-ff --no-commit --allow-unrelated-histories -s ours "$@" > /dev/null 2>&1; }',
+    'write() { mkdir -p "$(dirname "$1")"; printf \'%s\' "$2" > "$1"; }',
+    'put() { write "$@"; git add -- "$1"; }',
+    'del() { git rm -q -- "$1"; }',
+    'as() {',
+    '  export GIT_AUTHOR_NAME="$1" GIT_AUTHOR_EMAIL="$2" GIT_AUTHOR_DATE="@$3 +0000"',
+    '  export GIT_COMMITTER_NAME="$1" GIT_COMMITTER_EMAIL="$2" GIT_COMMITTER_DATE="@$3 +0000"',
+    '}',
+    '# commit <variable> <message> — commit, and keep the new id in <variable>',
+    'commit() {',
+    '  git commit -q --allow-empty --allow-empty-message -m "$2"',
+    '  printf -v "$1" %s "$(git rev-parse HEAD)"',
+    `  if git symbolic-ref -q HEAD > /dev/null; then git checkout -q --detach; git update-ref -d ${ROOT}; fi`,
+    '}',
+  ];
+
+  const TEAMMATE = [
+    '# teammate <remote> <branch> <file> <message> <name> <email> — someone else',
+    '# appends <message> to <file> and pushes, from a clone of their own',
+    'teammate() {',
+    '  local clone; clone=$(mktemp -d)',
+    '  git clone -q "$remotes/$1.git" "$clone" 2> /dev/null',
+    '  (cd "$clone" && { git checkout -q "$2" 2> /dev/null || git checkout -q --orphan "$2"; } &&',
+    '    printf \'%s\\n\' "$4" >> "$3" && git add -- "$3" &&',
+    '    git -c user.name="$5" -c user.email="$6" commit -qm "$4" && git push -q origin "$2")',
+    '  rm -rf "$clone"',
+    '}',
+  ];
+
+  const IDENTITY = 'GIT_AUTHOR_NAME GIT_AUTHOR_EMAIL GIT_AUTHOR_DATE GIT_COMMITTER_NAME GIT_COMMITTER_EMAIL GIT_COMMITTER_DATE';
+
+  function script(state) {
+    if (!state || !state.initialized) throw new Error('nothing to export — not a git repository');
+    return [
+      ..._preamble('rebuilds the repository commit by commit'),
+      'set -euo pipefail', '', ..._setup(), '', ...HELPERS, '', ..._build(state),
+    ].join('\n') + '\n';
+  }
+
+  function replay(steps) {
+    if (!steps || steps.length < 2) throw new Error('nothing to export — no commands recorded yet');
+    const start = steps[0].state, use = {}, body = [];
+    steps.slice(1).forEach((step, i) => body.push(..._translate(step.command, steps[i].state, step.state, use)));
+    return [
+      ..._preamble('re-runs the commands typed in the visualizer'),
+      'set -uo pipefail', '', ..._setup(), '',
+      ...(start.initialized ? [...HELPERS, ''] : []),
+      ...(use.teammate ? [...TEAMMATE, ''] : []),
+      ...(start.initialized ? ['set -e', '# The repository the commands started from', ..._build(start), 'set +e', ''] : []),
+      '# The commands. As in the visualizer, one may fail (a merge conflict, say)',
+      '# and the next ones carry on; GIT_EDITOR keeps the default messages',
+      'export GIT_EDITOR=true',
+      ...body,
+    ].join('\n') + '\n';
+  }
+
+  function fastImport(state) {
+    if (!state || !state.initialized) throw new Error('nothing to export — not a git repository');
+    const commits = state.commits, tips = _tips(state), marks = {}, blobs = new Map(), out = [];
+    const owner = {};
+    tips.forEach(({ ref, sha }) => {
+      const todo = [sha];
+      while (todo.length) {
+        const s = todo.pop();
+        if (owner[s] || !commits[s]) continue;
+        owner[s] = ref || 'refs/stash';
+        todo.push(...commits[s].parents);
+      }
+    });
+    const head = state.detached ? '--detach refs/visualizer/HEAD' : state.branches[state.HEAD] ? _q(state.HEAD) : null;
+    out.push(
+      '# Git Command Visualizer — the commit graph as a git fast-import stream.',
+      '# Load it into a new, empty repository:',
+      `#   git init repo && cd repo && git fast-import --quiet < <this file>${head ? ` && git checkout -q ${head}` : ''}`,
+    );
+    if (state.detached) out.push('# HEAD was detached; the stream keeps it as refs/visualizer/HEAD');
+    if (state.stash.length > 1) out.push(`# Only stash@{0} of ${state.stash.length} stash entries survives: a stream has no reflogs`);
+    let mark = 0;
+    _order(commits, tips.map(t => t.sha)).forEach(sha => {
+      const c = commits[sha], ref = owner[sha], when = `${_ident(c.author, state)} ${_secs(c.timestamp)} +0000`;
+      const [first, ...rest] = c.parents, changes = _diff(first ? commits[first].tree : {}, c.tree);
+      changes.forEach(([, content]) => {
+        if (content === null || blobs.has(content)) return;
+        blobs.set(content, ++mark);
+        out.push('blob', `mark :${mark}`, ..._data(content));
+      });
+      marks[sha] = ++mark;
+      if (!first) out.push(`reset ${ref}`);
+      out.push(`commit ${ref}`, `mark :${marks[sha]}`, `author ${when}`, `committer ${when}`, ..._data(_message(c.message)));
+      if (first) out.push(`from :${marks[first]}`);
+      rest.forEach(p => out.push(`merge :${marks[p]}`));
+      changes.forEach(([path, content]) => out.push(content === null ? `D ${_fiPath(path)}` : `M 100644 :${blobs.get(content)} ${_fiPath(path)}`));
+      out.push('');
+    });
+    tips.filter(t => t.ref).forEach(({ ref, sha }) => {
+      const tag = ref.startsWith('refs/tags/') && (state.annotations || {})[ref.slice(10)];
+      if (!tag) out.push(`reset ${ref}`, `from :${marks[sha]}`, '');
+      else out.push(`tag ${ref.slice(10)}`, `from :${marks[sha]}`, `tagger ${_ident(tag.tagger, state)} ${_secs(tag.timestamp)} +0000`, ..._data(_message(tag.message)));
+    });
+    return out.join('\n').replace(/\n?$/, '\n');
+  }
+
+  // Saves one of the exports: 'sh' rebuilds the graph, 'replay' re-runs the
+  // Timeline's commands, 'fast-import' is the stream
+  function download(kind) {
+    const text = kind === 'replay' ? replay(Timeline.steps())
+      : kind === 'sh' ? script(GitState.snapshot()) : fastImport(GitState.snapshot());
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(new Blob([text], { type: 'text/plain' }));
+    a.download = `git-visualizer-${new Date().toISOString().slice(0, 10)}${kind === 'replay' ? '-commands' : ''}.${kind === 'fast-import' ? 'fi' : 'sh'}`;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(a.href), 0);
+    return a.download;
+  }
+
+  /* ---------- rebuilding a snapshot ---------- */
+
+  function _preamble(what) {
+    return [
+      '#!/usr/bin/env bash',
+      `# Git Command Visualizer — ${what}.`,
+      '# Run it with: bash <this file> [directory]   (default: visualizer-repo)',
+      '# Remotes become bare repositories in <directory>.remotes/',
+    ];
+  }
+
+  function _setup() {
+    return [
+      'repo=${1:-visualizer-repo}',
+      'remotes="$PWD/$repo.remotes"',
+      'if [ -e "$repo" ]; then echo "$repo already exists" >&2; exit 1; fi',
+      'mkdir -p "$repo" "$remotes" && cd "$repo"',
+    ];
+  }
+
+  function _build(state) {
+    const commits = Object.assign({}, ...Object.values(state.remotes || {}).map(r => r.commits), state.commits);
+    const tips = [..._tips(state), ...Object.values(state.remotes || {}).flatMap(r => Object.values(r.branches).map(sha => ({ sha })))];
+    const order = _order(commits, tips.map(t => t.sha));
+    const lines = [`git -c init.defaultBranch=${_q(state.detached ? 'master' : state.HEAD)} init -q`, ..._config(state)];
+    if (order.length) lines.push('', '# Every commit, parents first, each made on a detached HEAD');
+    order.forEach(sha => {
+      const c = commits[sha], [first, ...rest] = c.parents, who = _person(_ident(c.author, state));
+      lines.push(`# ${sha} ${c.message.split('\n')[0]}`, first ? `on "$${_var(first)}"` : 'on');
+      if (rest.length) lines.push(`also ${rest.map(p => `"$${_var(p)}"`).join(' ')}`);
+      lines.push(
+        ..._diff(first ? commits[first].tree : {}, c.tree).map(([path, content]) => content === null ? `del ${_q(path)}` : `put ${_q(path)} ${_q(content)}`),
+        `as ${_q(who.name)} ${_q(who.email)} ${_secs(c.timestamp)}`,
+        `commit ${_var(sha)} ${_q(c.message)}`,
+      );
+    });
+
+    const refs = [];
+    Object.entries(state.branches).forEach(([name, sha]) => { if (sha) refs.push(`git branch -f ${_q(name)} "$${_var(sha)}"`); });
+    Object.entries(state.tags).forEach(([name, sha]) => {
+      const tag = (state.annotations || {})[name];
+      if (!tag) { refs.push(`git tag ${_q(name)} "$${_var(sha)}"`); return; }
+      const who = _person(_ident(tag.tagger, state));
+      refs.push(`as ${_q(who.name)} ${_q(who.email)} ${_secs(tag.timestamp)}`, `git tag -a ${_q(name)} -m ${_q(tag.message)} "$${_var(sha)}"`);
+    });
+    [...state.stash].reverse().forEach(sha => refs.push(`git update-ref --create-reflog -m ${_q(commits[sha].message)} refs/stash "$${_var(sha)}"`));
+    if (refs.length) lines.push('', '# Branches, tags and the stash', ...refs);
+
+    const remotes = Object.entries(state.remotes || {});
+    if (remotes.length) {
+      lines.push('', '# Remotes, as bare repositories holding their own branches');
+      remotes.forEach(([name, r]) => {
+        lines.push(..._remoteAdd(name));
+        Object.entries(r.branches).forEach(([branch, sha]) => lines.push(`git push -q ${_q(name)} "$${_var(sha)}":${_q(`refs/heads/${branch}`)}`));
+      });
+      lines.push("git for-each-ref --format='delete %(refname)' refs/remotes | git update-ref --stdin");
+      Object.entries(state.remote || {}).forEach(([ref, sha]) => lines.push(`git update-ref ${_q(`refs/remotes/${ref}`)} "$${_var(sha)}"`));
+    }
+
+    const headSha = state.detached ? state.HEAD : state.branches[state.HEAD];
+    if (state.detached) lines.push('', `git checkout -q --detach "$${_var(headSha)}"`);
+    else if (headSha) lines.push('', `git checkout -q ${_q(state.HEAD)}`);
+    else if (order.length) lines.push('', `git symbolic-ref HEAD ${_q(`refs/heads/${state.HEAD}`)}`, 'git rm -rqf --ignore-unmatch .');
+    const tree = (headSha && commits[headSha].tree) || {}, staged = _diff(tree, state.index), unstaged = _diff(state.index, state.workdir);
+    if (staged.length) lines.push('# Staged changes', ...staged.map(([path, content]) => content === null ? `del ${_q(path)}` : `put ${_q(path)} ${_q(content)}`));
+    if (unstaged.length) lines.push('# Changes not staged for commit', ...unstaged.map(([path, content]) => content === null ? `rm -f -- ${_q(path)}` : `write ${_q(path)} ${_q(content)}`));
+    if (state.merging || state.rebasing) lines.push(`# The visualizer was in the middle of a ${state.merging ? 'merge' : 'rebase'}; that is not recreated`);
+    lines.push(`unset ${IDENTITY}`);
+    return lines;
+  }
+
+  function _config(state) {
+    return [...Object.entries(state.config || {}).map(([key, value]) => `git config ${_q(key)} ${_q(value)}`), 'git config pull.rebase false'];
+  }
+
+  function _remoteAdd(name) {
+    return [`git init -q --bare "$remotes"/${_q(`${name}.git`)}`, `git remote add ${_q(name)} "$remotes"/${_q(`${name}.git`)}`];
+  }
+
+  /* ---------- replaying commands ---------- */
+
+  // One recorded command as bash. `before` and `after` are the states around
+  // it: ids become revisions that mean the same commit in the real
+  // repository, and bare push / pull get the remote and branch spelled out.
+  function _translate(command, before, after, use) {
+    const tokens = CommandParser.tokenize(command), [cmd] = tokens;
+    if (cmd === 'git') return _git(tokens.slice(1), before, after);
+    if (cmd === 'touch' || cmd === 'rm') return [tokens.map(_q).join(' ')];
+    if (cmd === 'echo') {
+      const args = tokens.slice(1), redirect = args.findIndex(a => a.startsWith('>'));
+      const op = args[redirect].startsWith('>>') ? '>>' : '>', path = args[redirect].slice(op.length) || args[redirect + 1];
+      return [`echo ${_q(args.slice(0, redirect).join(' '))} ${op} ${_q(path)}`];
+    }
+    if (cmd === 'teammate') {
+      for (const [name, r] of Object.entries(after.remotes)) {
+        const was = before.remotes[name] ? before.remotes[name].branches : {};
+        for (const [branch, sha] of Object.entries(r.branches)) {
+          if (was[branch] === sha) continue;
+          const c = r.commits[sha], parent = c.parents[0] ? r.commits[c.parents[0]].tree : {};
+          const [[file]] = _diff(parent, c.tree), who = _person(c.author);
+          use.teammate = true;
+          return [['teammate', name, branch, file, c.message, who.name, who.email].map(_q).join(' ')];
+        }
+      }
+    }
+    return [`# ${command}   (visualizer only, skipped)`];
+  }
+
+  function _git(args, before, after) {
+    const [sub, ...rest] = args, notes = [];
+    if (sub === 'init') {
+      return [`git -c init.defaultBranch=${_q(after.HEAD)} init -q`, ..._config(after), ...Object.keys(after.remotes).flatMap(_remoteAdd)];
+    }
+    if (sub === 'remote' && rest[0] === 'add') return _remoteAdd(rest[1]);
+    const words = rest.map((a, i) => /^(-m|--message)$/.test(rest[i - 1]) ? a : _rev(a, before, notes));
+    if (sub === 'commit') words.unshift('--allow-empty');
+    if ((sub === 'push' || sub === 'pull') && !before.detached) {
+      const named = rest.filter(a => !a.startsWith('-'));
+      if (named.length === 0) words.push(_defaultRemote(before));
+      if (named.length < 2) words.push(before.HEAD);
+    }
+    let prefix = '';
+    if (sub === 'rebase' && rest.includes('-i')) {
+      notes.push('the todo list edited in the visualizer is not replayed; every commit is picked');
+      prefix = 'GIT_SEQUENCE_EDITOR=: ';
+    }
+    return [...notes.map(n => `# ${n}`), prefix + ['git', sub, ...words].map(_q).join(' ')];
+  }
+
+  // A visualizer id becomes the nearest ref plus ~ / ^ steps, e.g. main~2^2
+  function _rev(word, state, notes) {
+    const m = /^([0-9a-f]{4,40})((?:[~^]\d*)*)$/.exec(word);
+    if (!m || state.branches[word] !== undefined || state.tags[word] !== undefined) return word;
+    const shas = Object.keys(state.commits).filter(s => s.startsWith(m[1]));
+    if (shas.length !== 1) return word;
+    const path = _path(state, shas[0]);
+    if (path) return path + m[2];
+    notes.push(`${word} is on no branch or tag; put in the id it has in the real repository`);
+    return word;
+  }
+
+  // Breadth-first from every ref, so the shortest spelling wins
+  function _path(state, sha) {
+    const queue = [
+      ...(state.detached ? [[state.HEAD, 'HEAD']] : []),
+      ...Object.entries(state.branches).filter(([, s]) => s).map(([name, s]) => [s, name]),
+      ...Object.entries(state.tags).map(([name, s]) => [s, name]),
+      ...Object.entries(state.remote || {}).map(([name, s]) => [s, name]),
+    ];
+    const seen = new Set();
+    for (let i = 0; i < queue.length; i++) {
+      const [s, expr] = queue[i];
+      if (s === sha) return expr;
+      if (seen.has(s) || !state.commits[s]) continue;
+      seen.add(s);
+      state.commits[s].parents.forEach((p, n) => {
+        const steps = /~(\d+)$/.exec(expr);
+        queue.push([p, n ? `${expr}^${n + 1}` : steps ? `${expr.slice(0, steps.index)}~${+steps[1] + 1}` : `${expr}~1`]);
+      });
+    }
+    return null;
+  }
+
+  function _defaultRemote(state) {
+    return state.remotes.origin ? 'origin' : Object.keys(state.remotes)[0];
+  }
+
+  /* ---------- shared helpers ---------- */
+
+  // Every ref worth keeping, with the refname it gets in a real repository;
+  // older stash entries have no ref of their own
+  function _tips(state) {
+    const tips = [
+      ...Object.entries(state.branches).filter(([, sha]) => sha).map(([name, sha]) => ({ ref: `refs/heads/${name}`, sha })),
+      ...Object.entries(state.tags).map(([name, sha]) => ({ ref: `refs/tags/${name}`, sha })),
+      ...Object.entries(state.remote || {}).map(([name, sha]) => ({ ref: `refs/remotes/${name}`, sha })),
+      ...state.stash.map((sha, n) => ({ ref: n ? null : 'refs/stash', sha })),
+    ];
+    if (state.detached) tips.push({ ref: 'refs/visualizer/HEAD', sha: state.HEAD });
+    return tips;
+  }
+
+  // The commits reachable from `tips`, parents before children and
+  // otherwise oldest first
+  function _order(commits, tips) {
+    const reach = new Set(), todo = tips.filter(s => commits[s]);
+    while (todo.length) {
+      const s = todo.pop();
+      if (reach.has(s)) continue;
+      reach.add(s);
+      todo.push(...commits[s].parents);
+    }
+    const done = new Set(), order = [];
+    [...reach].sort((a, b) => commits[a].timestamp - commits[b].timestamp || (a < b ? -1 : 1)).forEach(start => {
+      const stack = [start];
+      while (stack.length) {
+        const s = stack[stack.length - 1], next = commits[s].parents.find(p => !done.has(p));
+        if (done.has(s)) stack.pop();
+        else if (next) stack.push(next);
+        else { done.add(s); order.push(s); stack.pop(); }
+      }
+    });
+    return order;
+  }
+
+  // [path, content | null] for each file that differs, null meaning deleted
+  function _diff(from = {}, to = {}) {
+    const paths = [...new Set([...Object.keys(from), ...Object.keys(to)])].sort();
+    return paths.filter(p => from[p] !== to[p]).map(p => [p, p in to ? to[p] : null]);
+  }
+
+  function _ident(author, state) {
+    const config = state.config || {};
+    return (author || `${config['user.name'] || 'You'} <${config['user.email'] || ''}>`).replace(/\n/g, ' ');
+  }
+
+  function _person(ident) {
+    const m = /^(.*?)\s*<([^>]*)>\s*$/.exec(ident);
+    return { name: (m ? m[1] : ident) || 'Unknown', email: m ? m[2] : '' };
+  }
+
+  function _secs(ms) { return Math.floor(ms / 1000); }
+
+  function _var(sha) { return `c_${sha.replace(/\W/g, '_')}`; }
+
+  // Quotes for bash unless the word is plainly safe
+  function _q(word) { return /^[\w@%+=:,./-][\w@%+=:,./~^-]*$/.test(word) ? word : `'${word.replace(/'/g, "'\\''")}'`; }
+
+  function _data(text) { return [`data ${new TextEncoder().encode(text).length}`, text]; }
+
+  // As `git commit -m` stores it, so the stream and the script agree on ids
+  function _message(text) { return text.replace(/\s*$/, text.trim() ? '\n' : ''); }
+
+  function _fiPath(path) { return /^"|\n/.test(path) ? JSON.stringify(path) : path; }
+
+  return { script, replay, fastImport, download };
+
+})();
+
+
+/* ============================================================
+   SECTION 13 — GRAPH IMAGES (SVG / PNG export and recordings)
+   ============================================================ */
+
+const GraphImages = (() => {
+
+  const STEP_MS    = 1400;   // how long each recorded step stays on screen
+  const FADE_MS    = 350;    // cross-fade into the next step
+  const FPS        = 30;
+  const CAPTION_H  = 44;
+  const MAX_FRAMES = 300;
+  const MAX_PX     = 16384;  // browsers refuse canvases much wider than this
+
+  let _frames = null;        // [{ text, width, height, caption }] while recording
+  let _fonts  = null;        // cached promise of the embedded @font-face CSS
+
+  // The whole graph (every commit, not just the ones on screen) as a
+  // standalone SVG: CSS variables are replaced by their values and a
+  // background is added. Fonts are embedded later, see _withFonts.
+  function _standalone() {
+    const svg = GraphRenderer.exportSvg();
+    if (!svg) throw new Error('nothing to export — the graph is empty');
+    svg.querySelectorAll('.focus-ring').forEach(el => el.remove());
+    const root = getComputedStyle(document.documentElement);
+    const resolve = v => v.replace(/var\((--[\w-]+)\)/g, (m, name) => root.getPropertyValue(name).trim() || m);
+    svg.querySelectorAll('*').forEach(el => [...el.attributes].forEach(a => {
+      if (a.value.includes('var(')) el.setAttribute(a.name, resolve(a.value));
+    }));
+    const width = +svg.getAttribute('width'), height = +svg.getAttribute('height');
+    svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    svg.insertBefore(_el('rect', { width, height, fill: resolve('var(--bg-base)') }), svg.firstChild);
+    return { text: new XMLSerializer().serializeToString(svg), width, height };
+  }
+
+  function _el(tag, attrs) {
+    const el = document.createElementNS('http://www.w3.org/2000/svg', tag);
+    Object.entries(attrs).forEach(([k, v]) => el.setAttribute(k, v));
+    return el;
+  }
+
+  async function _withFonts(text) {
+    const css = await (_fonts = _fonts || _fontCss());
+    return css ? text.replace(/>/, `><defs><style>${css.replace(/</g, '\\3c ')}</style></defs>`) : text;
   }
 
-  function printCommand(raw) {
-    const div = document.createElement('div');
-    div.className = 'output-divider';
-    _out.appendChild(div);
+  // @font-face rules for the fonts the graph names (latin subset only),
+  // with their files inlined as data: URLs. Cross-origin stylesheets such
+  // as Google Fonts can't be read in place, so they are fetched again.
+  async function _fontCss() {
+    const families = ['JetBrains Mono'];
+    const sheets = [];
+    for (const sheet of document.styleSheets) {
+      try { sheets.push([...sheet.cssRules].map(r => r.cssText).join('\n')); }
+      catch (e) { if (sheet.href) sheets.push(await fetch(sheet.href).then(r => r.text()).catch(() => '')); }
+    }
+    const faces = (sheets.join('\n').match(/@font-face\s*{[^}]*}/g) || [])
+      .filter(f => families.some(name => f.includes(name)) && (!/unicode-range/.test(f) || /U\+0000-00FF/i.test(f)));
+    const inlined = await Promise.all(faces.map(async face => {
+      for (const [, , url] of face.matchAll(/url\((['"]?)([^'")]+)\1\)/g)) {
+        const data = await fetch(url).then(r => r.blob()).then(_dataUrl).catch(() => null);
+        if (data) face = face.split(url).join(data);
+      }
+      return face;
+    }));
+    return inlined.join('\n');
+  }
 
-    const entry = document.createElement('div');
-    entry.className = 'output-entry';
-    const line = document.createElement('div');
-    line.className = 'output-cmd';
-    line.textContent = raw;
-    entry.appendChild(line);
-    _out.appendChild(entry);
-    _scroll();
+  function _dataUrl(blob) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
   }
 
-  function printLines(lines) {
-    if (!lines || !lines.length) return;
-    const entry = document.createElement('div');
-    entry.className = 'output-entry';
-    lines.forEach(l => {
-      if (l.spacer) { const sp = document.createElement('div'); sp.className = 'output-spacer'; entry.appendChild(sp); return; }
-      const d = document.createElement('div');
-      d.className = `output-line${l.cls ? ' '+l.cls : ''}`;
-      d.textContent = l.text;
-      entry.appendChild(d);
+  function _image(text) {
+    return new Promise((resolve, reject) => {
+      const img = new Image(), url = URL.createObjectURL(new Blob([text], { type: 'image/svg+xml' }));
+      img.onload  = () => { URL.revokeObjectURL(url); resolve(img); };
+      img.onerror = () => { URL.revokeObjectURL(url); reject(new Error('the browser could not draw the graph')); };
+      img.src = url;
     });
-    _out.appendChild(entry);
-    _scroll();
   }
 
-  function clear() {
-    const w = _out.querySelector('.terminal-welcome');
-    _out.innerHTML = '';
-    if (w) _out.appendChild(w);
+  function _save(blob, ext) {
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = `git-graph-${new Date().toISOString().slice(0, 19).replace(/[T:]/g, '-')}.${ext}`;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(a.href), 0);
+    return a.download;
   }
 
-  function _scroll() { _out.scrollTop = _out.scrollHeight; }
-  function focus()   { _in.focus(); }
+  async function svg() {
+    const { text } = _standalone();
+    return _save(new Blob([await _withFonts(text)], { type: 'image/svg+xml' }), 'svg');
+  }
+
+  // Resolves to { file, scale }; the scale drops when the requested one
+  // would make a canvas the browser can't allocate
+  async function png(scale = 2) {
+    const { text, width, height } = _standalone();
+    const img = await _image(await _withFonts(text));
+    scale = Math.min(scale, MAX_PX / width, MAX_PX / height);
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(width * scale);
+    canvas.height = Math.round(height * scale);
+    canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+    const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    if (!blob) throw new Error('the browser could not encode the PNG');
+    return { file: _save(blob, 'png'), scale };
+  }
+
+  // Recording keeps one frame per command; a command that leaves the graph
+  // as it was (git status, git log) adds nothing
+  function start() {
+    _frames = [];
+    capture('(start)');
+  }
+
+  function capture(caption) {
+    if (!_frames || _frames.length >= MAX_FRAMES) return;
+    let frame;
+    try { frame = { ..._standalone(), caption }; } catch (e) { return; }
+    const prev = _frames[_frames.length - 1];
+    if (prev && prev.text === frame.text) return;
+    _frames.push(frame);
+  }
+
+  function isRecording() { return !!_frames; }
+  function frameCount()  { return _frames ? _frames.length : 0; }
+  function cancel()      { _frames = null; }
+
+  // Plays the frames onto a canvas in real time while a MediaRecorder
+  // captures it: each step held for STEP_MS, cross-faded in, with its
+  // command as a caption. Resolves to the saved file name.
+  async function stop() {
+    const frames = _frames;
+    _frames = null;
+    if (!frames || !frames.length) throw new Error('nothing was recorded');
+    const type = ['video/webm;codecs=vp9', 'video/webm', 'video/mp4'].find(t => window.MediaRecorder && MediaRecorder.isTypeSupported(t));
+    if (!type) throw new Error('this browser cannot record video');
+    const images = [];
+    for (const f of frames) images.push(await _image(await _withFonts(f.text)));
+
+    const even = n => Math.ceil(n / 2) * 2;
+    const W = even(Math.min(1920, Math.max(640, frames.reduce((m, f) => Math.max(m, f.width), 0))));
+    const H = even(Math.min(1080, Math.max(360, frames.reduce((m, f) => Math.max(m, f.height), 0) + CAPTION_H)));
+    const canvas = document.createElement('canvas');
+    canvas.width = W; canvas.height = H;
+    const ctx = canvas.getContext('2d'), root = getComputedStyle(document.documentElement);
+    const color = name => root.getPropertyValue(name).trim();
+
+    const draw = (i, alpha) => {
+      ctx.globalAlpha = 1;
+      ctx.fillStyle = color('--bg-base');
+      ctx.fillRect(0, 0, W, H);
+      [[i - 1, 1 - alpha], [i, alpha]].forEach(([k, a]) => {
+        if (k < 0 || a <= 0) return;
+        const img = images[k], fit = Math.min(W / frames[k].width, (H - CAPTION_H) / frames[k].height, 1);
+        ctx.globalAlpha = a;
+        ctx.drawImage(img, (W - frames[k].width * fit) / 2, (H - CAPTION_H - frames[k].height * fit) / 2, frames[k].width * fit, frames[k].height * fit);
+      });
+      ctx.globalAlpha = 1;
+      ctx.fillStyle = color('--bg-surface');
+      ctx.fillRect(0, H - CAPTION_H, W, CAPTION_H);
+      ctx.font = '600 18px "JetBrains Mono", monospace';
+      ctx.textBaseline = 'middle';
+      ctx.fillStyle = color('--text-code') || '#fff';
+      ctx.fillText(frames[i].caption === '(start)' ? frames[i].caption : `$ ${frames[i].caption}`, 18, H - CAPTION_H / 2);
+      ctx.textAlign = 'right';
+      ctx.fillStyle = color('--text-muted');
+      ctx.fillText(`${i + 1}/${frames.length}`, W - 18, H - CAPTION_H / 2);
+      ctx.textAlign = 'left';
+    };
+
+    const recorder = new MediaRecorder(canvas.captureStream(FPS), { mimeType: type }), chunks = [];
+    recorder.ondataavailable = e => { if (e.data.size) chunks.push(e.data); };
+    const stopped = new Promise(resolve => { recorder.onstop = resolve; });
+    draw(0, 1);
+    recorder.start();
+    const t0 = performance.now(), total = frames.length * STEP_MS;
+    await new Promise(resolve => {
+      const tick = () => {
+        const t = performance.now() - t0;
+        if (t >= total) return resolve();
+        const i = Math.floor(t / STEP_MS), into = t - i * STEP_MS;
+        draw(i, i && into < FADE_MS ? into / FADE_MS : 1);
+        setTimeout(tick, 1000 / FPS);
+      };
+      tick();
+    });
+    recorder.stop();
+    await stopped;
+    return _save(new Blob(chunks, { type }), type.includes('mp4') ? 'mp4' : 'webm');
+  }
+
+  // Seconds a recording of n steps takes to encode (it plays in real time)
+  function duration(n) { return Math.ceil(n * STEP_MS / 1000); }
 
-  return { init, printCommand, printLines, clear, focus };
+  return { svg, png, start, capture, stop, cancel, isRecording, frameCount, duration };
 
 })();
 
 
 /* ============================================================
-   SECTION 5 — DETAIL PANEL (click-on-node)
+   SECTION 14 — GRAPH SEARCH (search box, log filters, legend refs)
    ============================================================ */
 
-const DetailPanel = (() => {
+const GraphSearch = (() => {
+
+  let _input = null, _countEl = null, _refsEl = null;
+  let _snap     = null;
+  let _log      = null;   // { label, shas } from the last `git log` with a range or filter
+  let _selected = [];     // up to two refs picked in the legend, oldest pick first
+  let _hover    = null;   // ref previewed while the pointer is over its chip
+  let _cursor   = -1;     // the match Enter last scrolled to
+
+  function init(input, countEl, refsEl) {
+    _input = input; _countEl = countEl; _refsEl = refsEl;
+    input.addEventListener('input', () => { _cursor = -1; _apply(); });
+    input.addEventListener('keydown', e => {
+      if (e.key === 'Escape') { input.value = ''; _apply(); input.blur(); }
+      if (e.key !== 'Enter') return;
+      // Enter / shift+Enter step through the matches, newest first
+      const found = _search(input.value.trim());
+      if (!found.length) return;
+      _cursor = (_cursor + (e.shiftKey ? found.length - 1 : 1)) % found.length;
+      GraphRenderer.focus(found[_cursor]);
+    });
+    refsEl.addEventListener('click', e => {
+      const chip = e.target.closest('[data-ref]');
+      if (!chip) return;
+      const ref = chip.dataset.ref;
+      _selected = _selected.includes(ref) ? _selected.filter(r => r !== ref) : [..._selected, ref].slice(-2);
+      _hover = null;
+      _chips();
+      _apply();
+    });
+    refsEl.addEventListener('mouseover', e => {
+      const chip = e.target.closest('[data-ref]');
+      if (!chip || chip.dataset.ref === _hover || _selected.length) return;
+      _hover = chip.dataset.ref;
+      _apply();
+    });
+    refsEl.addEventListener('mouseleave', () => { if (_hover) { _hover = null; _apply(); } });
+  }
 
-  let _el = null;
+  // Called before every render with the state about to be drawn
+  function update(snap) {
+    _snap = snap;
+    const refs = _refNames();
+    _selected = _selected.filter(r => refs.includes(r));
+    if (!refs.includes(_hover)) _hover = null;
+    _chips();
+    GraphRenderer.setMarks(_marks());
+  }
 
-  function init() {
-    _el = document.getElementById('detail-panel');
-    document.getElementById('detail-close').addEventListener('click', hide);
-    document.getElementById('graph-viewport').addEventListener('click', e => {
-      if (e.target.tagName !== 'circle') hide();
-    });
+  function setLog(filter) { _log = filter; }
+
+  // Escape: drop the ref selection and the log filter, keep the search text
+  function clear() {
+    if (!_selected.length && !_log) return;
+    _selected = []; _log = null;
+    _chips();
+    _apply();
   }
 
-  function show(sha, commit, branches, tags) {
-    if (!_el) return;
-    const branchesHere = Object.entries(branches).filter(([,s]) => s === sha).map(([n]) => n);
-    const tagsHere     = Object.entries(tags).filter(([,s]) => s === sha).map(([n]) => n);
-    const date = new Date(commit.timestamp).toLocaleString('en-US', { month:'short', day:'numeric', year:'numeric', hour:'2-digit', minute:'2-digit' });
+  function _apply() {
+    if (!_snap) return;
+    GraphRenderer.setMarks(_marks());
+    GraphRenderer.repaint();
+  }
 
-    document.getElementById('detail-sha').textContent      = sha;
-    document.getElementById('detail-message').textContent  = commit.message;
-    document.getElementById('detail-date').textContent     = date;
-    document.getElementById('detail-parents').textContent  = commit.parents.length ? commit.parents.map(p => p.slice(0,7)).join(', ') : '(root commit)';
-    document.getElementById('detail-branches').textContent = branchesHere.length ? branchesHere.join(', ') : '—';
-    document.getElementById('detail-tags').textContent     = tagsHere.length ? tagsHere.join(', ') : '—';
+  function _refNames() {
+    if (!_snap || !_snap.initialized) return [];
+    return [
+      ...Object.keys(_snap.branches).filter(b => _snap.branches[b]).sort(),
+      ...Object.keys(_snap.remote || {}).sort(),
+    ];
+  }
 
-    const typeEl = document.getElementById('detail-type');
-    if      (commit.isMerge)      { typeEl.textContent = 'merge commit';   typeEl.className = 'detail-type detail-type--merge'; }
-    else if (commit.rebased)      { typeEl.textContent = 'rebased';        typeEl.className = 'detail-type detail-type--rebase'; }
-    else if (commit.cherryPicked) { typeEl.textContent = 'cherry-picked';  typeEl.className = 'detail-type detail-type--cherry'; }
-    else                          { typeEl.textContent = 'commit';         typeEl.className = 'detail-type'; }
+  function _chips() {
+    if (!_refsEl) return;
+    _refsEl.innerHTML = '';
+    _refNames().forEach(ref => {
+      const remote = !_snap.branches[ref];
+      const chip = document.createElement('button');
+      const picked = _selected.indexOf(ref);
+      chip.className = `legend-ref${picked === 0 ? ' legend-ref--a' : picked === 1 ? ' legend-ref--b' : ''}`;
+      chip.dataset.ref = ref;
+      chip.setAttribute('aria-pressed', String(picked !== -1));
+      chip.title = _selected.length === 1 && picked === -1 ? `Compare ${_selected[0]} with ${ref}` : `Highlight what ${ref} reaches`;
+      const dot = document.createElement('span');
+      dot.className = 'legend-dot';
+      dot.style.background = remote ? 'var(--danger)' : `var(${_snap.branchColor(ref)})`;
+      chip.append(dot, ref);
+      _refsEl.appendChild(chip);
+    });
+  }
 
-    _el.classList.remove('hidden');
+  // Commits whose message, author or SHA contains the query, newest first
+  function _search(query) {
+    if (!query || !_snap || !_snap.initialized) return [];
+    const q = query.toLowerCase();
+    return Object.values(_snap.commits)
+      .filter(c => c.sha.startsWith(q) || c.message.toLowerCase().includes(q) || (c.author || '').toLowerCase().includes(q))
+      .sort((a, b) => b.timestamp - a.timestamp)
+      .map(c => c.sha);
   }
 
-  function hide() { if (_el) _el.classList.add('hidden'); }
+  // What stays lit: a previewed or selected ref (two refs colour A..B and
+  // B..A), otherwise the search and log filter together
+  function _marks() {
+    const refs = _hover ? [_hover] : _selected;
+    let marks = null, count = '';
+    if (refs.length === 1) {
+      const shas = GitState.revList([refs[0]]).map(c => c.sha);
+      marks = Object.fromEntries(shas.map(s => [s, 'match']));
+      count = `${shas.length} on ${refs[0]}`;
+    } else if (refs.length === 2) {
+      const [a, b] = refs, { onlyA, onlyB } = GitState.compare(a, b);
+      marks = Object.fromEntries(GitState.revList([a, b]).map(c => [c.sha, 'match']));
+      onlyA.forEach(c => { marks[c.sha] = 'a'; });
+      onlyB.forEach(c => { marks[c.sha] = 'b'; });
+      count = `${onlyA.length} only on ${a} · ${onlyB.length} only on ${b}`;
+    } else {
+      const query = _input ? _input.value.trim() : '';
+      let shas = _log ? new Set(_log.shas) : null;
+      if (query) {
+        const found = _search(query);
+        shas = new Set(shas ? found.filter(s => shas.has(s)) : found);
+      }
+      if (shas) {
+        marks = Object.fromEntries([...shas].map(s => [s, 'match']));
+        count = `${shas.size} match${shas.size === 1 ? '' : 'es'}`;
+      }
+    }
+    if (_countEl) {
+      _countEl.textContent = count;
+      _countEl.title = !refs.length && _log ? _log.label : '';
+      _countEl.hidden = !count;
+    }
+    return marks;
+  }
 
-  return { init, show, hide };
+  return { init, update, setLog, clear };
 
 })();
 
 
 /* ============================================================
-   SECTION 6 — SCENARIOS
+   SECTION 15 — SCENARIOS
    ============================================================ */
 
 const Scenarios = (() => {
@@ -1140,7 +5683,8 @@ const Scenarios = (() => {
     },
     {
       label: 'Cherry-Pick Demo',
-      desc:  'Pick one commit from a bugfix branch',
+      desc:  'Pick one commit from a bugfix branch by its SHA',
+      seed:  'cherry-pick',   // so "fix critical bug" is always b0865fc
       commands: [
         'git init',
         'git commit -m "initial commit"',
@@ -1148,6 +5692,7 @@ const Scenarios = (() => {
         'git commit -m "fix critical bug"',
         'git checkout master',
         'git commit -m "new feature"',
+        'git cherry-pick b0865fc',
       ],
     },
     {
@@ -1179,10 +5724,10 @@ const Scenarios = (() => {
     },
   ];
 
-  let _onRun = null;
+  let _onRun = null, _onReset = null;
 
-  function init(onRun) {
-    _onRun = onRun;
+  function init(onRun, onReset) {
+    _onRun = onRun; _onReset = onReset;
     const listEl   = document.getElementById('scenarios-list');
     const toggleEl = document.getElementById('scenarios-toggle');
     const panelEl  = document.getElementById('scenarios-panel');
@@ -1202,26 +5747,503 @@ const Scenarios = (() => {
   function _run(scenario) {
     if (!_onRun) return;
     GitState.init();
+    if (_onReset) _onReset();
     Terminal.clear();
     Terminal.printLines([{ text: `▶  ${scenario.label}`, cls: 'info' }, { text: scenario.desc, cls: 'muted' }, { spacer: true }]);
+    // A seeded scenario names commits by SHA, which also depends on the
+    // author: run it as the default user, then put the student's back
+    const restore = scenario.seed ? _seeded(scenario.seed) : () => {};
     let delay = 0;
     scenario.commands.forEach(cmd => { setTimeout(() => _onRun(cmd), delay); delay += 200; });
-    setTimeout(() => document.getElementById('scenarios-panel').classList.remove('open'), delay + 100);
+    setTimeout(() => { restore(); document.getElementById('scenarios-panel').classList.remove('open'); }, delay + 100);
   }
 
-  return { init };
+  function _seeded(value) {
+    const seed = GitState.seed(), keys = ['user.name', 'user.email'], who = keys.map(k => GitState.config(k));
+    GitState.seed(value);
+    GitState.config('user.name', 'You'); GitState.config('user.email', 'you@example.com');
+    return () => { GitState.seed(seed); keys.forEach((k, i) => GitState.config(k, who[i])); };
+  }
+
+  // The built-in scenarios, for ScenarioRunner to check
+  function list() { return LIST; }
+
+  return { init, list };
+
+})();
+
+
+/* ============================================================
+   SECTION 16 — SCENARIO RUNNER (headless checks)
+   ============================================================ */
+
+// Runs a scenario (a list of commands) against a fresh engine and checks
+// what it should leave behind. Needs only GitState and CommandParser, so it
+// runs under Node as well as in the page — see scenarios/run.js.
+//
+//   {
+//     name:  'merge a feature branch',
+//     seed:  'merge',                     // optional; SHAs repeat for the same seed
+//     history: '<git log or fast-export output>',   // optional; imported before the steps
+//     steps: [
+//       'git init',
+//       'git commit -m "first"',
+//       { run: 'git branch -d master', error: /cannot delete/ },   // expected to fail
+//       { run: 'git log --oneline', output: 'first' },             // output must contain
+//     ],
+//     expect: {
+//       head: 'master',                   // branch HEAD is on (detached: true instead)
+//       branches: ['feature', 'master'],  // exactly these; or { name: '<rev>' | null }
+//       tags: ['v1'],                     // like branches
+//       commits: 3,                       // reachable from HEAD
+//       parents: { HEAD: 2, 'HEAD~1': ['HEAD~2'] },   // a count, or the parents' revs
+//       subjects: { HEAD: 'Merge' },      // the commit's message contains
+//       remote: { 'origin/master': 'master' },   // the branch on the remote itself
+//       stash: 0,                         // stash entries
+//       staged: ['a.txt'],                // exactly these paths staged
+//       conflicts: [],                    // exactly these paths unmerged
+//       clean: true,                      // nothing staged, modified or conflicted
+//       output: 'Fast-forward',           // the last command's output
+//       export: { sh: 'also ', replay: 'git merge', 'fast-import': /^merge :\d+$/m },
+//                                         // what HistoryExport writes contains
+//     },
+//   }
+//
+// Every step must succeed (print no error line) unless it says `error`.
+// check(expect) tests the current repository alone; lesson goals use it.
+const ScenarioRunner = (() => {
+
+  // Commands whose effect lives in the page (timeline, storage, files)
+  const BROWSER_ONLY = ['undo', 'redo', 'session', 'transfer', 'lesson'];
+
+  function run(scenario) {
+    const failures = [], log = [];
+    GitState.load({ initialized: false });
+    GitState.seed(scenario.seed || 'scenario');
+    if (scenario.history) {
+      const { history, problems } = HistoryImport.parse(scenario.history);
+      try {
+        if (!history) throw new Error(problems.map(p => p.message).join('; '));
+        GitState.importHistory(history);
+      } catch (e) { failures.push(`history: ${e.message}`); }
+    }
+    // replay() re-runs commands, so it needs them the way the Timeline keeps them
+    const exported = (scenario.expect && scenario.expect.export) || {};
+    const recorded = exported.replay !== undefined ? [{ command: null, state: GitState.snapshot() }] : null;
+    let last = [];
+    for (const step of failures.length ? [] : scenario.steps || scenario.commands || []) {
+      const { run: command, output, error } = typeof step === 'string' ? { run: step } : step;
+      const lines = _exec(command, failures);
+      last = lines;
+      log.push({ command, output: lines.map(l => l.text) });
+      const errors = lines.filter(l => l.cls === 'error').map(l => l.text);
+      if (error === undefined && errors.length) failures.push(`'${command}' failed: ${errors[0]}`);
+      else if (error !== undefined && error !== false && !errors.length) failures.push(`'${command}' should have failed`);
+      else if (error !== undefined && typeof error !== 'boolean' && !_matches(errors.join('\n'), error)) failures.push(`'${command}' failed with "${errors[0]}", expected ${error}`);
+      if (output !== undefined) _checkOutput(`'${command}'`, lines, output, failures);
+      try { GitState.assertValidState(); }
+      catch (e) { failures.push(`after '${command}': ${e.message}`); }
+      if (failures.length) break;
+      const state = recorded && GitState.snapshot();
+      if (state && JSON.stringify(state) !== JSON.stringify(recorded[recorded.length - 1].state)) recorded.push({ command, state });
+    }
+    if (!failures.length && scenario.expect) _checkState(scenario.expect, last, failures);
+    if (!failures.length) _checkExports(exported, recorded, failures);
+    return { name: scenario.name || scenario.label, ok: !failures.length, failures, log };
+  }
+
+  function runAll(scenarios) { return scenarios.map(run); }
+
+  // What in `expect` the repository does not (yet) match; [] when all of it does
+  function check(expect, last = []) {
+    const failures = [];
+    _checkState(expect, last, failures);
+    return failures;
+  }
+
+  function _exec(command, failures) {
+    const lines = CommandParser.parse(command);
+    const special = lines.find(l => l.special && l.special !== 'clear');
+    if (special && BROWSER_ONLY.includes(special.special)) failures.push(`'${command}' needs the browser app`);
+    // rebase -i: start the todo list as proposed, as if Start were pressed
+    if (special && special.special === 'rebase-todo') lines.push(...CommandParser.runRebaseTodo(special.plan));
+    return lines.filter(l => !l.special && !l.spacer);
+  }
+
+  function _matches(text, expected) {
+    return expected instanceof RegExp ? expected.test(text) : text.includes(expected);
+  }
+
+  function _checkOutput(what, lines, expected, failures) {
+    const text = lines.map(l => l.text).join('\n');
+    [].concat(expected).forEach(e => { if (!_matches(text, e)) failures.push(`${what} output has no ${e instanceof RegExp ? e : `"${e}"`}`); });
+  }
+
+  function _checkExports(expected, recorded, failures) {
+    const make = { sh: () => HistoryExport.script(GitState.snapshot()), replay: () => HistoryExport.replay(recorded), 'fast-import': () => HistoryExport.fastImport(GitState.snapshot()) };
+    Object.keys(expected).forEach(kind => {
+      if (!make[kind]) { failures.push(`export: unknown kind '${kind}'`); return; }
+      try { _checkOutput(`export ${kind}`, [{ text: make[kind]() }], expected[kind], failures); }
+      catch (e) { failures.push(`export ${kind}: ${e.message}`); }
+    });
+  }
+
+  function _checkState(expect, last, failures) {
+    const snap = GitState.snapshot();
+    const rev = r => { try { return GitState.resolve(r); } catch (e) { return null; } };
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+    const fail = (what, actual, expected) => failures.push(`${what}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+
+    if (!snap.initialized) { failures.push('no repository'); return; }
+    if (expect.head !== undefined && (snap.detached ? null : snap.HEAD) !== expect.head) fail('HEAD', snap.detached ? `detached at ${snap.HEAD}` : snap.HEAD, expect.head);
+    if (expect.detached !== undefined && snap.detached !== expect.detached) fail('detached', snap.detached, expect.detached);
+    // branches and tags: exactly these names, or { name: '<rev>' | null }
+    const refs = (kind, map, want) => {
+      if (Array.isArray(want)) {
+        const names = Object.keys(map).sort();
+        if (!same(names, [...want].sort())) fail(kind === 'branch' ? 'branches' : 'tags', names, [...want].sort());
+      } else if (want) {
+        Object.entries(want).forEach(([name, r]) => {
+          const at = map[name];
+          if (r === null ? at !== undefined : at === undefined || at !== rev(r)) fail(`${kind} ${name}`, at === undefined ? null : at, r === null ? null : `${r} (${rev(r)})`);
+        });
+      }
+    };
+    refs('branch', snap.branches, expect.branches);
+    refs('tag', snap.tags, expect.tags);
+    if (expect.commits !== undefined) {
+      const count = rev('HEAD') ? GitState.revList(['HEAD']).length : 0;
+      if (count !== expect.commits) fail('commits reachable from HEAD', count, expect.commits);
+    }
+    Object.entries(expect.parents || {}).forEach(([r, want]) => {
+      const sha = rev(r);
+      if (!sha) { failures.push(`parents: '${r}' does not resolve`); return; }
+      const parents = GitState.getCommit(sha).parents;
+      if (typeof want === 'number' ? parents.length !== want : !same(parents, want.map(rev))) fail(`parents of ${r}`, typeof want === 'number' ? parents.length : parents, typeof want === 'number' ? want : want.map(w => `${w} (${rev(w)})`));
+    });
+    Object.entries(expect.subjects || {}).forEach(([r, text]) => {
+      const sha = rev(r), message = sha ? GitState.getCommit(sha).message : null;
+      if (message === null || !_matches(message, text)) fail(`message of ${r}`, message, text instanceof RegExp ? String(text) : text);
+    });
+    Object.entries(expect.remote || {}).forEach(([ref, r]) => {
+      const [name, ...branch] = ref.split('/'), remote = snap.remotes[name];
+      const at = remote && remote.branches[branch.join('/')];
+      if (r === null ? at !== undefined : at === undefined || at !== rev(r)) fail(`${ref} on the remote`, at === undefined ? null : at, r === null ? null : `${r} (${rev(r)})`);
+    });
+    if (expect.stash !== undefined && snap.stash.length !== expect.stash) fail('stash entries', snap.stash.length, expect.stash);
+    const status = GitState.status(), paths = list => list.map(f => f.path);
+    if (expect.staged !== undefined && !same(paths(status.staged), [...expect.staged].sort())) fail('staged', paths(status.staged), [...expect.staged].sort());
+    if (expect.conflicts !== undefined && !same(paths(status.unmerged), [...expect.conflicts].sort())) fail('conflicts', paths(status.unmerged), [...expect.conflicts].sort());
+    if (expect.clean !== undefined) {
+      const clean = !status.staged.length && !status.unstaged.length && !status.unmerged.length;
+      if (clean !== expect.clean) fail('clean working tree', clean, expect.clean);
+    }
+    if (expect.output !== undefined) _checkOutput("the last command's", last, expect.output, failures);
+  }
+
+  return { run, runAll, check };
+
+})();
+
+
+/* ============================================================
+   SECTION 17 — LESSONS (guided courses from lessons/courses.js)
+   ============================================================ */
+
+// Lessons are data — see lessons/courses.js for the format. A lesson sets
+// up a repository, then walks through steps whose goals are ScenarioRunner
+// expectations, checked after every command. prepare, allows and verify
+// need only the engine, so scenarios/run.js plays every lesson under Node;
+// the rest drives the lesson card, the course picker and saved progress.
+const Lessons = (() => {
+
+  // Looking around is always allowed, whatever a lesson's `allow` says
+  const ALWAYS = ['help', 'clear', 'undo', 'redo', 'lessons', 'lesson', 'hint', 'git status', 'git log', 'git diff', 'cat', 'ls', 'goto', 'show', 'animate'];
+
+  // Loaded by lessons/courses.js in the page; under Node, verify is given lessons
+  const COURSES = typeof LESSON_COURSES !== 'undefined' ? LESSON_COURSES : [];
+
+  let _active = null;   // { course, lesson, step, hints }
+  let _onRun = null, _onReset = null, _cardEl = null, _listEl = null;
+
+  // A fresh repository with the lesson's setup run; throws if a setup command fails
+  function prepare(lesson) {
+    GitState.load({ initialized: false });
+    (lesson.setup || []).forEach(cmd => {
+      const error = _exec(cmd).find(l => l.cls === 'error');
+      if (error) throw new Error(`setup: '${cmd}' failed: ${error.text}`);
+    });
+  }
+
+  // Whether a command is one the lesson lets students use; no `allow` = anything
+  function allows(lesson, raw) {
+    if (!lesson.allow) return true;
+    const tokens = CommandParser.tokenize(raw.trim());
+    return [...ALWAYS, ...lesson.allow].some(p => p.split(' ').every((word, i) => tokens[i] === word));
+  }
+
+  // Plays each step's solution: its goal must be unmet before and met after,
+  // and the solution must stay within `allow`. A solution command may print
+  // an error (a merge stopping at a conflict) if the goal is still reached
+  function verify(lesson) {
+    const failures = [], steps = lesson.steps || [];
+    GitState.seed('lesson');
+    try {
+      if (!steps.length) failures.push('no steps');
+      prepare(lesson);
+      let last = [];
+      for (const [i, step] of steps.entries()) {
+        const where = `step ${i + 1}`;
+        if (!step.goal || !(step.solution || []).length) { failures.push(`${where}: needs a goal and a solution`); break; }
+        if (!ScenarioRunner.check(step.goal, last).length) failures.push(`${where}: the goal is met before the step`);
+        step.solution.filter(cmd => !allows(lesson, cmd)).forEach(cmd => failures.push(`${where}: '${cmd}' is not in allow`));
+        const errors = [];
+        step.solution.forEach(cmd => { last = _exec(cmd); errors.push(...last.filter(l => l.cls === 'error').map(l => `'${cmd}' said: ${l.text}`)); });
+        const missed = ScenarioRunner.check(step.goal, last);
+        if (missed.length) failures.push(...[...missed, ...errors].map(f => `${where}: ${f}`));
+        if (failures.length) break;
+      }
+    } catch (e) { failures.push(e.message); }
+    return { name: lesson.id, ok: !failures.length, failures };
+  }
+
+  // rebase -i runs its todo list as proposed, as if Start were pressed
+  function _exec(cmd) {
+    const lines = CommandParser.parse(cmd);
+    const todo = lines.find(l => l.special === 'rebase-todo');
+    if (todo) lines.push(...CommandParser.runRebaseTodo(todo.plan));
+    return lines.filter(l => !l.special && !l.spacer);
+  }
+
+  // { course, lesson } for 'course/lesson' or a bare lesson id
+  function find(id) {
+    const [a, b] = String(id).split('/');
+    for (const course of COURSES) {
+      if (b !== undefined && course.id !== a) continue;
+      const lesson = course.lessons.find(l => l.id === (b === undefined ? a : b));
+      if (lesson) return { course, lesson };
+    }
+    return null;
+  }
+
+  function init(onRun, onReset) {
+    _onRun = onRun; _onReset = onReset;
+    _cardEl = document.getElementById('lesson-card');
+    _listEl = document.getElementById('lessons-list');
+    const panelEl = document.getElementById('lessons-panel');
+    document.getElementById('lessons-toggle').addEventListener('click', () => { _renderList(); panelEl.classList.toggle('open'); });
+    _listEl.addEventListener('click', e => {
+      const btn = e.target.closest('[data-lesson]');
+      if (!btn) return;
+      panelEl.classList.remove('open');
+      _onRun(`lesson ${btn.dataset.lesson}`);
+    });
+    // Card buttons are terminal commands, so they show in the history too
+    _cardEl.addEventListener('click', e => {
+      const btn = e.target.closest('[data-action]');
+      if (btn) btn.dataset.action === 'show' ? _showMe() : _onRun(btn.dataset.action);
+    });
+    // The autosave already holds the repository; pick the lesson up where it was
+    const saved = Session.progress().active, found = saved && find(saved.id);
+    if (found) _active = { ...found, step: Math.min(saved.step || 0, found.lesson.steps.length), hints: 0 };
+    _renderCard();
+  }
+
+  // The `lesson` / `lessons` / `hint` commands; returns lines to print
+  function command({ op, id }) {
+    if (op === 'list') return _listLines();
+    if (op === 'start') return start(id);
+    if (op === 'next') {
+      const next = _next();
+      return next ? start(_key(next.course, next.lesson)) : [{ text: 'You have finished every lesson — well done!', cls: 'success' }];
+    }
+    if (!_active) return [{ text: 'No lesson running — `lessons` lists them', cls: 'muted' }];
+    if (op === 'restart') return start(_key(_active.course, _active.lesson));
+    if (op === 'exit') {
+      const { title } = _active.lesson;
+      exit();
+      return [{ text: `Left '${title}' — the repository stays as it is`, cls: 'warning' }];
+    }
+    if (op === 'hint') return _hint();
+    return _complete() ? [{ text: `'${_active.lesson.title}' is complete — \`lesson next\` moves on`, cls: 'success' }] : _stepLines();
+  }
+
+  function start(id) {
+    const found = find(id);
+    if (!found) return [{ text: `lesson: no lesson '${id}' — \`lessons\` lists them`, cls: 'error' }];
+    try { prepare(found.lesson); }
+    catch (e) { return [{ text: `lesson: ${e.message}`, cls: 'error' }]; }
+    _active = { ...found, step: 0, hints: 0 };
+    _save();
+    if (_onReset) _onReset();
+    _renderCard();
+    return [
+      { text: `▶  ${found.course.title}: ${found.lesson.title}`, cls: 'info' },
+      ...(found.lesson.intro ? [{ text: found.lesson.intro, cls: 'muted' }] : []),
+      { spacer: true },
+      ..._stepLines(),
+    ];
+  }
+
+  function exit() {
+    if (!_active) return;
+    _active = null;
+    _save();
+    _renderCard();
+  }
+
+  // Lines refusing a command the lesson does not use; null when it may run
+  function refuse(raw) {
+    if (!_active || _complete() || allows(_active.lesson, raw)) return null;
+    return [
+      { text: `Not part of this lesson: ${raw.trim()}`, cls: 'error' },
+      { text: `  it uses ${_active.lesson.allow.join(', ')} — or \`lesson exit\` to leave it`, cls: 'muted' },
+    ];
+  }
+
+  // After each command: moves past every step whose goal now holds
+  function check(lines = []) {
+    if (!_active || _complete()) return [];
+    const { lesson } = _active, result = [];
+    while (!_complete() && !ScenarioRunner.check(lesson.steps[_active.step].goal, lines).length) {
+      result.push({ text: `✓ ${lesson.steps[_active.step].text}`, cls: 'success' });
+      _active.step++;
+      _active.hints = 0;
+    }
+    if (!result.length) return [];
+    if (_complete()) {
+      Session.setProgress({ done: [...new Set([...(Session.progress().done || []), _key(_active.course, lesson)])] });
+      const next = _next();
+      result.push({ spacer: true }, { text: `Lesson complete: ${lesson.title}`, cls: 'success' });
+      if (next) result.push({ text: `Up next: ${next.lesson.title} — \`lesson next\``, cls: 'muted' });
+    } else {
+      result.push({ spacer: true }, ..._stepLines());
+    }
+    _save();
+    _renderCard();
+    return result;
+  }
+
+  function _complete() { return _active.step >= _active.lesson.steps.length; }
+
+  function _key(course, lesson) { return `${course.id}/${lesson.id}`; }
+
+  // The first unfinished lesson after the current one, else the first unfinished
+  function _next() {
+    const done = new Set(Session.progress().done || []);
+    const all = COURSES.flatMap(course => course.lessons.map(lesson => ({ course, lesson })));
+    const from = _active ? all.findIndex(l => l.lesson === _active.lesson) + 1 : 0;
+    return [...all.slice(from), ...all.slice(0, from)].find(l => !done.has(_key(l.course, l.lesson)) && (!_active || l.lesson !== _active.lesson)) || null;
+  }
+
+  function _save() {
+    Session.setProgress({ active: _active && { id: _key(_active.course, _active.lesson), step: _active.step } });
+  }
+
+  function _stepLines() {
+    const { lesson, step } = _active;
+    return [{ text: `Step ${step + 1} of ${lesson.steps.length}: ${lesson.steps[step].text}`, cls: 'info' }];
+  }
+
+  function _hint() {
+    if (_complete()) return [{ text: 'This lesson is complete — `lesson next` moves on', cls: 'muted' }];
+    const hints = _active.lesson.steps[_active.step].hints || [];
+    if (!hints.length) return [{ text: 'No hints for this step — "Show me" on the lesson card runs the solution', cls: 'muted' }];
+    _active.hints = Math.min(_active.hints + 1, hints.length);
+    _renderCard();
+    const lines = [{ text: `Hint: ${hints[_active.hints - 1]}`, cls: 'info' }];
+    if (_active.hints === hints.length) lines.push({ text: '  (the last hint — "Show me" on the lesson card runs the solution)', cls: 'muted' });
+    return lines;
+  }
+
+  // Types the step's solution into the terminal, one command at a time
+  function _showMe() {
+    if (!_active || _complete()) return;
+    const { lesson, step } = _active;
+    lesson.steps[step].solution.forEach((cmd, i) => setTimeout(() => {
+      if (_active && _active.lesson === lesson && _active.step === step) _onRun(cmd);
+    }, i * 300));
+  }
+
+  function _listLines() {
+    const done = new Set(Session.progress().done || []), lines = [];
+    COURSES.forEach(course => {
+      lines.push({ text: `${course.title}${course.desc ? ` — ${course.desc}` : ''}`, cls: 'info' });
+      course.lessons.forEach(l => {
+        const key = _key(course, l);
+        lines.push({ text: `  ${done.has(key) ? '✓' : ' '} ${key.padEnd(28)} ${l.title}`, cls: 'code' });
+      });
+    });
+    if (!lines.length) return [{ text: 'No lessons loaded', cls: 'muted' }];
+    return [...lines, { spacer: true }, { text: 'Start one with `lesson <name>`, or `lesson next`', cls: 'muted' }];
+  }
+
+  // Lesson text is plain, with `backticks` for code
+  function _html(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+      .replace(/`([^`]+)`/g, '<code>$1</code>');
+  }
+
+  function _renderList() {
+    const done = new Set(Session.progress().done || []);
+    _listEl.innerHTML = COURSES.map(course => {
+      const finished = course.lessons.filter(l => done.has(_key(course, l))).length;
+      return `<div class="lessons-course"><span class="scenario-label">${_html(course.title)}</span>` +
+        `<span class="scenario-desc">${_html(course.desc || '')} · ${finished}/${course.lessons.length}</span></div>` +
+        course.lessons.map(l => {
+          const key = _key(course, l), current = _active && _active.lesson === l;
+          return `<button class="lesson-btn${current ? ' current' : ''}" data-lesson="${key}">` +
+            `<span class="lesson-mark">${done.has(key) ? '✓' : ''}</span>${_html(l.title)}</button>`;
+        }).join('');
+    }).join('');
+  }
+
+  function _renderCard() {
+    if (!_cardEl) return;
+    _cardEl.hidden = !_active;
+    if (!_active) { _cardEl.innerHTML = ''; return; }
+    const { course, lesson, step, hints } = _active, total = lesson.steps.length, done = _complete();
+    const current = lesson.steps[step], next = done && _next();
+    const steps = lesson.steps.slice(0, step + 1).map((s, i) => `<li class="${i < step ? 'done' : 'current'}">${_html(s.text)}</li>`).join('');
+    const tips = current ? (current.hints || []).slice(0, hints).map(h => `<p class="lesson-hint">${_html(h)}</p>`).join('') : '';
+    const buttons = done
+      ? `<button class="onboard-btn quiet" data-action="lesson restart">Restart</button>` +
+        (next ? `<button class="onboard-btn" data-action="lesson next">Next lesson</button>` : '')
+      : `<button class="onboard-btn quiet" data-action="lesson restart">Restart</button>` +
+        ((current.hints || []).length > hints ? `<button class="onboard-btn quiet" data-action="hint">Hint</button>` : '') +
+        `<button class="onboard-btn" data-action="show">Show me</button>`;
+    _cardEl.innerHTML = `
+      <div class="detail-header">
+        <span class="detail-title">${_html(course.title)} · ${course.lessons.indexOf(lesson) + 1}/${course.lessons.length}</span>
+        <button class="icon-btn" data-action="lesson exit" title="Leave the lesson">
+          <svg viewBox="0 0 16 16" fill="none"><path d="M4 4l8 8M12 4l-8 8" stroke="currentColor" stroke-width="1.4" stroke-linecap="round"/></svg>
+        </button>
+      </div>
+      <div class="lesson-body">
+        <p class="lesson-title">${_html(lesson.title)}</p>
+        ${lesson.intro ? `<p class="lesson-intro">${_html(lesson.intro)}</p>` : ''}
+        <ol class="lesson-steps">${steps}</ol>
+        ${tips}
+        ${done ? `<p class="lesson-complete">Lesson complete!</p>` : ''}
+      </div>
+      <div class="rebase-footer">
+        <span class="rebase-hint">${done ? `all ${total} steps done` : `step ${step + 1} of ${total}`}</span>
+        <span class="lesson-actions">${buttons}</span>
+      </div>`;
+  }
+
+  return { prepare, allows, verify, find, init, command, exit, refuse, check };
 
 })();
 
 
 /* ============================================================
-   SECTION 7 — APP
+   SECTION 18 — APP
    ============================================================ */
 
 const App = (() => {
 
-  let _svgEl, _emptyEl, _legendEl, _statusEl, _viewportEl;
-  let _onboarding = null;
+  let _svgEl, _emptyEl, _legendEl, _statusEl, _viewportEl, _fileInput, _imageBtn, _menus;
 
   function init() {
     _svgEl      = document.getElementById('graph-svg');
@@ -1229,164 +6251,336 @@ const App = (() => {
     _legendEl   = document.getElementById('graph-legend');
     _statusEl   = document.getElementById('repo-status');
     _viewportEl = document.getElementById('graph-viewport');
+    _fileInput  = document.getElementById('import-file');
+    _imageBtn   = document.getElementById('image-btn');
+    _menus      = [['image-btn', 'image-menu'], ['export-btn', 'export-menu']].map(ids => ids.map(id => document.getElementById(id)));
 
     Terminal.init(document.getElementById('terminal-output'), document.getElementById('terminal-input'), _handleCommand);
     DetailPanel.init();
-    Scenarios.init(cmd => _handleCommand(cmd));
+    TreePanel.init();
+    RebaseEditor.init(plan => {
+      const lineEl = Terminal.printCommand(`git rebase -i ${plan.ontoName}`);
+      Terminal.printLines([
+        ...plan.todo.map(step => ({ text: `  ${step.action} ${step.sha.slice(0,7)} ${(step.message || GitState.getCommit(step.sha).message).split('\n')[0]}`, cls: 'muted' })),
+        { spacer: true },
+      ]);
+      Terminal.printLines(CommandParser.runRebaseTodo(plan));
+      Timeline.record(`git rebase -i ${plan.ontoName}`, lineEl);
+      _rerender();
+      Terminal.printLines(Lessons.check());
+      GraphImages.capture(`git rebase -i ${plan.ontoName}`);
+      _syncRecording();
+      Terminal.focus();
+    });
+    Scenarios.init(cmd => _handleCommand(cmd), () => { Lessons.exit(); Timeline.reset(); });
+    HistoryImport.init((result, name) => { _afterImport(`Imported ${HistoryImport.describe(result)}${name ? ` (${name})` : ''}`); Terminal.focus(); });
+    const restored = Session.restore();
+    const prefs = Session.prefs();
+    GraphRenderer.setSpeed(prefs.speed);
+    GraphRenderer.setMotion(prefs.motion);
+    Timeline.init(() => { RebaseEditor.close(); DetailPanel.hide(); _rerender(); });
+    Lessons.init(cmd => _handleCommand(cmd), () => { RebaseEditor.close(); DetailPanel.hide(); Timeline.reset(); });
+    // The scenario and lesson pickers share a corner: opening one closes the other
+    [['scenarios-toggle', 'lessons-panel'], ['lessons-toggle', 'scenarios-panel']].forEach(([btn, other]) =>
+      document.getElementById(btn).addEventListener('click', () => document.getElementById(other).classList.remove('open')));
 
     GraphRenderer.onNodeClick((sha, commit, branches, tags) => DetailPanel.show(sha, commit, branches, tags));
-
-    document.getElementById('zoom-in-btn').addEventListener('click',  () => { GraphRenderer.setScale(GraphRenderer.getScale() + 0.15); _rerender(); });
-    document.getElementById('zoom-out-btn').addEventListener('click', () => { GraphRenderer.setScale(GraphRenderer.getScale() - 0.15); _rerender(); });
+    GraphSearch.init(document.getElementById('graph-search'), document.getElementById('graph-search-count'), document.getElementById('legend-refs'));
+
+    // Remember what moved between repositories so the split view can animate it
+    EventBus.on('pushed',        r => GraphRenderer.showTransfer({ kind: 'push', remote: r.remote, shas: r.shas }));
+    EventBus.on('push_rejected', r => GraphRenderer.showTransfer({ kind: 'rejected', remote: r.remote, shas: [r.to], blocker: r.from }));
+    EventBus.on('fetched',       r => GraphRenderer.showTransfer({ kind: 'fetch', remote: r.remote, shas: r.updates.flatMap(u => u.shas) }));
+    EventBus.on('autosave_failed', ({ reason, savedAt }) => Terminal.printLines([
+      { text: `Autosave stopped: ${reason}. ${savedAt ? `A reload brings back the autosave from ${new Date(savedAt).toLocaleString()}.` : 'A reload will start empty.'}`, cls: 'warning' },
+      { text: '  `export` keeps this repository as a file; autosave resumes once it fits again', cls: 'muted' },
+    ]));
+
+    GraphRenderer.attach(_viewportEl, document.getElementById('graph-minimap'));
+    document.getElementById('zoom-in-btn').addEventListener('click',  () => GraphRenderer.zoomAt(GraphRenderer.getScale() + 0.15));
+    document.getElementById('zoom-out-btn').addEventListener('click', () => GraphRenderer.zoomAt(GraphRenderer.getScale() - 0.15));
     document.getElementById('fit-btn').addEventListener('click',      () => { GraphRenderer.setScale(1); _rerender(); _viewportEl.scrollTop = _viewportEl.scrollLeft = 0; });
+    const splitBtn = document.getElementById('split-btn');
+    splitBtn.addEventListener('click', () => {
+      GraphRenderer.setSplit(!GraphRenderer.isSplit());
+      splitBtn.setAttribute('aria-pressed', String(GraphRenderer.isSplit()));
+      _rerender();
+    });
+    const orientBtn = document.getElementById('orient-btn');
+    orientBtn.addEventListener('click', () => {
+      GraphRenderer.setOrientation(GraphRenderer.getOrientation() === 'horizontal' ? 'vertical' : 'horizontal');
+      orientBtn.setAttribute('aria-pressed', String(GraphRenderer.getOrientation() === 'horizontal'));
+      _rerender();
+    });
+    const orderBtn = document.getElementById('order-btn');
+    orderBtn.addEventListener('click', () => {
+      GraphRenderer.setOrdering(GraphRenderer.getOrdering() === 'topo' ? 'date' : 'topo');
+      orderBtn.textContent = GraphRenderer.getOrdering();
+      _rerender();
+    });
+    _menus.forEach(([btn, menu]) => btn.addEventListener('click', e => {
+      e.stopPropagation();
+      const open = menu.hidden;
+      _closeMenus();
+      menu.hidden = !open;
+      btn.setAttribute('aria-expanded', String(open));
+    }));
+    document.getElementById('image-menu').querySelectorAll('[data-image]').forEach(b => b.addEventListener('click', () => _imageCommand(b.dataset.image)));
+    document.getElementById('export-menu').querySelectorAll('[data-export]').forEach(b => b.addEventListener('click', () => {
+      const kind = b.dataset.export;
+      _closeMenus();
+      Terminal.printLines(_transferCommand({ op: 'export', format: kind === 'replay' ? 'sh' : kind, history: kind === 'replay' }));
+    }));
+    document.addEventListener('click', e => { if (!_menus.some(([, menu]) => menu.contains(e.target))) _closeMenus(); });
     document.getElementById('clear-btn').addEventListener('click',    () => { Terminal.clear(); Terminal.focus(); });
+    document.getElementById('import-btn').addEventListener('click',   () => _fileInput.click());
+    _fileInput.addEventListener('change', () => { if (_fileInput.files[0]) _importFile(_fileInput.files[0]); _fileInput.value = ''; });
 
-    document.addEventListener('keydown', e => {
-      if (e.target.tagName === 'INPUT') return;
-      if (e.key === '=' || e.key === '+') { GraphRenderer.setScale(GraphRenderer.getScale() + 0.1); _rerender(); }
-      if (e.key === '-')                  { GraphRenderer.setScale(GraphRenderer.getScale() - 0.1); _rerender(); }
-      if (e.key === 'Escape')             { DetailPanel.hide(); }
-    });
-
-    // Tutorial button
-    const tutorialBtn = document.getElementById('start-tutorial-btn');
-    if (tutorialBtn) {
-      tutorialBtn.addEventListener('click', () => {
-        const panel = document.getElementById('onboarding-panel');
-        _onboarding = new Onboarding(panel, _handleCommand, () => _rerender());
-        _onboarding.start();
-      });
-    }
+    // Drop an exported .json anywhere on the graph to open it
+    _viewportEl.addEventListener('dragover',  e => { if (e.dataTransfer.types.includes('Files')) { e.preventDefault(); _viewportEl.classList.add('drop-active'); } });
+    _viewportEl.addEventListener('dragleave', () => _viewportEl.classList.remove('drop-active'));
+    _viewportEl.addEventListener('drop', e => {
+      e.preventDefault();
+      _viewportEl.classList.remove('drop-active');
+      if (e.dataTransfer.files[0]) _importFile(e.dataTransfer.files[0]);
+    });
 
-    _rerender();
-  }
+    document.addEventListener('keydown', e => {
+      if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
+      if (e.key === '=' || e.key === '+') GraphRenderer.zoomAt(GraphRenderer.getScale() + 0.1);
+      if (e.key === '-')                  GraphRenderer.zoomAt(GraphRenderer.getScale() - 0.1);
+      if (e.key === '/')                  { e.preventDefault(); document.getElementById('graph-search').focus(); }
+      if (e.key === 'Escape')             { DetailPanel.hide(); RebaseEditor.close(); HistoryImport.close(); GraphSearch.clear(); _closeMenus(); }
+    });
 
-  // Onboarding Tutorial
-  class Onboarding {
-    constructor(panelEl, runCommand, rerender) {
-      this.panelEl = panelEl;
-      this.runCommand = runCommand;
-      this.rerender = rerender;
-      this.steps = [
-        {
-          title: 'Step 1: Initialize Repository',
-          desc: 'Start by initializing a new git repository.',
-          action: 'Type <code>git init</code> below and press Enter.',
-          check: () => GitState.isInitialized(),
-          suggest: 'git init',
-        },
-        {
-          title: 'Step 2: Make Your First Commit',
-          desc: 'Create your first commit.',
-          action: 'Type <code>git commit -m "first commit"</code> and press Enter.',
-          check: () => { const snap = GitState.snapshot(); return snap.initialized && Object.keys(snap.commits).length > 0; },
-          suggest: 'git commit -m "first commit"',
-        },
-        {
-          title: 'Step 3: Create a Branch',
-          desc: 'Create a new branch called <b>feature</b>.',
-          action: 'Type <code>git branch feature</code> and press Enter.',
-          check: () => { const snap = GitState.snapshot(); return snap.branches && snap.branches['feature'] !== undefined; },
-          suggest: 'git branch feature',
-        },
-        {
-          title: 'Step 4: Switch to Feature Branch',
-          desc: 'Switch to your new branch.',
-          action: 'Type <code>git checkout feature</code> and press Enter.',
-          check: () => GitState.snapshot().HEAD === 'feature',
-          suggest: 'git checkout feature',
-        },
-        {
-          title: 'Step 5: Merge Feature Branch',
-          desc: 'Merge <b>feature</b> back into <b>master</b>.',
-          action: 'Switch to <code>master</code> then type <code>git merge feature</code>.',
-          check: () => {
-            const snap = GitState.snapshot();
-            if (snap.HEAD !== 'master') return false;
-            const mainSha = snap.branches['master'];
-            const commit = snap.commits[mainSha];
-            return commit && commit.isMerge;
-          },
-          suggest: 'git checkout master',
-        },
-      ];
-      this.current = 0;
-      this._boundOnInput = this.onInput.bind(this);
-      document.getElementById('terminal-input').addEventListener('input', this._boundOnInput);
-    }
+    // The tutorial is the first lesson not yet finished
+    document.getElementById('start-tutorial-btn').addEventListener('click', () => _handleCommand('lesson next'));
 
-    start() {
-      this.panelEl.style.display = '';
-      this.current = 0;
-      this.render();
+    _rerender();
+    if (restored && GitState.isInitialized()) {
+      Terminal.printLines([
+        restored.behind
+          ? { text: `Restored the last autosave, from ${new Date(restored.savedAt).toLocaleString()} — later commands did not fit in browser storage.`, cls: 'warning' }
+          : { text: 'Restored your previous session — `sessions` lists saved sandboxes.', cls: 'muted' },
+        { spacer: true },
+      ]);
     }
 
-    render() {
-      const step = this.steps[this.current];
-      let html = `<div class="onboarding-step-title">${step.title}</div>`;
-      html += `<div class="onboarding-step-desc">${step.desc}</div>`;
-      html += `<div class="onboarding-step-action">👉 ${step.action}`;
-      if (step.check()) html += '<span class="onboarding-step-done">✓ Done</span>';
-      html += '</div>';
-      if (!step.check()) html += `<button class="onboard-btn" id="onboard-suggest-btn">Try: ${step.suggest}</button>`;
-      if (this.current > 0) html += `<button class="onboard-btn" id="onboard-prev-btn">Back</button>`;
-      if (step.check() && this.current < this.steps.length - 1) html += `<button class="onboard-btn" id="onboard-next-btn">Next</button>`;
-      if (step.check() && this.current === this.steps.length - 1) html += `<div style="margin-top:12px;font-weight:600;color:var(--success)">🎉 Tutorial complete!</div>`;
-      this.panelEl.innerHTML = html;
-      const suggestBtn = document.getElementById('onboard-suggest-btn');
-      if (suggestBtn) suggestBtn.addEventListener('click', () => { this.runCommand(step.suggest); setTimeout(() => this.render(), 400); });
-      const nextBtn = document.getElementById('onboard-next-btn');
-      if (nextBtn) nextBtn.addEventListener('click', () => { this.current++; this.render(); });
-      const prevBtn = document.getElementById('onboard-prev-btn');
-      if (prevBtn) prevBtn.addEventListener('click', () => { this.current--; this.render(); });
+    // A share link (#state=…) wins over the autosave; the fragment is then
+    // dropped so a reload keeps the student's own progress
+    if (location.hash.startsWith('#state=')) {
+      Transfer.fromHash(location.hash)
+        .then(() => { window.history.replaceState(null, '', location.pathname + location.search); _afterImport('Opened the repository from the shared link'); })
+        .catch(e => Terminal.printLines([{ text: `Could not open the shared repository: ${e.message}`, cls: 'error' }]));
     }
-
-    onInput() { if (this.steps[this.current].check()) setTimeout(() => this.render(), 200); }
   }
 
   function _handleCommand(raw) {
+    // A running lesson sticks to its own commands
+    const refused = Lessons.refuse(raw);
+    if (refused) { Terminal.printCommand(raw); Terminal.printLines(refused); Terminal.focus(); return; }
     let explainer = '';
     if (raw.trim().startsWith('git ')) {
       const cmd = raw.trim().split(' ')[1];
       const map = {
         init: 'Initialize a new git repository.',
-        commit: 'Record changes to the repository.',
-        branch: 'Create, list, or manage branches.',
+        commit: 'Record the staged snapshot (the index) as a new commit.',
+        branch: 'Create, list, delete (-d/-D), rename (-m) or move (-f) branches.',
         checkout: 'Switch branches or restore files.',
-        merge: 'Merge a branch into the current branch.',
-        rebase: 'Replay commits from one branch onto another.',
+        merge: 'Three-way merge a branch into the current branch; overlapping edits stop with conflicts.',
+        rebase: 'Replay commits from one branch onto another; -i lets you reorder, squash, reword or drop them.',
         'cherry-pick': 'Apply a commit from another branch.',
-        reset: 'Reset current branch to a specific commit.',
-        stash: 'Save and restore working state.',
-        tag: 'Create a lightweight tag.',
-        log: 'Show commit history.',
-        status: 'Show HEAD info and branch status.',
-        push: 'Upload local branch commits to origin. The origin/ badge will appear on the graph.',
-        pull: 'Download changes from origin and fast-forward your local branch.',
+        reset: 'Move the current branch to another commit. --soft keeps the index, --mixed (default) resets it, --hard resets the files too. Rewrites history.',
+        revert: 'Add a new commit that undoes an earlier one. History is kept, so it is safe on shared branches.',
+        stash: 'Save uncommitted changes as stash commits (WIP + index) so you can switch tasks, then re-apply them.',
+        tag: 'Create, list or delete tags; -a -m adds a tagger and message (an annotated tag).',
+        log: 'Show commit history; --grep / --author / ranges narrow it and dim the rest of the graph.',
+        config: 'Read or set configuration; user.name and user.email sign new commits and tags.',
+        reflog: 'Show every position HEAD (or a branch) has had — the way back to "lost" commits.',
+        status: 'Show the branch plus staged, unstaged and untracked files.',
+        add: 'Copy working-tree changes into the index (staging area).',
+        rm: 'Remove files from the index and the working tree.',
+        restore: 'Discard working-tree edits, or unstage with --staged.',
+        diff: 'Compare the working tree with the index, or the index with HEAD.',
+        push: 'Upload local branch commits to a remote. Refused if the remote has commits you lack, unless forced.',
+        pull: 'Fetch from a remote, then fast-forward, merge or (--rebase) rebase your branch onto what it has.',
+        fetch: 'Download commits from a remote and move its remote-tracking refs (origin/<branch>) — your branches stay put.',
+        remote: 'Manage the remote repositories this one talks to.',
       };
       explainer = map[cmd] || '';
     }
     if (explainer) Terminal.printLines([{ text: explainer, cls: 'info' }, { spacer: true }]);
-    Terminal.printCommand(raw);
+    const lineEl = Terminal.printCommand(raw);
     const lines = CommandParser.parse(raw);
+    const todo = lines.find(l => l.special === 'rebase-todo');
+    const step = lines.find(l => l.special === 'undo' || l.special === 'redo');
+    const session = lines.find(l => l.special === 'session');
+    const transfer = lines.find(l => l.special === 'transfer');
+    const motion = lines.find(l => l.special === 'motion');
+    const focus = lines.find(l => l.special === 'focus');
+    const record = lines.find(l => l.special === 'record');
+    const filter = lines.find(l => l.special === 'filter');
+    const lesson = lines.find(l => l.special === 'lesson');
     if (lines.some(l => l.special === 'clear')) Terminal.clear();
-    else Terminal.printLines(lines);
+    else Terminal.printLines(lines.filter(l => !l.special));
+    if (todo) RebaseEditor.open(todo.plan);
+    if (step) Terminal.printLines(_stepTimeline(step));
+    else if (session) Terminal.printLines(_sessionCommand(session));
+    else if (transfer) Terminal.printLines(_transferCommand(transfer));
+    else if (motion) Terminal.printLines(_motionCommand(motion));
+    else if (record) Terminal.printLines(_recordCommand(record));
+    else if (lesson) Terminal.printLines(Lessons.command(lesson));
+    else if (!focus) Timeline.record(raw.trim(), lineEl);
+    // A filtered `git log` lights its commits until the next command
+    if (!focus) GraphSearch.setLog(filter ? { label: filter.label, shas: filter.shas } : null);
     _rerender();
+    if (!lesson) Terminal.printLines(Lessons.check(lines.filter(l => !l.special && !l.spacer)));
+    if (!record) GraphImages.capture(raw.trim());
+    _syncRecording();
+    if (focus && !GraphRenderer.focus(focus.sha)) Terminal.printLines([{ text: 'That commit is not on the graph', cls: 'muted' }]);
     Terminal.focus();
   }
 
+  function _stepTimeline({ special, steps }) {
+    const commands = special === 'undo' ? Timeline.undo(steps) : Timeline.redo(steps);
+    if (!commands.length) return [{ text: `Nothing to ${special}`, cls: 'muted' }];
+    const verb = special === 'undo' ? 'Undid' : 'Redid';
+    if (special === 'undo') commands.reverse();
+    return commands.map(c => ({ text: `${verb}: ${c}`, cls: 'warning' }));
+  }
+
+  function _sessionCommand({ op, name }) {
+    try {
+      if (op === 'save') { Session.save(name); return [{ text: `Saved session '${name}'`, cls: 'success' }]; }
+      if (op === 'remove') { Session.remove(name); return [{ text: `Deleted session '${name}'`, cls: 'warning' }]; }
+      if (op === 'load') {
+        Session.load(name);
+        Lessons.exit();
+        RebaseEditor.close(); DetailPanel.hide();
+        Timeline.reset();
+        return [{ text: `Loaded session '${name}'`, cls: 'success' }];
+      }
+      const slots = Session.list();
+      if (!slots.length) return [{ text: 'No saved sessions — save one with `save <name>`', cls: 'muted' }];
+      return slots.map(s => ({ text: `  ${s.name.padEnd(20)} ${String(s.commits).padStart(4)} commit${s.commits === 1 ? ' ' : 's'}  ${new Date(s.savedAt).toLocaleString()}`, cls: 'code' }));
+    } catch (e) { return [{ text: `${op === 'list' ? 'sessions' : op}: ${e.message}`, cls: 'error' }]; }
+  }
+
+  function _transferCommand({ op, format, history }) {
+    try {
+      if (op === 'export' && format === 'fast-import') {
+        const file = HistoryExport.download('fast-import');
+        return [
+          { text: `Exported ${file}`, cls: 'success' },
+          { text: `  load it with: git init repo && cd repo && git fast-import < ${file}`, cls: 'muted' },
+        ];
+      }
+      if (op === 'export' && format === 'sh') {
+        const file = HistoryExport.download(history ? 'replay' : 'sh');
+        return [
+          { text: `Exported ${file}${history ? ' (re-runs the recorded commands)' : ''}`, cls: 'success' },
+          { text: `  run it with: bash ${file} [directory]`, cls: 'muted' },
+        ];
+      }
+      if (op === 'export') {
+        const file = Transfer.download(history);
+        return [{ text: `Exported ${file}${history ? ' (with command history)' : ''}`, cls: 'success' }];
+      }
+      if (op === 'import') {
+        _fileInput.click();
+        return [{ text: 'Choose an exported .json file — or drop one onto the graph', cls: 'muted' }];
+      }
+      if (op === 'history') {
+        HistoryImport.open();
+        return [{ text: 'Paste `git log` or `git fast-export` output into the dialog, or upload it', cls: 'muted' }];
+      }
+      Transfer.toUrl().then(url => {
+        Terminal.printLines([{ text: url, cls: 'code' }]);
+        if (navigator.clipboard) navigator.clipboard.writeText(url).then(() => Terminal.printLines([{ text: 'Link copied to the clipboard', cls: 'success' }]), () => {});
+      }).catch(e => Terminal.printLines([{ text: `share: ${e.message}`, cls: 'error' }]));
+      return [{ text: 'Anyone opening this link gets a copy of the current repository:', cls: 'muted' }];
+    } catch (e) { return [{ text: `${op}: ${e.message}`, cls: 'error' }]; }
+  }
+
+  function _motionCommand({ speed, motion }) {
+    if (speed)  GraphRenderer.setSpeed(speed);
+    if (motion) GraphRenderer.setMotion(motion);
+    Session.setPrefs({ speed: GraphRenderer.getSpeed(), motion: GraphRenderer.getMotion() });
+    const name = { 0.5: 'fast', 1: 'normal', 2: 'slow' }[GraphRenderer.getSpeed()];
+    const mode = GraphRenderer.getMotion();
+    return [{ text: `Animation: ${name}, motion ${mode}${mode === 'auto' ? ' (follows the system reduced-motion setting)' : ''}`, cls: speed || motion ? 'success' : 'muted' }];
+  }
+
+  function _recordCommand({ op }) {
+    if (op === 'start') {
+      GraphImages.start();
+      return [{ text: 'Recording — every command adds a step. `record stop` saves the video', cls: 'success' }];
+    }
+    if (!GraphImages.isRecording()) return [{ text: 'Not recording — start with `record start`', cls: 'muted' }];
+    const n = GraphImages.frameCount();
+    if (op === 'cancel') { GraphImages.cancel(); return [{ text: 'Recording discarded', cls: 'warning' }]; }
+    if (op === 'status') return [{ text: `Recording: ${n} step${n === 1 ? '' : 's'} so far`, cls: 'muted' }];
+    GraphImages.stop()
+      .then(file => Terminal.printLines([{ text: `Saved ${file}`, cls: 'success' }]))
+      .catch(e => Terminal.printLines([{ text: `record: ${e.message}`, cls: 'error' }]))
+      .finally(_syncRecording);
+    return [{ text: `Encoding ${n} step${n === 1 ? '' : 's'} (about ${GraphImages.duration(n)}s)…`, cls: 'muted' }];
+  }
+
+  function _closeMenus() {
+    _menus.forEach(([btn, menu]) => { menu.hidden = true; btn.setAttribute('aria-expanded', 'false'); });
+  }
+
+  function _imageCommand(kind) {
+    _closeMenus();
+    if (kind === 'record') { Terminal.printLines(_recordCommand({ op: GraphImages.isRecording() ? 'stop' : 'start' })); _syncRecording(); return; }
+    const saving = kind === 'svg' ? GraphImages.svg() : GraphImages.png(+document.getElementById('png-scale').value);
+    saving
+      .then(r => Terminal.printLines([{ text: kind === 'svg' ? `Saved ${r}` : `Saved ${r.file} at ${+r.scale.toFixed(2)}×`, cls: 'success' }]))
+      .catch(e => Terminal.printLines([{ text: `${kind}: ${e.message}`, cls: 'error' }]));
+  }
+
+  function _syncRecording() {
+    const on = GraphImages.isRecording(), n = GraphImages.frameCount();
+    _imageBtn.classList.toggle('recording', on);
+    document.getElementById('record-btn').textContent = on ? `Stop recording (${n} step${n === 1 ? '' : 's'})` : 'Start recording';
+  }
+
+  // An exported .json opens directly; anything else is taken for git
+  // log / fast-export output and goes to the history import dialog
+  function _importFile(file) {
+    file.text()
+      .then(text => {
+        if (!text.trimStart().startsWith('{')) { HistoryImport.open(text, file.name); return; }
+        Transfer.parse(text);
+        _afterImport(`Imported ${file.name}`);
+      })
+      .catch(e => Terminal.printLines([{ text: `import: ${file.name}: ${e.message}`, cls: 'error' }]));
+  }
+
+  function _afterImport(message) {
+    Lessons.exit();
+    RebaseEditor.close(); DetailPanel.hide();
+    Timeline.reset();
+    _rerender();
+    Terminal.printLines([{ text: message, cls: 'success' }, { spacer: true }]);
+  }
+
   function _rerender() {
     const snap = GitState.snapshot();
+    Session.autosave();
+    GraphSearch.update(snap);
     GraphRenderer.render(snap, _svgEl, _emptyEl, _legendEl);
+    TreePanel.render(snap);
     _updateStatus(snap);
-    if (snap.initialized && Object.keys(snap.commits).length > 0) {
-      setTimeout(() => { _viewportEl.scrollTop = 0; }, 60);
-    }
   }
 
   function _updateStatus(snap) {
     if (!snap.initialized) { _statusEl.textContent = 'no repository'; _statusEl.className = 'topbar-badge'; return; }
-    _statusEl.textContent = snap.detached ? `detached @ ${snap.HEAD.slice(0,7)}` : snap.HEAD;
+    _statusEl.textContent = snap.rebasing ? `rebasing ${snap.rebasing.branch} (${snap.rebasing.done.length}/${snap.rebasing.total})`
+                          : snap.detached ? `detached @ ${snap.HEAD.slice(0,7)}`
+                          : snap.merging  ? `${snap.HEAD} | MERGING`
+                          : snap.HEAD;
     _statusEl.className   = 'topbar-badge active';
   }
 
@@ -1394,4 +6588,8 @@ const App = (() => {
 
 })();
 
-document.addEventListener('DOMContentLoaded', () => App.init());
\ No newline at end of file
+// In the page the app starts once the DOM is ready. Under Node,
+// require('./script.js') gets the engine alone: GitState, CommandParser,
+// HistoryImport.parse, ScenarioRunner and Lessons.verify need no DOM.
+if (typeof document !== 'undefined') document.addEventListener('DOMContentLoaded', () => App.init());
+if (typeof module !== 'undefined' && module.exports) module.exports = { EventBus, GitState, CommandParser, HistoryImport, HistoryExport, Scenarios, ScenarioRunner, Lessons };
\ No newline at end of file